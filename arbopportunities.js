@@ -1,61 +1,81 @@
 // arbopportunities-batch.js
-import fs from "fs";
-import { watcher } from "./backrunwatcher.js";
+import { watcher, isTriggerDead } from "./backrunwatcher.js";
 import { sendTelegram } from "./telegramalert.js";
+import { entriesIn, recordQueued, transition } from "./opportunityjournal.js";
+import "./opportunitycoalescer.js";
 
-const DIRECT_POOL_FILE = "./direct_pool.json";
-
-// --- JSON helpers (atomic write) ---
-function safeReadJson() {
-  try {
-    if (!fs.existsSync(DIRECT_POOL_FILE)) return [];
-    const content = fs.readFileSync(DIRECT_POOL_FILE, "utf8");
-    return content ? JSON.parse(content) : [];
-  } catch {
-    return [];
-  }
-}
-
-function writeJsonAtomic(data) {
-  const tmpFile = `${DIRECT_POOL_FILE}.tmp`;
-  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
-  fs.renameSync(tmpFile, DIRECT_POOL_FILE);
-}
-
-// --- Pending batching ---
-let pendingPools = [];
-let flushTimeout = null;
-const FLUSH_INTERVAL = 10; // ms
-
-function scheduleFlush() {
-  if (flushTimeout) return;
-  flushTimeout = setTimeout(() => {
-    const currentPools = safeReadJson();
-    writeJsonAtomic([...currentPools, ...pendingPools]);
-    console.log(`📥 Flushed ${pendingPools.length} new arbitrages`);
-    pendingPools = [];
-    flushTimeout = null;
-  }, FLUSH_INTERVAL);
+// Journal the entry (opportunityjournal.js) and hand it to the in-process pipeline (pipeline.js)
+function enqueue(pool) {
+  if (recordQueued(pool)) watcher.emit("opportunityQueued", pool);
 }
 
 // --- Normalization helper ---
+let idSeq = 0;
+
 function sanitizePool(pool) {
   return {
     ...pool,
+    id: pool.id || `${pool.type === "cycle" ? "cycle" : "arb"}-${Date.now()}-${(idSeq++ % 1000).toString().padStart(3, "0")}`,
     profitUSD: Number(pool.profitUSD),
     timestamp: Number(pool.timestamp),
   };
 }
 
-// === Event listener ===
-watcher.on("arbOpportunity", async (data) => {
+// === Dead trigger → expire queued opportunities built on it ===
+watcher.on("triggerInvalidated", ({ hash, event }) => {
+  const expired = entriesIn("queued")
+    .filter((e) => e.pool.txHash === hash)
+    .filter((e) => transition(e.id, "expired", { reason: `trigger ${event}` }));
+  if (expired.length) console.log(`🗑️ Expired ${expired.length} arbitrages — trigger ${hash.slice(0, 10)}... ${event}`);
+});
+
+// === Multi-leg cycles (cyclefinder.js) ===
+async function queueCycle(data) {
+  const route = data.legs.map((l) => `${l.tokenIn.slice(0, 6)}...`).join(" → ");
+  const pairSymbol = `${route} → ${data.sizing.loanToken.slice(0, 6)}...`;
+
+  enqueue(
+    sanitizePool({
+      type: "cycle",
+      pairSymbol,
+      tokenIn: data.sizing.loanToken,
+      tokenOut: data.sizing.loanToken,
+      liveDex: { name: data.live?.dex, router: data.live?.router, kind: data.live?.kind ?? 0 },
+      legs: data.legs,
+      diffPct: data.edgeBps / 100,
+      liquidityUSD: 0,
+      profitUSD: data.grossProfitUSD,
+      sizing: data.sizing,
+      coalesceKey: data.coalesceKey,
+      scoreUSD: data.scoreUSD,
+      scoreBasis: data.scoreBasis,
+      merged: data.merged,
+      observedBlock: data.observedBlock ?? null,
+      txHash: data.txHash,
+      timestamp: Date.now(),
+    })
+  );
+
+  console.log(
+    `🟢 Queued new cycle: ${data.legs.map((l) => l.dex).join(" → ")} | edge ${data.edgeBps.toFixed(1)} bps | +${data.sizing.profitUSD.toFixed(2)} USD`
+  );
+
+  await sendTelegram(
+    `🔁 New Cycle Opportunity\n${pairSymbol}\n` +
+    `${data.legs.map((l) => l.dex).join(" → ")}\nEdge ${data.edgeBps.toFixed(1)} bps | +${data.sizing.profitUSD.toFixed(2)} USD`
+  );
+}
+
+// === Event listener (one coalesced winner per pool pair, see opportunitycoalescer.js) ===
+watcher.on("opportunityReady", async (data) => {
   try {
+    if (isTriggerDead(data.txHash)) return;
+    if (data.type === "cycle") return await queueCycle(data);
+
     const tokenIn = data.live?.tokenIn || "";
     const tokenOut = data.live?.tokenOut || "";
     const pairSymbol = `${tokenIn.slice(0, 6)}.../${tokenOut.slice(0, 6)}...`;
 
-    const rawProfitUSD = data.catch.diffPct * (data.live.liquidityUSD / 100);
-
     // ✅ Use tokenIn/tokenOut directly
     const newPool = sanitizePool({
       pairSymbol,
@@ -66,26 +86,36 @@ watcher.on("arbOpportunity", async (data) => {
         router: data.live?.router,
         kind: data.live?.kind ?? 0,
         pairAddress: data.live?.pairAddress ?? null,
+        poolId: data.live?.poolId ?? null,
+        v3Fee: data.live?.v3Fee ?? null,
       },
       catchDex: {
         name: data.catch?.dex,
         router: data.catch?.router,
         kind: data.catch?.kind ?? 0,
         pairAddress: data.catch?.pairAddress ?? null,
+        poolId: data.catch?.poolId ?? null,
+        v3Fee: data.catch?.v3Fee ?? null,
       },
       diffPct: data.catch?.diffPct ?? 0,
       liquidityUSD: data.live?.liquidityUSD ?? 0,
-      profitUSD: rawProfitUSD,
+      profitUSD: data.grossProfitUSD,
+      sizing: data.sizing ?? null,
+      coalesceKey: data.coalesceKey,
+      scoreUSD: data.scoreUSD,
+      scoreBasis: data.scoreBasis,
+      merged: data.merged,
+      observedBlock: data.observedBlock ?? null,
       txHash: data.txHash,
       timestamp: Date.now(),
     });
 
-    pendingPools.push(newPool);
-    scheduleFlush();
+    enqueue(newPool);
 
     console.log(
       `🟢 Queued new arbitrage: ${pairSymbol} | ` +
-      `${data.live.dex} (kind=${data.live.kind}) → ${data.catch.dex} (kind=${data.catch.kind}) | Δ ${data.catch.diffPct.toFixed(2)}%`
+      `${data.live.dex} (kind=${data.live.kind}) → ${data.catch.dex} (kind=${data.catch.kind}) | Δ ${data.catch.diffPct.toFixed(2)}%` +
+      (data.sizing ? ` | size ${data.sizing.amountInUSD.toFixed(2)} → +${data.sizing.profitUSD.toFixed(2)} USD` : "")
     );
 
     await sendTelegram(
@@ -5,11 +5,15 @@ import fs from "fs";
 import "dotenv/config";
 import { ethers } from "ethers";
 
-import { getBalancerPoolReserves, getCurvePoolReserves } from "./balancercurve.js";
-import { getKyberElasticReserves } from "./kyberelastic.js";
-import { resolveV2V3Pairs } from "./v2v3resolver.js";
-import { pairLiquidityUSD } from "./liquidity.js";
+import { calcLiquidityUSD, pairLiquidityUSD } from "./liquidity.js";
 import { priceImpactEstimator } from "./priceImpactEstimator.js";
+import { applyVictimSwap, fetchPoolState, spotPrice, tokenBalance } from "./poolsimulator.js";
+import { discoverPools, factories, tokenInfo, venueOf } from "./pooldiscovery.js";
+import { sizeBackrun } from "./tradesizer.js";
+import { searchCycles } from "./cyclefinder.js";
+import { checkCatchPool, checkLivePool, checkSpread, needsVictimUSD, quoteIndex } from "./opportunitypolicy.js";
+import { screenTokens } from "./tokensafety.js";
+import { FEED_PROTOCOL_VERSION, FeedMessage, parseMessage } from "./feedprotocol.js";
 
 // === Routers map ===
 const routers = JSON.parse(fs.readFileSync("./routers.json", "utf8"));
@@ -32,6 +36,7 @@ function getKindFromName(dexName) {
   if (n.includes("kyber")) return SwapKind.KYBER;
   return SwapKind.V2;
 }
+export { getKindFromName };
 
 function getHubTokens() {
   const lastToken =
@@ -48,30 +53,17 @@ function getHubTokens() {
 }
 export { getHubTokens };
 
-function normalizeAmount(amount, decimals = 18) {
-  if (typeof amount === "bigint") return Number(ethers.formatUnits(amount, decimals));
-  return Number(amount);
-}
-
-// === Cache for pool reserves ===
+// === Cache for pool states ===
 const cacheTTL = 3000;
 const reserveCache = new Map();
 
-/**
- * getCachedReserves(fn, key, _unused, args)
- * - `fn` should accept (providerOrNull, args)
- * - `args` is the single argument passed to fn as-is (usually an object or an array)
- */
-async function getCachedReserves(fn, key, _unused, args) {
+async function getCachedPoolState(pool) {
+  const key = pool.poolId || pool.pairAddress;
   const now = Date.now();
   const cached = reserveCache.get(key);
   if (cached && now - cached.time < cacheTTL) return cached.data;
 
-  // Defensive: if caller passed undefined, pass null to fn
-  const payload = typeof args === "undefined" ? null : args;
-
-  // Call resolver with (null, payload) — matches existing resolver signatures
-  const data = await fn(null, payload);
+  const data = await fetchPoolState(pool);
   reserveCache.set(key, { data, time: now });
   return data;
 }
@@ -91,6 +83,356 @@ async function limit(fn) {
   }
 }
 
+// === Dead triggers (victim replaced or dropped before it could be backrun) ===
+const DEAD_TRIGGER_TTL_MS = 10 * 60_000;
+const deadTriggers = new Map();
+
+export function isTriggerDead(txHash) {
+  return !!txHash && deadTriggers.has(txHash);
+}
+
+function handleLifecycle(event) {
+  watcher.emit("txLifecycle", event);
+  if (event.event !== "replaced" && event.event !== "dropped") return;
+
+  deadTriggers.set(event.hash, event);
+  setTimeout(() => deadTriggers.delete(event.hash), DEAD_TRIGGER_TTL_MS).unref();
+  console.log(`🪦 Trigger ${event.hash.slice(0, 10)}... ${event.event} — cancelling its opportunities`);
+  watcher.emit("triggerInvalidated", event);
+}
+
+// === Victim V3 pools (derived from the decoded hops, no RPC needed) ===
+const UNISWAP_V3_FACTORY =
+  process.env.UNISWAP_V3_FACTORY || "0x1F98431c8aD98523631AE4a59f267346ea31F984";
+const UNISWAP_V3_POOL_INIT_CODE_HASH =
+  "0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54";
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * victimV3Pools(tx, dex) — one entry per pool the victim's V3 hops go through:
+ * [{ dex, pairAddress, version: "v3", token0, token1, fee }]
+ * Only valid for routers backed by the canonical Uniswap V3 factory.
+ */
+export function victimV3Pools(tx, dex) {
+  const pools = new Map();
+  for (const swap of tx.swaps || []) {
+    for (const hop of swap.hops || []) {
+      if (!hop.tokenIn || !hop.tokenOut || hop.fee == null) continue;
+      const [token0, token1] =
+        hop.tokenIn.toLowerCase() < hop.tokenOut.toLowerCase()
+          ? [hop.tokenIn, hop.tokenOut]
+          : [hop.tokenOut, hop.tokenIn];
+      const salt = ethers.keccak256(
+        abiCoder.encode(["address", "address", "uint24"], [token0, token1, hop.fee])
+      );
+      const pairAddress = ethers.getCreate2Address(UNISWAP_V3_FACTORY, salt, UNISWAP_V3_POOL_INIT_CODE_HASH);
+      pools.set(pairAddress, { dex, pairAddress, version: "v3", token0, token1, fee: hop.fee });
+    }
+  }
+  return [...pools.values()];
+}
+
+/**
+ * balancerVictimPools(tx, dex) — distinct Balancer pools touched by the decoded Vault steps:
+ * [{ dex, poolId, pairAddress }]
+ */
+export function balancerVictimPools(tx, dex) {
+  const pools = new Map();
+  for (const swap of tx.swaps || []) {
+    if (swap.poolId && !pools.has(swap.poolId)) {
+      pools.set(swap.poolId, { dex, poolId: swap.poolId, pairAddress: swap.pool });
+    }
+  }
+  return [...pools.values()];
+}
+
+// Pool types behind the protocols an aggregator hop can name with its pool address
+const HOP_POOL_TYPES = { V2: "v2", V3: "v3", CURVE: "curve" };
+// 0x sellToUniswap routes through the SushiSwap or the chain's Uniswap V2 fork
+const ZERO_EX_V2_VENUES = { sushi: "sushiswap-v2", uniswap: "quickswap-v2" };
+
+/**
+ * aggregatorVictimPools(tx, dex) → { pools, unresolved }
+ * - pools: [{ dex, pairAddress, type }] for hops that carry the pool address,
+ *   Uniswap V3 pools derived from token/fee hops (same shape as victimV3Pools) and
+ *   the V2 pool a token-only hop trades, found through pooldiscovery
+ * - unresolved: hops none of these name a pool for; the victim set is incomplete when non-empty
+ */
+export async function aggregatorVictimPools(tx, dex) {
+  const pools = new Map();
+  const unresolved = [];
+  const lookups = [];
+  for (const swap of tx.swaps || []) {
+    for (const hop of swap.hops || []) {
+      const type = HOP_POOL_TYPES[hop.protocol];
+      if (hop.pool && type) {
+        pools.set(hop.pool, { dex, pairAddress: hop.pool, type });
+      } else if (hop.tokenIn && hop.tokenOut && hop.fee != null) {
+        continue; // victimV3Pools derives it
+      } else if (hop.tokenIn && hop.tokenOut && hop.protocol === "V2") {
+        const venue = ZERO_EX_V2_VENUES[hop.isSushi ? "sushi" : "uniswap"];
+        lookups.push(
+          discoverPools(hop.tokenIn, hop.tokenOut, { venues: [venue] }).then((found) => {
+            const pair = found.find((p) => p.type === "v2");
+            if (pair) pools.set(pair.pairAddress, pair);
+            else unresolved.push(hop);
+          })
+        );
+      } else {
+        unresolved.push(hop);
+      }
+    }
+  }
+  await Promise.all(lookups);
+  for (const pool of victimV3Pools(tx, dex)) pools.set(pool.pairAddress, pool);
+  return { pools: [...pools.values()], unresolved };
+}
+
+// === Pool sourcing ===
+/**
+ * victimTokenPairs(tx) — distinct [tokenA, tokenB] legs of the decoded swaps
+ */
+export function victimTokenPairs(tx) {
+  const pairs = new Map();
+  const add = (a, b) => {
+    if (!a || !b || a.toLowerCase() === b.toLowerCase()) return;
+    const key = [a.toLowerCase(), b.toLowerCase()].sort().join(":");
+    if (!pairs.has(key)) pairs.set(key, [a, b]);
+  };
+  for (const swap of tx.swaps || []) {
+    if (swap.hops?.length) swap.hops.forEach((h) => add(h.tokenIn, h.tokenOut));
+    else if (swap.path?.length > 1) swap.path.slice(1).forEach((t, k) => add(swap.path[k], t));
+    else add(swap.tokenIn, swap.tokenOut);
+  }
+  return [...pairs.values()];
+}
+
+// Pools the victim trades through: named by the calldata where it carries them
+// (aggregator routes, Balancer poolIds), otherwise discovered on the router's venue
+async function victimPools(tx, dex) {
+  const kind = routers[dex]?.kind;
+  if (kind === "AGGREGATOR") {
+    const { pools, unresolved } = await aggregatorVictimPools(tx, dex);
+    if (!unresolved.length) return pools;
+    console.warn(
+      `[backrunwatcher] ${tx.hash?.slice(0, 10)}... ${dex} route has ${unresolved.length} hop(s) without a known pool — skipped`
+    );
+    return [];
+  }
+  if (kind === "BALANCER") return balancerVictimPools(tx, dex);
+
+  const venue = venueOf(dex);
+  if (!venue) return [];
+  const found = (
+    await Promise.all(victimTokenPairs(tx).map(([a, b]) => discoverPools(a, b, { venues: [venue] })))
+  ).flat();
+
+  // V3: only the fee tiers the victim routes through
+  const fees = new Set(
+    (tx.swaps || []).flatMap((s) => (s.hops || []).map((h) => h.fee)).filter((f) => f != null).map(Number)
+  );
+  return found.filter((p) => p.type !== "v3" || !fees.size || fees.has(p.fee));
+}
+
+/**
+ * loadPoolPairs(pools, tokenPairs) — reads each pool and prices one pair in it:
+ * discovered pools keep their token0/token1, other two-token pools use their own,
+ * multi-token pools the first of `tokenPairs` they hold. Pools that cannot be read are dropped.
+ * → [{ ...pool, token0, token1, symbol0, symbol1, decimals0, decimals1, reserve0, reserve1, rawPrice, state }]
+ */
+async function loadPoolPairs(pools, tokenPairs) {
+  const loaded = await Promise.all(
+    pools.map(async (pool) => {
+      const state = await getCachedPoolState(pool);
+      if (!state) return null;
+
+      const holds = (t) => state.tokens.some((s) => s.toLowerCase() === t.toLowerCase());
+      let pair = pool.token0 && pool.token1 ? [pool.token0, pool.token1] : null;
+      if (!pair && state.tokens.length === 2) pair = state.tokens;
+      if (!pair) {
+        const leg = tokenPairs.find(([a, b]) => holds(a) && holds(b));
+        if (!leg) return null;
+        // keep the pool's own ordering
+        const idx = (t) => state.tokens.findIndex((s) => s.toLowerCase() === t.toLowerCase());
+        pair = idx(leg[0]) < idx(leg[1]) ? leg : [leg[1], leg[0]];
+      }
+      const [token0, token1] = pair;
+
+      const rawPrice = spotPrice(state, token0, token1);
+      if (!rawPrice) return null;
+      const [info0, info1] = pool.symbol0 != null
+        ? [{ symbol: pool.symbol0, decimals: pool.decimals0 }, { symbol: pool.symbol1, decimals: pool.decimals1 }]
+        : await Promise.all([tokenInfo(token0), tokenInfo(token1)]);
+
+      return {
+        ...pool,
+        token0,
+        token1,
+        symbol0: info0?.symbol ?? "",
+        symbol1: info1?.symbol ?? "",
+        decimals0: info0?.decimals ?? 18,
+        decimals1: info1?.decimals ?? 18,
+        reserve0: tokenBalance(state, token0),
+        reserve1: tokenBalance(state, token1),
+        rawPrice,
+        state,
+      };
+    })
+  );
+  return loaded.filter(Boolean);
+}
+
+// token1 per token0 in whole tokens
+function pairPrice(pair) {
+  return pair.rawPrice * 10 ** (pair.decimals0 - pair.decimals1);
+}
+
+// blockscanner.js only follows V2 Sync / V3 Swap logs
+function seenPools(pairs) {
+  return pairs
+    .filter((p) => p.state.type === "v2" || p.state.type === "v3")
+    .map(({ dex, pairAddress, token0, token1, decimals0, decimals1, state }) => ({
+      dex, pairAddress, version: state.type, token0, token1, decimals0, decimals1,
+    }));
+}
+
+// === Policy rejections ===
+// Every candidate the policy drops carries the rule and the policy level that dropped it
+const LOG_REJECTIONS = (process.env.POLICY_LOG_REJECTIONS || "false").toLowerCase() === "true";
+
+export function rejectCandidate(txHash, stage, pair, rejection) {
+  watcher.emit("candidateRejected", {
+    txHash,
+    stage,
+    dex: pair.dex,
+    pairAddress: pair.pairAddress,
+    ...rejection,
+  });
+  if (LOG_REJECTIONS) {
+    console.log(
+      `🚫 ${txHash.slice(0, 10)}... ${stage} ${pair.dex}:${pair.pairAddress.slice(0, 10)} rejected by ${rejection.rule} (${rejection.source})`
+    );
+  }
+}
+
+// Token screening (tokensafety.js) surfaces as a rejection like any policy rule
+async function tokenRejection(tokens) {
+  const { rejected } = await screenTokens(tokens);
+  if (!rejected) return null;
+  return {
+    rule: "tokenSafety",
+    value: `${rejected.symbol || rejected.token}: ${rejected.reason}`,
+    limit: rejected.verdict,
+    source: "tokensafety",
+    token: rejected.token,
+  };
+}
+
+// USD value of the victim's input on this pool
+async function victimSizeUSD(pair, victim) {
+  const { tokenIn, amountIn } = victim.leg;
+  const decimals = tokenIn.toLowerCase() === pair.token0.toLowerCase() ? pair.decimals0 : pair.decimals1;
+  return calcLiquidityUSD(amountIn, tokenIn, {}, decimals);
+}
+
+// === Multi-leg cycles ===
+// 3/4-leg cycles among hub tokens and the victim's tokens that run through a pool the
+// victim moves; emitted as `arbOpportunity` with type "cycle" next to the two-leg ones.
+async function handleCycles(tx, liveDexName, livePairs, victims) {
+  const overrides = new Map();
+  livePairs.forEach((p, i) => victims[i] && overrides.set(p.pairAddress.toLowerCase(), victims[i].after));
+  if (!overrides.size) return;
+
+  const hubs = getHubTokens();
+  const tokens = [...hubs, ...victimTokenPairs(tx).flat()];
+  // Hubs are the tokens the flash-loan pools can lend
+  const cycles = await searchCycles(tokens, { overrides, readState: getCachedPoolState, loanTokens: hubs });
+
+  for (const cycle of cycles) {
+    if (isTriggerDead(tx.hash)) return;
+
+    const rejection = await tokenRejection(cycle.legs.map((e) => e.from));
+    if (rejection) {
+      const leg = cycle.legs.find((e) => e.from.toLowerCase() === rejection.token.toLowerCase());
+      rejectCandidate(tx.hash, "cycle", leg.pool, rejection);
+      continue;
+    }
+
+    // Let the block scanner watch every leg so the opportunity can expire when one moves
+    watcher.emit("poolsSeen", seenPools(cycle.legs.map((e) => ({ ...e.pool, state: e.state }))));
+
+    const loanToken = cycle.legs[0].from;
+    const info = await tokenInfo(loanToken);
+    const loanDecimals = info?.decimals ?? 18;
+    const [amountInUSD, profitUSD] = await Promise.all([
+      calcLiquidityUSD(cycle.size.amountIn, loanToken, {}, loanDecimals),
+      calcLiquidityUSD(cycle.size.profit, loanToken, {}, loanDecimals),
+    ]);
+
+    let amountIn = cycle.size.amountIn;
+    const legs = cycle.legs.map((e, k) => {
+      const leg = {
+        dex: e.pool.dex,
+        router: routers[e.pool.dex]?.address ?? null,
+        kind: getKindFromName(e.pool.dex),
+        pairAddress: e.pool.pairAddress,
+        poolId: e.pool.poolId ?? null,
+        v3Fee: e.pool.type === "v3" ? e.pool.fee : null,
+        tokenIn: e.from,
+        tokenOut: e.to,
+        amountIn: amountIn.toString(),
+        amountOut: cycle.size.amounts[k].toString(),
+      };
+      amountIn = cycle.size.amounts[k];
+      return leg;
+    });
+
+    watcher.emit("arbOpportunity", {
+      txHash: tx.hash,
+      type: "cycle",
+      live: { dex: liveDexName, router: tx.to, kind: getKindFromName(liveDexName) },
+      legs,
+      edgeBps: cycle.edgeBps,
+      sizing: {
+        method: cycle.size.method,
+        loanToken,
+        loanSymbol: info?.symbol ?? "",
+        loanDecimals,
+        amountIn: cycle.size.amountIn.toString(),
+        amountOut: cycle.size.amountOut.toString(),
+        profit: cycle.size.profit.toString(),
+        amountInUSD,
+        profitUSD,
+      },
+    });
+
+    console.log(
+      `[Emit] cycle ${legs.map((l) => l.dex).join(" → ")} | edge ${cycle.edgeBps.toFixed(1)} bps | +${profitUSD.toFixed(2)} USD`
+    );
+  }
+}
+
+// === Feed and router status (httpapi.js) ===
+const feedStatus = { url: null, connected: false, active: false, lastHeartbeatAt: null };
+const routerActivity = {};
+
+/**
+ * watcherStatus() — pending feed connection and, per routers.json entry, txs seen so far
+ */
+export function watcherStatus() {
+  const routerStatus = {};
+  for (const [name, r] of Object.entries(routers)) {
+    routerStatus[name] = {
+      address: r.address,
+      kind: r.kind,
+      quarantined: Boolean(r.quarantined),
+      txs: routerActivity[name]?.txs ?? 0,
+      lastTxAt: routerActivity[name]?.lastTxAt ?? null,
+    };
+  }
+  return { feed: { ...feedStatus }, routers: routerStatus };
+}
+
 // === Seen tx cache ===
 const seen = new Set();
 function markTxSeen(txHash) {
@@ -103,9 +445,9 @@ function markTxSeen(txHash) {
 export async function startBackrunWatcher() {
   console.log("🚀 Starting Backrun Watcher (via WebSocket feed)...");
 
-  const hubTokens = getHubTokens();
-  const url = "ws://127.0.0.1:7001";
-  const STALE_TIMEOUT_MS = 15000;
+  const url = `ws://127.0.0.1:${process.env.FEED_PORT || 7001}`;
+  // Feed is stale after this many missed heartbeats (interval announced in the hello message)
+  const STALE_HEARTBEATS = 3;
 
   if (startBackrunWatcher._socket && startBackrunWatcher._socket.readyState === WebSocket.OPEN) {
     console.log("ℹ️ Backrun watcher socket already open, not reconnecting.");
@@ -114,43 +456,84 @@ export async function startBackrunWatcher() {
 
   const socket = new WebSocket(url);
   startBackrunWatcher._socket = socket;
+  feedStatus.url = url;
 
   let feedActive = false;
-  let lastMessageAt = Date.now();
+  let heartbeatMs = 5000;
+  let lastHeartbeatAt = Date.now();
+  let expectedSeq = 0;
 
   socket.on("open", () => {
+    feedStatus.connected = true;
     console.log(`✅ Connected to pendingTransaction.js feed (${url})`);
     console.log(`ℹ️ Routers loaded: ${Object.keys(routers).length}`);
+    socket.send(JSON.stringify({ v: FEED_PROTOCOL_VERSION, type: FeedMessage.SUBSCRIBE, filters: {} }));
   });
 
-  // === Feed health monitor ===
-  const stalenessTimer = setInterval(() => {
-    const delta = Date.now() - lastMessageAt;
-    if (delta > STALE_TIMEOUT_MS && feedActive) {
-      console.warn("⏸️ Feed inactive for too long — pausing onchain queries.");
-      feedActive = false;
+  // === Feed health monitor (heartbeat based) ===
+  let stalenessTimer = null;
+  function startStalenessTimer() {
+    clearInterval(stalenessTimer);
+    stalenessTimer = setInterval(() => {
+      const delta = Date.now() - lastHeartbeatAt;
+      if (delta > heartbeatMs * STALE_HEARTBEATS && feedActive) {
+        console.warn(`⏸️ No feed heartbeat for ${delta}ms — pausing onchain queries.`);
+        feedActive = false;
+        feedStatus.active = false;
+      }
+    }, heartbeatMs).unref();
+  }
+  startStalenessTimer();
+
+  function markAlive() {
+    lastHeartbeatAt = Date.now();
+    feedStatus.lastHeartbeatAt = lastHeartbeatAt;
+    if (!feedActive) {
+      feedActive = true;
+      feedStatus.active = true;
+      console.log("⚙️ Pending feed active — enabling onchain queries now.");
     }
-  }, STALE_TIMEOUT_MS).unref();
+  }
 
   socket.on("message", async (data) => {
-    lastMessageAt = Date.now();
-    let tx;
+    const msg = parseMessage(data);
+    if (!msg) return;
 
-    try {
-      const raw = typeof data === "string" ? data : data.toString();
-      tx = JSON.parse(raw);
-    } catch {
+    if (msg.v !== FEED_PROTOCOL_VERSION) {
+      console.warn(`⚠️ Feed protocol v${msg.v} not supported (expected v${FEED_PROTOCOL_VERSION})`);
       return;
     }
 
+    if (msg.seq !== expectedSeq) {
+      console.warn(`⚠️ Feed sequence gap: expected ${expectedSeq}, got ${msg.seq}`);
+    }
+    expectedSeq = msg.seq + 1;
+
+    switch (msg.type) {
+      case FeedMessage.HELLO:
+        heartbeatMs = Number(msg.heartbeatMs) || heartbeatMs;
+        startStalenessTimer();
+        markAlive();
+        return;
+      case FeedMessage.HEARTBEAT:
+        markAlive();
+        return;
+      case FeedMessage.LIFECYCLE:
+        if (msg.data?.hash) handleLifecycle(msg.data);
+        return;
+      case FeedMessage.ERROR:
+        console.error("⚠️ Feed rejected subscription:", msg.reason);
+        return;
+      case FeedMessage.TX:
+        break;
+      default:
+        return;
+    }
+
+    const tx = msg.data;
     if (!tx?.hash || !tx?.to) return;
     if (!markTxSeen(tx.hash)) return;
 
-    if (!feedActive) {
-      feedActive = true;
-      console.log("⚙️ Pending feed active — enabling onchain queries now.");
-    }
-
     if (!feedActive) return;
 
     const txToLower = tx.to.toLowerCase();
@@ -161,6 +544,9 @@ export async function startBackrunWatcher() {
 
     const [liveDexName] = routerEntry;
     console.log(`🔔 Received router tx ${tx.hash.slice(0, 10)}... → ${liveDexName}`);
+    const activity = (routerActivity[liveDexName] ??= { txs: 0, lastTxAt: null });
+    activity.txs++;
+    activity.lastTxAt = Date.now();
 
     await limit(async () => {
       await handleRouterTx(tx, liveDexName);
@@ -169,6 +555,7 @@ export async function startBackrunWatcher() {
 
   socket.on("close", (code) => {
     clearInterval(stalenessTimer);
+    Object.assign(feedStatus, { connected: false, active: false });
     console.warn(`🔴 Pending feed socket closed (${code || "no code"})`);
     startBackrunWatcher._socket = null;
   });
@@ -180,38 +567,17 @@ export async function startBackrunWatcher() {
   // === Core heavy logic ===
   async function handleRouterTx(tx, liveDexName) {
     try {
-      const liveKey = `live-${liveDexName}-${tx.to}`;
-      let livePairs = [];
-
-      if (liveDexName.includes("balancer")) {
-        // pass a single args array/object (matching resolver expectations)
-        livePairs = await getCachedReserves(getBalancerPoolReserves, liveKey, null, [
-          { pairAddress: tx.to, dex: liveDexName },
-        ]);
-      } else if (liveDexName.includes("curve")) {
-        livePairs = await getCachedReserves(getCurvePoolReserves, liveKey, null, [
-          { pairAddress: tx.to, dex: liveDexName },
-        ]);
-      } else if (liveDexName.includes("kyber")) {
-        livePairs = await getCachedReserves(getKyberElasticReserves, liveKey, null, [
-          { pairAddress: tx.to, dex: liveDexName },
-        ]);
-      } else {
-        // resolveV2V3Pairs expects a single `args` parameter (we hand it an array)
-        livePairs = await getCachedReserves(resolveV2V3Pairs, liveKey, null, [tx.to, hubTokens]);
-      }
+      const tokenPairs = victimTokenPairs(tx);
+      if (!tokenPairs.length) return;
 
-      if (!livePairs || !livePairs.length) return;
+      const livePairs = await loadPoolPairs(await victimPools(tx, liveDexName), tokenPairs);
+      if (!livePairs.length) return;
+      console.log(`🎯 ${tx.hash.slice(0, 10)}... crosses ${livePairs.map((p) => `${p.dex}:${p.pairAddress.slice(0, 10)}`).join(", ")}`);
+      watcher.emit("poolsSeen", seenPools(livePairs));
 
       const impacts = await Promise.all(
         livePairs.map((livePair) => {
-          const decimals0 = livePair.decimals0 ?? 18;
-          const decimals1 = livePair.decimals1 ?? 18;
-          const liveRawPrice =
-            normalizeAmount(livePair.reserve1, decimals1) /
-            normalizeAmount(livePair.reserve0, decimals0);
-
-          const amountIn = ethers.parseUnits("100", decimals0);
+          const amountIn = ethers.parseUnits("100", livePair.decimals0);
 
           return priceImpactEstimator({
             dexType: liveDexName,
@@ -221,89 +587,125 @@ export async function startBackrunWatcher() {
             reserves: livePair,
             pairAddress: livePair.pairAddress,
             amountIn,
-            marketPrice: liveRawPrice,
+            marketPrice: pairPrice(livePair),
           });
         })
       );
 
+      // Catch venues: every discovered venue except the one the victim trades on
+      const liveVenue = venueOf(liveDexName);
+      const catchVenues = Object.keys(factories).filter((v) => v !== liveVenue && routers[v]);
+
+      // Post-victim state of every pool the trigger moves (null where it cannot be simulated)
+      const victims = await Promise.all(livePairs.map((p) => applyVictimSwap(p, tx.swaps, p.state)));
+
       for (let i = 0; i < livePairs.length; i++) {
         const livePair = livePairs[i];
         const impactData = impacts[i];
+        const victim = victims[i];
         const liquidityUSD = await pairLiquidityUSD(livePair);
-        if (liquidityUSD < 300_000) continue;
-
-        const stableTokens = ["USDT", "USDC"];
-        const t0 = (livePair.symbol0 || "").toUpperCase();
-        const t1 = (livePair.symbol1 || "").toUpperCase();
-        if (!stableTokens.includes(t0) && !stableTokens.includes(t1)) continue;
-
-        const livePrice =
-          normalizeAmount(livePair.reserve1, livePair.decimals1 ?? 18) /
-          normalizeAmount(livePair.reserve0, livePair.decimals0 ?? 18);
-
-        const tasks = Object.entries(routers)
-          .filter(([dex]) => dex !== liveDexName)
-          .map(async ([otherDex, otherRouter]) => {
-            const key = `catch-${otherDex}-${otherRouter.address}`;
-            let pairs = [];
-
-            if (otherDex.includes("balancer")) {
-              pairs = await getCachedReserves(getBalancerPoolReserves, key, null, [
-                { pairAddress: otherRouter.address, dex: otherDex },
-              ]);
-            } else if (otherDex.includes("curve")) {
-              pairs = await getCachedReserves(getCurvePoolReserves, key, null, [
-                { pairAddress: otherRouter.address, dex: otherDex },
-              ]);
-            } else if (otherDex.includes("kyber")) {
-              pairs = await getCachedReserves(getKyberElasticReserves, key, null, [
-                { pairAddress: otherRouter.address, dex: otherDex },
-              ]);
-            } else {
-              // pass as single args array to match resolver signature
-              pairs = await getCachedReserves(
-                resolveV2V3Pairs,
-                key,
-                null,
-                [otherRouter.address, hubTokens]
-              );
-            }
-
-            if (!pairs || !pairs.length) return [];
-
-            const related = pairs.filter(
-              (p) =>
-                [p.token0, p.token1].includes(livePair.token0) &&
-                [p.token0, p.token1].includes(livePair.token1)
-            );
-
-            if (!related.length) return [];
-
-            const liqs = await Promise.all(related.map(pairLiquidityUSD));
-            return related
-              .map((p, i) => ({
-                ...p,
-                liquidityUSD: liqs[i],
-                catchRawPrice:
-                  normalizeAmount(p.reserve1, p.decimals1 ?? 18) /
-                  normalizeAmount(p.reserve0, p.decimals0 ?? 18),
-                dex: otherDex,
-                router: otherRouter.address,
-              }))
-              .filter((p) => p.liquidityUSD >= 300_000);
-          });
+        const victimUSD = victim && needsVictimUSD(livePair) ? await victimSizeUSD(livePair, victim) : null;
+        const liveRejection = checkLivePool(livePair, { liquidityUSD, victimUSD });
+        if (liveRejection) {
+          rejectCandidate(tx.hash, "live", livePair, liveRejection);
+          continue;
+        }
 
-        const catchPairs = (await Promise.all(tasks)).flat();
+        const priceBeforeSwap = pairPrice(livePair);
 
+        // The backrun trades against the pool the victim leaves behind: replay the decoded
+        // swap on a local copy of the pool state. Exact-out and later hops keep the pre-trade price.
+        const livePrice = victim ? priceBeforeSwap * victim.priceRatio : priceBeforeSwap;
+        if (victim) {
+          console.log(
+            `🧮 ${tx.hash.slice(0, 10)}... moves ${livePair.pairAddress.slice(0, 10)} by ${((victim.priceRatio - 1) * 100).toFixed(3)}%`
+          );
+        }
+
+        const candidates = await discoverPools(livePair.token0, livePair.token1, { venues: catchVenues });
+        const pairs = (await loadPoolPairs(candidates, [[livePair.token0, livePair.token1]])).filter(
+          (p) => p.pairAddress.toLowerCase() !== livePair.pairAddress.toLowerCase()
+        );
+        if (!pairs.length) continue;
+        watcher.emit("poolsSeen", seenPools(pairs));
+
+        const liqs = await Promise.all(pairs.map(pairLiquidityUSD));
+        const catchPairs = pairs
+          .map((p, k) => ({
+            ...p,
+            liquidityUSD: liqs[k],
+            // discovered pools share the live pair's tokens but not necessarily its ordering
+            catchRawPrice: p.token0.toLowerCase() === livePair.token0.toLowerCase() ? pairPrice(p) : 1 / pairPrice(p),
+            router: routers[p.dex].address,
+          }))
+          .filter((p) => {
+            const rejection = checkCatchPool(p, { liquidityUSD: p.liquidityUSD });
+            if (rejection) rejectCandidate(tx.hash, "catch", p, rejection);
+            return !rejection;
+          });
+
+        // The victim may leave the live pool cheaper or dearer than the catch pool: rank by the
+        // absolute spread and let sizeBackrun() pick which side to buy on (sizing.buyVenue)
         let bestCatch = null;
         for (const c of catchPairs) {
-          const diffPct = ((livePrice - c.catchRawPrice) / livePrice) * 100;
-          if (diffPct >= 0.25 && (!bestCatch || diffPct > bestCatch.diffPct)) {
-            bestCatch = { ...c, diffPct };
+          const high = Math.max(livePrice, c.catchRawPrice);
+          const diffPct = (Math.abs(livePrice - c.catchRawPrice) / high) * 100;
+          const rejection = checkSpread(livePair, diffPct);
+          if (rejection) {
+            rejectCandidate(tx.hash, "spread", c, rejection);
+            continue;
+          }
+          if (!bestCatch || diffPct > bestCatch.diffPct) bestCatch = { ...c, diffPct };
+        }
+
+        if (bestCatch && isTriggerDead(tx.hash)) return;
+
+        // Size the backrun on the actual curves, borrowing the quote side of the pair
+        let sizing = null;
+        if (bestCatch) {
+          const liveState = victim?.after ?? livePair.state;
+          const loanIndex = Math.max(0, quoteIndex(livePair));
+          const tokens = [livePair.token0, livePair.token1];
+          const loanDecimals = loanIndex === 0 ? livePair.decimals0 : livePair.decimals1;
+          const size = sizeBackrun({
+            liveState,
+            catchState: bestCatch.state,
+            tokenIn: tokens[loanIndex],
+            tokenMid: tokens[1 - loanIndex],
+          });
+
+          if (!size) {
+            console.log(`📉 ${liveDexName} → ${bestCatch.dex} | Δ ${bestCatch.diffPct.toFixed(2)}% but no profitable size after fees`);
+            continue;
           }
+
+          const [amountInUSD, profitUSD] = await Promise.all([
+            calcLiquidityUSD(size.amountIn, size.tokenIn, {}, loanDecimals),
+            calcLiquidityUSD(size.profit, size.tokenIn, {}, loanDecimals),
+          ]);
+          sizing = {
+            buyVenue: size.buyVenue,
+            method: size.method,
+            loanToken: size.tokenIn,
+            midToken: size.tokenMid,
+            loanSymbol: loanIndex === 0 ? livePair.symbol0 : livePair.symbol1,
+            loanDecimals,
+            amountIn: size.amountIn.toString(),
+            amountMid: size.amountMid.toString(),
+            amountOut: size.amountOut.toString(),
+            profit: size.profit.toString(),
+            amountInUSD,
+            profitUSD,
+          };
         }
 
         if (bestCatch) {
+          const rejection = await tokenRejection([livePair.token0, livePair.token1]);
+          if (rejection) {
+            rejectCandidate(tx.hash, "token", livePair, rejection);
+            continue;
+          }
+
           watcher.emit("arbOpportunity", {
             txHash: tx.hash,
             live: {
@@ -311,10 +713,16 @@ export async function startBackrunWatcher() {
               router: tx.to,
               kind: getKindFromName(liveDexName),
               pairAddress: livePair.pairAddress,
+              poolId: livePair.poolId ?? null,
+              v3Fee: livePair.type === "v3" ? livePair.fee : null,
               tokenIn: livePair.token0,
               tokenOut: livePair.token1,
               priceImpactPct: impactData.priceImpactBps,
+              priceBeforeSwap,
               priceAfterImpact: livePrice,
+              simulated: !!victim,
+              victimAmountIn: victim ? victim.leg.amountIn.toString() : null,
+              victimAmountOut: victim ? victim.amountOut.toString() : null,
               liquidityUSD,
             },
             catch: {
@@ -322,10 +730,13 @@ export async function startBackrunWatcher() {
               router: bestCatch.router,
               kind: getKindFromName(bestCatch.dex),
               pairAddress: bestCatch.pairAddress,
-              lowerPrice: bestCatch.catchRawPrice,
+              poolId: bestCatch.poolId ?? null,
+              v3Fee: bestCatch.type === "v3" ? bestCatch.fee : null,
+              lowerPrice: Math.min(livePrice, bestCatch.catchRawPrice),
               diffPct: bestCatch.diffPct,
               liquidityUSD: bestCatch.liquidityUSD,
             },
+            sizing,
           });
 
           console.log(
@@ -333,6 +744,8 @@ export async function startBackrunWatcher() {
           );
         }
       }
+
+      await handleCycles(tx, liveDexName, livePairs, victims);
     } catch (err) {
       console.error("❌ Error in handleRouterTx:", err?.message || err);
     }
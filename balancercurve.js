@@ -59,6 +59,7 @@ export async function getBalancerPoolReserves(pools) {
         const resObj = {
           dex: p.dex,
           pairAddress: p.pairAddress,
+          poolId: p.poolId,
           token0,
           token1,
           reserve0,
@@ -72,6 +73,7 @@ export async function getBalancerPoolReserves(pools) {
         const resObj = {
           dex: p.dex,
           pairAddress: p.pairAddress,
+          poolId: p.poolId,
           token0: ethers.ZeroAddress,
           token1: ethers.ZeroAddress,
           reserve0: 0n,
@@ -0,0 +1,334 @@
+// blockscanner.js — block-driven arbitrage trigger from Swap/Sync logs on tracked pools
+// Catches dislocations created by swaps the mempool feed never showed us (private
+// orderflow, direct pool calls, aggregators): after every block the pools that emitted
+// Sync (V2) or Swap/Mint/Burn (V3) logs are re-priced against their same-pair peers and any
+// spread is emitted on the watcher as a regular `arbOpportunity` (trigger: "block").
+//
+// Liquidity and spread thresholds come from opportunitypolicy.js (policy.json, hot-reloaded);
+// pools and spreads it drops are reported as `candidateRejected` like the mempool trigger's.
+//
+// Tracked pools = tracked_pools.json + pools the backrun watcher reports via "poolsSeen":
+//   [{ dex, pairAddress, version: "v2" | "v3", token0, token1, decimals0?, decimals1? }]
+import "dotenv/config";
+import fs from "fs";
+import { ethers } from "ethers";
+import { getReadProvider } from "./dataprovider.js";
+import { getV2Reserves, getV3State } from "./protectionutilities.js";
+import { pairLiquidityUSD } from "./liquidity.js";
+import { watcher, getKindFromName, rejectCandidate } from "./backrunwatcher.js";
+import { checkCatchPool, checkSpread } from "./opportunitypolicy.js";
+import { tokenInfo } from "./pooldiscovery.js";
+
+const TRACKED_POOLS_FILE = process.env.TRACKED_POOLS_FILE || "./tracked_pools.json";
+const POLL_MS = Number(process.env.BLOCK_POLL_MS || 2000);
+const MAX_BLOCK_RANGE = 50;
+
+const routers = JSON.parse(fs.readFileSync("./routers.json", "utf8"));
+
+// === Event topics ===
+const POOL_EVENTS = new ethers.Interface([
+  "event Sync(uint112 reserve0, uint112 reserve1)",
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+  "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+]);
+const SYNC_TOPIC = POOL_EVENTS.getEvent("Sync").topicHash;
+const V3_SWAP_TOPIC = POOL_EVENTS.getEvent("Swap").topicHash;
+const V3_MINT_TOPIC = POOL_EVENTS.getEvent("Mint").topicHash;
+const V3_BURN_TOPIC = POOL_EVENTS.getEvent("Burn").topicHash;
+
+const ERC20_ABI = ["function decimals() view returns (uint8)"];
+
+// === Tracked pools + latest known state ===
+const pools = new Map(); // address(lower) -> pool config
+const states = new Map(); // address(lower) -> { reserve0, reserve1 } | { sqrtPriceX96, liquidity }
+const decimalsCache = new Map();
+
+function pairKey(a, b) {
+  return [a.toLowerCase(), b.toLowerCase()].sort().join("/");
+}
+
+export function trackPool(p) {
+  if (!p?.pairAddress || !p.token0 || !p.token1) return false;
+  const addr = p.pairAddress.toLowerCase();
+  if (pools.has(addr)) return false;
+
+  pools.set(addr, {
+    dex: p.dex,
+    pairAddress: p.pairAddress,
+    version: p.version === "v3" ? "v3" : "v2",
+    token0: p.token0,
+    token1: p.token1,
+    decimals0: p.decimals0,
+    decimals1: p.decimals1,
+    key: pairKey(p.token0, p.token1),
+  });
+  return true;
+}
+
+function loadTrackedPools() {
+  try {
+    if (!fs.existsSync(TRACKED_POOLS_FILE)) return;
+    const list = JSON.parse(fs.readFileSync(TRACKED_POOLS_FILE, "utf8") || "[]");
+    list.forEach(trackPool);
+  } catch (err) {
+    console.error(`[BlockScanner] Failed to load ${TRACKED_POOLS_FILE}:`, err.message);
+  }
+}
+
+async function tokenDecimals(provider, token, hint) {
+  if (typeof hint === "number") return hint;
+  const t = token.toLowerCase();
+  if (decimalsCache.has(t)) return decimalsCache.get(t);
+  let dec = 18;
+  try {
+    dec = Number(await new ethers.Contract(token, ERC20_ABI, provider).decimals());
+  } catch {
+    // keep 18
+  }
+  decimalsCache.set(t, dec);
+  return dec;
+}
+
+async function loadState(pool) {
+  const addr = pool.pairAddress.toLowerCase();
+  if (states.has(addr)) return states.get(addr);
+
+  let state = null;
+  if (pool.version === "v3") {
+    const s = await getV3State(pool.pairAddress);
+    if (s) state = { sqrtPriceX96: BigInt(s.sqrtPriceX96), liquidity: BigInt(s.liquidity) };
+  } else {
+    const r = await getV2Reserves(pool.pairAddress);
+    if (r) state = { reserve0: r.r0, reserve1: r.r1 };
+  }
+  if (state) states.set(addr, state);
+  return state;
+}
+
+function applyLog(log) {
+  const addr = log.address.toLowerCase();
+  const pool = pools.get(addr);
+  if (!pool) return false;
+
+  try {
+    const parsed = POOL_EVENTS.parseLog(log);
+    if (parsed.name === "Sync" && pool.version === "v2") {
+      states.set(addr, { reserve0: BigInt(parsed.args.reserve0), reserve1: BigInt(parsed.args.reserve1) });
+      return true;
+    }
+    if (parsed.name === "Swap" && pool.version === "v3") {
+      states.set(addr, { sqrtPriceX96: BigInt(parsed.args.sqrtPriceX96), liquidity: BigInt(parsed.args.liquidity) });
+      return true;
+    }
+    // In-range liquidity may have changed but the log does not say to what: re-read on demand
+    if ((parsed.name === "Mint" || parsed.name === "Burn") && pool.version === "v3") {
+      states.delete(addr);
+      return true;
+    }
+  } catch {
+    // not one of ours
+  }
+  return false;
+}
+
+// Price of token0 in token1 (human units) plus reserve-like amounts for the USD filter.
+// V3 uses virtual reserves at the current price: x = L / sqrtP, y = L * sqrtP.
+function quote(pool, state, d0, d1) {
+  let reserve0;
+  let reserve1;
+  if (pool.version === "v3") {
+    const sqrtP = Number(state.sqrtPriceX96) / 2 ** 96;
+    const L = Number(state.liquidity);
+    if (!sqrtP || !L) return null;
+    reserve0 = BigInt(Math.floor(L / sqrtP));
+    reserve1 = BigInt(Math.floor(L * sqrtP));
+  } else {
+    reserve0 = state.reserve0;
+    reserve1 = state.reserve1;
+  }
+  if (!reserve0 || !reserve1) return null;
+
+  const price = Number(ethers.formatUnits(reserve1, d1)) / Number(ethers.formatUnits(reserve0, d0));
+  return { price, reserve0, reserve1 };
+}
+
+async function describe(provider, pool) {
+  const state = await loadState(pool);
+  if (!state) return null;
+  const decimals0 = await tokenDecimals(provider, pool.token0, pool.decimals0);
+  const decimals1 = await tokenDecimals(provider, pool.token1, pool.decimals1);
+  const q = quote(pool, state, decimals0, decimals1);
+  if (!q) return null;
+  // Symbols let policy.json pair overrides keyed by symbol apply here too
+  const [info0, info1] = await Promise.all([tokenInfo(pool.token0), tokenInfo(pool.token1)]);
+
+  const liquidityUSD = await pairLiquidityUSD({
+    reserve0: q.reserve0,
+    reserve1: q.reserve1,
+    token0: pool.token0,
+    token1: pool.token1,
+    decimals0,
+    decimals1,
+  });
+  return {
+    ...pool,
+    ...q,
+    decimals0,
+    decimals1,
+    symbol0: info0?.symbol ?? "",
+    symbol1: info1?.symbol ?? "",
+    liquidityUSD,
+  };
+}
+
+// === Post-block dislocation check for one touched pool ===
+async function evaluateTouched(provider, addr, txHash, blockNumber) {
+  const pool = pools.get(addr);
+  const peers = [...pools.values()].filter(
+    (p) => p.key === pool.key && p.pairAddress.toLowerCase() !== addr
+  );
+  if (!peers.length) return;
+
+  const liquidityRejection = (p) => {
+    const rejection = checkCatchPool(p, { liquidityUSD: p.liquidityUSD });
+    if (rejection) rejectCandidate(txHash, "catch", p, rejection);
+    return rejection;
+  };
+
+  const touched = await describe(provider, pool);
+  if (!touched || liquidityRejection(touched)) return;
+
+  let best = null;
+  for (const peer of peers) {
+    const p = await describe(provider, peer);
+    if (!p || liquidityRejection(p)) continue;
+
+    // Peer prices are token0→token1 of the peer; align when token order differs
+    const peerPrice = p.token0.toLowerCase() === touched.token0.toLowerCase() ? p.price : 1 / p.price;
+    const high = Math.max(touched.price, peerPrice);
+    const diffPct = (Math.abs(touched.price - peerPrice) / high) * 100;
+    // The touched pool plays the victim pool's part in the policy lookup
+    const rejection = checkSpread(touched, diffPct);
+    if (rejection) {
+      rejectCandidate(txHash, "spread", p, rejection);
+      continue;
+    }
+    if (!best || diffPct > best.diffPct) best = { peer: p, peerPrice, diffPct };
+  }
+  if (!best) return;
+
+  // "live" is the expensive side we sell into, "catch" the cheap side we buy from.
+  // Prices are token1 per token0 in the touched pool's ordering, so token0 is what the catch
+  // pool sells cheap: pay token1 for it there, sell it back into the live pool for token1.
+  const touchedIsHigh = touched.price > best.peerPrice;
+  const live = touchedIsHigh ? touched : best.peer;
+  const cheap = touchedIsHigh ? best.peer : touched;
+  const livePrice = touchedIsHigh ? touched.price : best.peerPrice;
+  const catchPrice = touchedIsHigh ? best.peerPrice : touched.price;
+  const [tokenIn, tokenOut] = [touched.token1, touched.token0];
+
+  watcher.emit("arbOpportunity", {
+    txHash,
+    trigger: "block",
+    blockNumber,
+    live: {
+      dex: live.dex,
+      router: routers[live.dex]?.address ?? null,
+      kind: getKindFromName(live.dex || ""),
+      pairAddress: live.pairAddress,
+      tokenIn,
+      tokenOut,
+      priceImpactPct: 0,
+      priceAfterImpact: livePrice,
+      liquidityUSD: live.liquidityUSD,
+    },
+    catch: {
+      dex: cheap.dex,
+      router: routers[cheap.dex]?.address ?? null,
+      kind: getKindFromName(cheap.dex || ""),
+      pairAddress: cheap.pairAddress,
+      lowerPrice: catchPrice,
+      diffPct: best.diffPct,
+      liquidityUSD: cheap.liquidityUSD,
+    },
+  });
+
+  console.log(`[BlockScanner] #${blockNumber} ${live.dex} → ${cheap.dex} | Δ ${best.diffPct.toFixed(2)}%`);
+}
+
+// === Block loop ===
+let lastBlock = null;
+let scanning = false;
+
+async function scan() {
+  if (scanning || !pools.size) return;
+  scanning = true;
+
+  try {
+    const provider = await getReadProvider();
+    const head = await provider.getBlockNumber();
+    if (lastBlock === null) lastBlock = head - 1;
+    if (head <= lastBlock) return;
+
+    let fromBlock = lastBlock + 1;
+    if (head - fromBlock + 1 > MAX_BLOCK_RANGE) {
+      // Logs of the skipped blocks are never read: forget every cached state so pools are
+      // re-read from the chain instead of being priced from pre-gap reserves
+      const skippedTo = head - MAX_BLOCK_RANGE;
+      console.warn(
+        `[BlockScanner] #${fromBlock}..#${skippedTo} beyond the ${MAX_BLOCK_RANGE}-block log window — skipped, reloading pool states`
+      );
+      states.clear();
+      fromBlock = skippedTo + 1;
+    }
+    const logs = await provider.getLogs({
+      fromBlock,
+      toBlock: head,
+      address: [...pools.values()].map((p) => p.pairAddress),
+      topics: [[SYNC_TOPIC, V3_SWAP_TOPIC, V3_MINT_TOPIC, V3_BURN_TOPIC]],
+    });
+    lastBlock = head;
+
+    // Last log per pool wins; remember which tx moved it, and every tx that touched it
+    const touched = new Map();
+    const movers = new Map();
+    for (const log of logs) {
+      if (!applyLog(log)) continue;
+      const addr = log.address.toLowerCase();
+      touched.set(addr, log.transactionHash);
+      if (!movers.has(addr)) movers.set(addr, new Set());
+      movers.get(addr).add(log.transactionHash);
+    }
+    if (!touched.size) return;
+
+    watcher.emit("poolStateChanged", {
+      blockNumber: head,
+      pools: [...touched.keys()],
+      txHashes: Object.fromEntries([...movers].map(([addr, hashes]) => [addr, [...hashes]])),
+    });
+
+    // One evaluation per token pair per block
+    const seenPairs = new Set();
+    for (const [addr, txHash] of touched) {
+      const key = pools.get(addr).key;
+      if (seenPairs.has(key)) continue;
+      seenPairs.add(key);
+      await evaluateTouched(provider, addr, txHash, head);
+    }
+  } catch (err) {
+    console.warn("[BlockScanner] scan failed:", err?.message || err);
+  } finally {
+    scanning = false;
+  }
+}
+
+loadTrackedPools();
+
+watcher.on("poolsSeen", (list) => {
+  const added = (list || []).filter(trackPool).length;
+  if (added) console.log(`[BlockScanner] tracking ${pools.size} pools (+${added})`);
+});
+
+setInterval(scan, POLL_MS);
+console.log(`✅ Block scanner started (${pools.size} tracked pools, poll ${POLL_MS}ms)`);
@@ -170,6 +170,50 @@ export async function broadcastPendingPool(pool) {
       return SwapKind.V2;
     };
 
+    const encodeBalancerUserData = (poolIdHex, userDataHex = "0x") => {
+      if (!poolIdHex) return userDataHex;
+      const pid = poolIdHex.toLowerCase().replace(/^0x/, "").padStart(64, "0");
+      const rest = (userDataHex || "0x").replace(/^0x/, "");
+      return "0x" + pid + rest;
+    };
+
+    // Pool details of one venue of the two-leg path (buy*/sell* fields from poolexecutor.js)
+    const maybePoolId = pool.poolId || pool.balancerPoolId || pool.poolIdHex || null;
+    const venueFields = (kind, v3Fee, poolId) => ({
+      v3Fee: Number(v3Fee ?? pool.v3Fee ?? 0),
+      v3ExactInputSingle: kind === SwapKind.V3,
+      v3Path: kind === SwapKind.BALANCER && (poolId || maybePoolId)
+        ? encodeBalancerUserData(poolId || maybePoolId, pool.userDataHex || "0x")
+        : pool.v3Path || "0x",
+    });
+
+    // Multi-leg cycles (cyclefinder.js) carry their own hops and expected amounts.
+    // Each leg only spends what the previous one is guaranteed to return and accepts
+    // pool.slippageBps less than its (proportionally scaled) simulated output; the final
+    // leg must return pool.minIn, the loan plus its premium.
+    const slippageBps = BigInt(pool.slippageBps ?? 0);
+    let guaranteedIn = null;
+    const cycleSteps = pool.legs?.map((leg, k, legs) => {
+      const amountIn = k === 0 ? BigInt(leg.amountIn) : guaranteedIn;
+      const expectedOut = (BigInt(leg.amountOut) * amountIn) / BigInt(leg.amountIn);
+      const minAmountOut = k === legs.length - 1
+        ? BigInt(pool.minIn ?? 0)
+        : (expectedOut * (10_000n - slippageBps)) / 10_000n;
+      guaranteedIn = minAmountOut;
+      return {
+        kind: leg.kind ?? detectKind(leg.router),
+        router: leg.router,
+        path: [leg.tokenIn, leg.tokenOut],
+        v3Fee: leg.v3Fee || 0,
+        v3ExactInputSingle: leg.kind === SwapKind.V3,
+        v3Path: leg.poolId ? ethers.zeroPadValue(leg.poolId, 32) : "0x",
+        amountIn,
+        minAmountOut,
+        deadline: 0,
+        unwrap: false,
+      };
+    });
+
     // ========== AAVE EXECUTOR ==========
     try {
       const buyKind = pool.buyKind ?? detectKind(pool.buyRouter);
@@ -179,16 +223,14 @@ export async function broadcastPendingPool(pool) {
       const txData = aaveIface.encodeFunctionData("executeArbitrage", [
         {
           loanAssets: [pool.loanAsset],
-          loanAmounts: [normalizeToWei(pool.loanAmount)],
-          steps: [
+          loanAmounts: [normalizeToWei(pool.loanAmount, pool.loanDecimals ?? 18)],
+          steps: cycleSteps ?? [
             {
               kind: buyKind,
               router: pool.buyRouter,
               path: [tokenIn, tokenOut],
-              v3Fee: pool.v3Fee || 0,
-              v3ExactInputSingle: pool.type === "v3",
-              v3Path: pool.v3Path || "0x",
-              amountIn: normalizeToWei(pool.loanAmount),
+              ...venueFields(buyKind, pool.buyV3Fee, pool.buyPoolId),
+              amountIn: normalizeToWei(pool.loanAmount, pool.loanDecimals ?? 18),
               minAmountOut: BigInt(pool.minOut ?? 0),
               deadline: 0,
               unwrap: false,
@@ -197,9 +239,7 @@ export async function broadcastPendingPool(pool) {
               kind: sellKind,
               router: pool.sellRouter,
               path: [tokenOut, tokenIn],
-              v3Fee: pool.v3Fee || 0,
-              v3ExactInputSingle: pool.type === "v3",
-              v3Path: pool.v3Path || "0x",
+              ...venueFields(sellKind, pool.sellV3Fee, pool.sellPoolId),
               amountIn: BigInt(pool.minOut ?? 0),
               minAmountOut: BigInt(pool.minIn ?? 0),
               deadline: 0,
@@ -234,27 +274,13 @@ export async function broadcastPendingPool(pool) {
       const buyKind = pool.buyKind ?? detectKind(pool.buyRouter);
       const sellKind = pool.sellKind ?? detectKind(pool.sellRouter);
 
-      const encodeBalancerUserData = (poolIdHex, userDataHex = "0x") => {
-        if (!poolIdHex) return userDataHex;
-        const pid = poolIdHex.toLowerCase().replace(/^0x/, "").padStart(64, "0");
-        const rest = (userDataHex || "0x").replace(/^0x/, "");
-        return "0x" + pid + rest;
-      };
-
-      const maybePoolId = pool.poolId || pool.balancerPoolId || pool.poolIdHex || null;
-      const maybeUserData = pool.userDataHex || "0x";
-      const v3PathBuy = (buyKind === SwapKind.BALANCER && maybePoolId) ? encodeBalancerUserData(maybePoolId, maybeUserData) : "0x";
-      const v3PathSell = (sellKind === SwapKind.BALANCER && maybePoolId) ? encodeBalancerUserData(maybePoolId, maybeUserData) : "0x";
-
-      const steps = [
+      const steps = cycleSteps ?? [
         {
           kind: buyKind,
           router: pool.buyRouter,
           path: [tokenIn, tokenOut],
-          v3Fee: 0,
-          v3ExactInputSingle: false,
-          v3Path: v3PathBuy,
-          amountIn: normalizeToWei(pool.loanAmount),
+          ...venueFields(buyKind, pool.buyV3Fee, pool.buyPoolId),
+          amountIn: normalizeToWei(pool.loanAmount, pool.loanDecimals ?? 18),
           minAmountOut: BigInt(pool.minOut ?? 0),
           deadline: 0,
           unwrap: false,
@@ -263,9 +289,7 @@ export async function broadcastPendingPool(pool) {
           kind: sellKind,
           router: pool.sellRouter,
           path: [tokenOut, tokenIn],
-          v3Fee: 0,
-          v3ExactInputSingle: false,
-          v3Path: v3PathSell,
+          ...venueFields(sellKind, pool.sellV3Fee, pool.sellPoolId),
           amountIn: BigInt(pool.minOut ?? 0),
           minAmountOut: BigInt(pool.minIn ?? 0),
           deadline: 0,
@@ -276,7 +300,7 @@ export async function broadcastPendingPool(pool) {
       const txData = balIface.encodeFunctionData("executeArbitrage", [
         {
           loanAssets: [pool.loanAsset],
-          loanAmounts: [normalizeToWei(pool.loanAmount)],
+          loanAmounts: [normalizeToWei(pool.loanAmount, pool.loanDecimals ?? 18)],
           steps,
         },
       ]);
@@ -0,0 +1,67 @@
+// curvecoins.js — cached Curve coin index → token address lookup (coins(i) / underlying_coins(i))
+// Coin lists are immutable per pool, so resolved addresses are cached for the process lifetime.
+// Runs inside decoder workers, so it talks raw JSON-RPC via rpcbatch.js instead of a provider.
+import "dotenv/config";
+import { ethers } from "ethers";
+import { rpcBatch } from "./rpcbatch.js";
+
+const RPC_URL = process.env.ALCHEMY_HTTPS || process.env.WRITE_RPC_URL;
+
+// Newer pools index coins with uint256, older ones with int128
+const coinsIface = new ethers.Interface([
+  "function coins(uint256) view returns (address)",
+  "function coins(int128) view returns (address)",
+  "function underlying_coins(uint256) view returns (address)",
+  "function underlying_coins(int128) view returns (address)",
+]);
+
+// `${pool}:${fn}:${i}` -> Promise<address|null>
+const cache = new Map();
+
+function callData(fn, argType, i) {
+  return coinsIface.encodeFunctionData(`${fn}(${argType})`, [i]);
+}
+
+function decodeAddress(result) {
+  if (!result || result === "0x" || result.length < 66) return null;
+  const addr = ethers.getAddress(ethers.dataSlice(result, 12, 32));
+  return addr === ethers.ZeroAddress ? null : addr;
+}
+
+// One rpcBatch for every index not cached yet: both overloads per index, uint256 first
+async function lookup(pool, fn, indexes) {
+  if (!RPC_URL) return indexes.map(() => null);
+  try {
+    const results = await rpcBatch(RPC_URL, indexes.flatMap((i) => [
+      { method: "eth_call", params: [{ to: pool, data: callData(fn, "uint256", i) }, "latest"] },
+      { method: "eth_call", params: [{ to: pool, data: callData(fn, "int128", i) }, "latest"] },
+    ]));
+    return indexes.map((_, k) => decodeAddress(results[2 * k]) ?? decodeAddress(results[2 * k + 1]));
+  } catch (err) {
+    console.warn(`[curvecoins] ${fn}(${indexes.join(", ")}) on ${pool} failed:`, err.message);
+    return indexes.map(() => null);
+  }
+}
+
+/**
+ * curveCoins(pool, indexes, { underlying }) → [token address or null] in `indexes` order
+ * Indexes already cached or in flight are not asked again; the rest share one batch.
+ * Failed lookups are not cached, so a flaky RPC only costs a retry on the next swap.
+ */
+export async function curveCoins(pool, indexes, { underlying = false } = {}) {
+  const fn = underlying ? "underlying_coins" : "coins";
+  const keyOf = (i) => `${pool.toLowerCase()}:${fn}:${i}`;
+
+  const missing = [...new Set(indexes)].filter((i) => !cache.has(keyOf(i)));
+  if (missing.length) {
+    const pending = lookup(pool, fn, missing);
+    missing.forEach((i, k) => {
+      const key = keyOf(i);
+      cache.set(key, pending.then((found) => {
+        if (!found[k]) cache.delete(key);
+        return found[k];
+      }));
+    });
+  }
+  return Promise.all(indexes.map((i) => cache.get(keyOf(i))));
+}
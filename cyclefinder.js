@@ -0,0 +1,172 @@
+// cyclefinder.js — 3- and 4-leg arbitrage cycles over hub tokens and the victim's tokens
+// Pools between every pair of tokens are discovered (pooldiscovery.js) and turned into a
+// directed graph whose edge weight is −ln(fee-adjusted spot rate). A closed path with negative
+// total weight returns more than it puts in at the margin; those are then sized on the
+// simulated curves (tradesizer.js) to confirm a real profit.
+// Only cycles through at least one pool the victim moves are reported: anything else is a
+// standing dislocation that existed before the trigger and is not ours to backrun.
+// Each reported cycle starts (and is sized) at a token the flash loan can borrow.
+import "dotenv/config";
+import { ethers } from "ethers";
+import { discoverPools } from "./pooldiscovery.js";
+import { fetchPoolState, spotPrice } from "./poolsimulator.js";
+import { optimalPathSize } from "./tradesizer.js";
+
+const MIN_LEGS = 3;
+const MAX_LEGS = Math.min(4, Math.max(MIN_LEGS, Number(process.env.CYCLE_MAX_LEGS || 4)));
+const MIN_EDGE_BPS = Number(process.env.CYCLE_MIN_EDGE_BPS || 10);
+const MAX_RESULTS = Number(process.env.CYCLE_MAX_RESULTS || 3);
+
+/**
+ * feeFraction(state) — swap fee as a fraction of the input, per pool type
+ */
+export function feeFraction(state) {
+  switch (state.type) {
+    case "v2":
+      return state.feeBps / 10_000;
+    case "v3":
+      return state.fee / 1_000_000;
+    case "balancer":
+      return Number(state.swapFee) / 1e18;
+    case "curve":
+      return Number(state.fee) / 1e10;
+    default:
+      return 0;
+  }
+}
+
+// ===========================================================
+// 🔹 Graph
+// ===========================================================
+
+/**
+ * buildPoolGraph(tokens, { overrides, readState })
+ * - overrides: Map(poolAddress lower → state) replacing the on-chain read (post-victim states)
+ * - readState: pool descriptor → state, defaults to a fresh fetchPoolState()
+ * → { edges: Map(token lower → [{ from, to, pool, state, rate, weight }]) }
+ */
+export async function buildPoolGraph(tokens, { overrides = new Map(), readState = fetchPoolState } = {}) {
+  const unique = [...new Set(tokens.filter(Boolean).map((t) => ethers.getAddress(t.toLowerCase())))];
+  const pairs = [];
+  for (let i = 0; i < unique.length; i++) {
+    for (let j = i + 1; j < unique.length; j++) pairs.push([unique[i], unique[j]]);
+  }
+
+  const found = (await Promise.all(pairs.map(([a, b]) => discoverPools(a, b)))).flat();
+  const edges = new Map();
+  const addEdge = (edge) => {
+    const key = edge.from.toLowerCase();
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push(edge);
+  };
+
+  await Promise.all(
+    found.map(async (pool) => {
+      const state = overrides.get(pool.pairAddress.toLowerCase()) ?? (await readState(pool));
+      if (!state) return;
+      const keep = 1 - feeFraction(state);
+
+      for (const [from, to] of [[pool.token0, pool.token1], [pool.token1, pool.token0]]) {
+        const rate = spotPrice(state, from, to) * keep;
+        if (!(rate > 0) || !Number.isFinite(rate)) continue;
+        addEdge({ from, to, pool, state, rate, weight: -Math.log(rate) });
+      }
+    })
+  );
+  return { edges };
+}
+
+// Per directed token pair keep the best-rate pool plus every pool the victim touched
+function pruneEdges(edges, mustTouch) {
+  const pruned = new Map();
+  for (const [from, list] of edges) {
+    const best = new Map();
+    const kept = [];
+    for (const e of list) {
+      const to = e.to.toLowerCase();
+      if (mustTouch.has(e.pool.pairAddress.toLowerCase())) kept.push(e);
+      else if (!best.has(to) || e.rate > best.get(to).rate) best.set(to, e);
+    }
+    pruned.set(from, [...kept, ...best.values()]);
+  }
+  return pruned;
+}
+
+// ===========================================================
+// 🔹 Cycle search
+// ===========================================================
+
+/**
+ * findCycles(graph, { mustTouch }) — negative-weight cycles of MIN_LEGS..MAX_LEGS legs
+ * through at least one pool in `mustTouch` (Set of pool addresses, lowercase), best first:
+ * [{ legs: [edge], edgeBps }]. Each cycle is reported once, starting at its lowest token.
+ */
+export function findCycles(graph, { mustTouch = new Set() } = {}) {
+  const edges = pruneEdges(graph.edges, mustTouch);
+  const cycles = [];
+
+  const walk = (start, token, legs, weight, tokensSeen, poolsSeen) => {
+    for (const e of edges.get(token) || []) {
+      const to = e.to.toLowerCase();
+      const pool = e.pool.pairAddress.toLowerCase();
+      if (poolsSeen.has(pool)) continue;
+
+      const path = [...legs, e];
+      const total = weight + e.weight;
+
+      if (to === start) {
+        if (path.length < MIN_LEGS || total >= 0) continue;
+        if (!path.some((l) => mustTouch.has(l.pool.pairAddress.toLowerCase()))) continue;
+        const edgeBps = (Math.exp(-total) - 1) * 10_000;
+        if (edgeBps >= MIN_EDGE_BPS) cycles.push({ legs: path, edgeBps });
+        continue;
+      }
+      // canonical start: every other token in the cycle sorts after it
+      if (path.length >= MAX_LEGS || tokensSeen.has(to) || to < start) continue;
+      walk(start, to, path, total, new Set([...tokensSeen, to]), new Set([...poolsSeen, pool]));
+    }
+  };
+
+  for (const start of edges.keys()) walk(start, start, [], 0, new Set([start]), new Set());
+  return cycles.sort((a, b) => b.edgeBps - a.edgeBps);
+}
+
+/**
+ * rotateToLoanable(cycle, loanTokens) — the same cycle starting at its first token found in
+ * `loanTokens` (preference order), or null when none of its tokens can be flash-borrowed
+ */
+export function rotateToLoanable(cycle, loanTokens) {
+  for (const token of loanTokens) {
+    const k = cycle.legs.findIndex((e) => e.from.toLowerCase() === token.toLowerCase());
+    if (k >= 0) return { ...cycle, legs: [...cycle.legs.slice(k), ...cycle.legs.slice(0, k)] };
+  }
+  return null;
+}
+
+/**
+ * sizeCycle(cycle) — numeric optimum starting from the cycle's first token
+ * → { amountIn, amounts, amountOut, profit, method } or null
+ */
+export function sizeCycle(cycle) {
+  return optimalPathSize(cycle.legs.map((e) => ({ state: e.state, tokenIn: e.from, tokenOut: e.to })));
+}
+
+/**
+ * searchCycles(tokens, { overrides, readState, loanTokens }) — graph + search + sizing in one call:
+ * [{ legs, edgeBps, size }] for the MAX_RESULTS best cycles that stay profitable once sized.
+ * Pools in `overrides` are the ones the cycles must pass through; cycles are rotated to start
+ * at a `loanTokens` entry and dropped when they hold none.
+ */
+export async function searchCycles(tokens, { overrides = new Map(), readState, loanTokens = [] } = {}) {
+  if (!overrides.size) return [];
+  const graph = await buildPoolGraph(tokens, { overrides, readState });
+  const results = [];
+  for (const found of findCycles(graph, { mustTouch: new Set(overrides.keys()) })) {
+    const cycle = rotateToLoanable(found, loanTokens);
+    if (!cycle) continue;
+    const size = sizeCycle(cycle);
+    if (size) results.push({ ...cycle, size });
+    if (results.length >= MAX_RESULTS) break;
+  }
+  return results;
+}
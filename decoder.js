@@ -3,161 +3,694 @@ import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { curveCoins } from "./curvecoins.js";
 
 // Fix __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ✅ Load ABIs WITHOUT assert syntax
-const v2ABI = JSON.parse(fs.readFileSync(path.join(__dirname, "uniswapV2Router.json"), "utf8"));
-const v3ABI = JSON.parse(fs.readFileSync(path.join(__dirname, "uniswapV3Router.json"), "utf8"));
-const balancerABI = JSON.parse(fs.readFileSync(path.join(__dirname, "balancerVault.json"), "utf8"));
-const curveABI = JSON.parse(fs.readFileSync(path.join(__dirname, "curvePool.json"), "utf8"));
-const kyberABI = JSON.parse(fs.readFileSync(path.join(__dirname, "kyberElastic.json"), "utf8"));
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
 
-// ✅ MAIN DECODE ENTRY
-export function decodeSwapForRouter(tx, routerKind) {
-  switch (routerKind) {
-    case "UNISWAP_V2":
-    case "SUSHISWAP":
-    case "QUICKSWAP":
-      return decodeV2(tx);
+// Multicall payloads can nest (multicall inside multicall); bail out past this depth
+const MAX_NESTING = 4;
 
-    case "UNISWAP_V3":
-    case "ZYBERSWAP_V3":
-      return decodeV3(tx);
+/* ────────────────────────────────
+          Decoder registry
+────────────────────────────────── */
+// Decoder families and the ABI files they use unless a routers.json entry names its own.
+// A router is added purely through routers.json: { address, kind, decoder, abi }.
+// Curve pools are called directly, so each pool to watch gets its own entry with decoder "curve".
+const DECODER_FAMILIES = {
+  "uniswap-v2": { decode: decodeV2, abi: ["uniswapV2Router.json"] },
+  "uniswap-v3": { decode: decodeV3, abi: ["uniswapV3Router.json", "swapRouter02.json"] },
+  "universal-router": { decode: decodeUniversalRouter, abi: ["universalRouter.json"] },
+  "balancer-vault": { decode: decodeBalancer, abi: ["balancerVault.json"] },
+  curve: { decode: decodeCurve, abi: ["curvePool.json"] },
+  "kyber-elastic": { decode: decodeKyber, abi: ["kyberElastic.json"] },
+  "1inch": { decode: aggregatorDecoder("1inch"), abi: ["oneInchRouter.json"] },
+  paraswap: { decode: aggregatorDecoder("paraswap"), abi: ["paraSwapAugustus.json"] },
+  "0x": { decode: aggregatorDecoder("0x"), abi: ["zeroExProxy.json"] },
+  odos: { decode: aggregatorDecoder("odos"), abi: ["odosRouter.json"] },
+};
+
+// Family used when a routers.json entry has no `decoder` field
+const DEFAULT_DECODER_BY_KIND = {
+  V2: "uniswap-v2",
+  V3: "uniswap-v3",
+  UNIVERSAL_ROUTER: "universal-router",
+  BALANCER: "balancer-vault",
+  CURVE: "curve",
+  KYBER: "kyber-elastic",
+};
+
+export const decoderFamilies = Object.keys(DECODER_FAMILIES);
+
+// ABI file -> parsed fragments (shared by every router using the file)
+const abiCache = new Map();
+
+function loadAbi(file) {
+  if (!abiCache.has(file)) {
+    abiCache.set(file, JSON.parse(fs.readFileSync(path.join(__dirname, file), "utf8")));
+  }
+  return abiCache.get(file);
+}
 
-    case "BALANCER":
-      return decodeBalancer(tx);
+// One Interface over all of an entry's ABI files, identical fragments listed once
+function buildInterface(files) {
+  const seen = new Set();
+  const fragments = files
+    .flatMap(loadAbi)
+    .map((f) => ethers.Fragment.from(f))
+    .filter((f) => {
+      const sig = f.format("sighash");
+      if (seen.has(sig)) return false;
+      seen.add(sig);
+      return true;
+    });
+  return new ethers.Interface(fragments);
+}
+
+/**
+ * createDecoderRegistry(routers) — routers.json object → registry
+ * - get(address): { name, kind, family, decode(tx) } or null
+ * - problems: [{ router, reason }] for entries that cannot be decoded (excluded from the registry)
+ */
+export function createDecoderRegistry(routers) {
+  const byAddress = new Map();
+  const problems = [];
+
+  for (const [name, r] of Object.entries(routers)) {
+    if (!r?.address) {
+      problems.push({ router: name, reason: "missing address" });
+      continue;
+    }
 
-    case "CURVE":
-      return decodeCurve(tx);
+    const familyName = r.decoder || DEFAULT_DECODER_BY_KIND[r.kind];
+    const family = DECODER_FAMILIES[familyName];
+    if (!family) {
+      problems.push({
+        router: name,
+        reason: r.decoder
+          ? `unknown decoder "${r.decoder}" (known: ${decoderFamilies.join(", ")})`
+          : `unknown kind "${r.kind}" and no decoder declared`,
+      });
+      continue;
+    }
 
-    case "KYBER":
-      return decodeKyber(tx);
+    const abiFiles = r.abi ? [].concat(r.abi) : family.abi;
+    let iface;
+    try {
+      iface = buildInterface(abiFiles);
+    } catch (err) {
+      problems.push({ router: name, reason: `ABI ${abiFiles.join(", ")}: ${err.message}` });
+      continue;
+    }
 
-    default:
-      return null;
+    byAddress.set(r.address.toLowerCase(), {
+      name,
+      kind: r.kind,
+      family: familyName,
+      decode: (tx) => family.decode(tx, iface),
+    });
   }
+
+  return {
+    get(address) {
+      return (address && byAddress.get(address.toLowerCase())) || null;
+    },
+    addresses() {
+      return [...byAddress.keys()];
+    },
+    problems,
+  };
+}
+
+/**
+ * ✅ MAIN DECODE ENTRY
+ * Resolves to every swap found in the tx as a list (empty when nothing decodes).
+ * `router` is a registry entry from createDecoderRegistry().get(tx.to).
+ * Multicall / Universal Router txs produce one entry per inner V2 or V3 leg.
+ * Aggregator txs produce one entry whose `hops` list the pools where the route is encoded.
+ * Async because Curve coin indexes may need an on-chain coins(i) lookup.
+ */
+export async function decodeSwapForRouter(tx, router) {
+  if (!router) return [];
+  return router.decode(tx);
 }
 
 /* ────────────────────────────────
    Uniswap V2 / QuickSwap / Sushi
 ────────────────────────────────── */
-function decodeV2(tx) {
-  const iface = new ethers.Interface(v2ABI);
-
+function decodeV2(tx, iface) {
   try {
-    const decoded = iface.parseTransaction({ data: tx.input });
-
-    return {
-      method: decoded.name,
-      tokenIn: decoded.args.path[0],
-      tokenOut: decoded.args.path[decoded.args.path.length - 1],
-      amountIn: decoded.args.amountIn?.toString() ?? null,
-      amountOutMin: decoded.args.amountOutMin?.toString() ?? null,
-    };
+    return [v2Swap(iface.parseTransaction({ data: tx.input }), { value: tx.value })];
   } catch {
-    return null;
+    return [];
   }
 }
 
+/**
+ * Normalized V2 swap:
+ * - direction: "exact-in" (amountIn fixed, amountOutMin bound) or "exact-out" (amountOut fixed, amountInMax bound)
+ * - amountInSource: "calldata" or "msg.value" for the ETH-in methods, whose input is the tx value
+ * - feeOnTransfer: true for the *SupportingFeeOnTransferTokens variants (received amount may be lower)
+ * - deadline: from calldata, or from the enclosing multicall for SwapRouter02 (null if none)
+ */
+function v2Swap(decoded, { value, deadline = null } = {}) {
+  const { args, name } = decoded;
+  const path = [...args.path];
+  const exactOut = /^swap(Tokens|ETH)ForExact/.test(name);
+  const ethIn = /^swap(Exact)?ETHFor/.test(name);
+  const ethValue = ethIn ? BigInt(value ?? 0).toString() : null;
+
+  return {
+    method: name,
+    protocol: "V2",
+    direction: exactOut ? "exact-out" : "exact-in",
+    amountInSource: ethIn ? "msg.value" : "calldata",
+    tokenIn: path[0],
+    tokenOut: path[path.length - 1],
+    path,
+    amountIn: exactOut ? null : (ethIn ? ethValue : args.amountIn.toString()),
+    amountOutMin: exactOut ? null : args.amountOutMin.toString(),
+    amountOut: exactOut ? args.amountOut.toString() : null,
+    amountInMax: exactOut ? (ethIn ? ethValue : args.amountInMax.toString()) : null,
+    recipient: args.to,
+    deadline: (args.deadline ?? deadline)?.toString() ?? null,
+    feeOnTransfer: name.endsWith("SupportingFeeOnTransferTokens"),
+  };
+}
+
 /* ────────────────────────────────
-             Uniswap V3
+     Uniswap V3 / SwapRouter02
 ────────────────────────────────── */
-function decodeV3(tx) {
-  const iface = new ethers.Interface(v3ABI);
+function decodeV3(tx, iface) {
+  return decodeV3Call(iface, tx.input, 0, null);
+}
 
-  try {
-    const decoded = iface.parseTransaction({ data: tx.input });
+// V3 swap methods, SwapRouter02 multicall (recursing into each inner call) and the
+// V2 methods SwapRouter02 exposes without a deadline argument
+function decodeV3Call(iface, data, depth, deadline) {
+  if (depth > MAX_NESTING) return [];
 
-    if (decoded.name === "exactInputSingle") {
-      return {
-        method: decoded.name,
-        tokenIn: decoded.args.params.tokenIn,
-        tokenOut: decoded.args.params.tokenOut,
-        amountIn: decoded.args.params.amountIn.toString(),
-        amountOutMin: decoded.args.params.amountOutMinimum.toString(),
-      };
-    }
+  const decoded = tryParse(iface, data);
+  if (!decoded) return [];
+  if (decoded.name === "multicall") {
+    const outer = decoded.args.length === 2 && typeof decoded.args[0] === "bigint" ? decoded.args[0] : deadline;
+    return [...decoded.args.data].flatMap((inner) => decodeV3Call(iface, inner, depth + 1, outer));
+  }
+  if (decoded.name.startsWith("exact")) return v3Swap(decoded, { deadline });
+  if (decoded.args.path) return [v2Swap(decoded, { deadline })];
+  return [];
+}
 
-    if (decoded.name === "exactInput") {
-      const path = decoded.args.path;
-      const tokenIn = "0x" + path.slice(26, 66);
-      const tokenOut = "0x" + path.slice(path.length - 40);
+/**
+ * Normalized V3 swap. `hops` lists every pool the swap crosses, in trade order:
+ * [{ tokenIn, fee, tokenOut }]. Exact-output paths are encoded tokenOut → tokenIn
+ * on-chain and are flipped here so hops always read from the input token.
+ */
+function v3Swap(decoded, { deadline = null } = {}) {
+  const p = decoded.args.params;
+  const single = decoded.name.endsWith("Single");
+  const exactOut = decoded.name.startsWith("exactOutput");
 
-      return {
-        method: decoded.name,
-        tokenIn: ethers.getAddress(tokenIn),
-        tokenOut: ethers.getAddress(tokenOut),
-        amountIn: decoded.args.amountIn.toString(),
-        amountOutMin: decoded.args.amountOutMinimum.toString(),
-      };
-    }
+  const hops = single
+    ? [{ tokenIn: p.tokenIn, fee: Number(p.fee), tokenOut: p.tokenOut }]
+    : v3PathHops(p.path, exactOut);
+  if (!hops.length) return [];
+
+  return [v3Leg(decoded.name, hops, {
+    exactOut,
+    amountA: exactOut ? p.amountOut : p.amountIn,
+    amountB: exactOut ? p.amountInMaximum : p.amountOutMinimum,
+    recipient: p.recipient,
+    // SwapRouter carries the deadline in params, SwapRouter02 in the enclosing multicall
+    deadline: p.deadline ?? deadline,
+  })];
+}
+
+function v3Leg(method, hops, { exactOut, amountA, amountB, recipient, deadline }) {
+  return {
+    method,
+    protocol: "V3",
+    direction: exactOut ? "exact-out" : "exact-in",
+    tokenIn: hops[0].tokenIn,
+    tokenOut: hops[hops.length - 1].tokenOut,
+    hops,
+    amountIn: exactOut ? null : amountA.toString(),
+    amountOutMin: exactOut ? null : amountB.toString(),
+    amountOut: exactOut ? amountA.toString() : null,
+    amountInMax: exactOut ? amountB.toString() : null,
+    recipient,
+    deadline: deadline?.toString() ?? null,
+  };
+}
+
+// V3 path bytes: token (20) | fee (3) | token (20) | fee (3) | token (20) ...
+function decodeV3Path(pathHex) {
+  const bytes = ethers.getBytes(pathHex);
+  const tokens = [];
+  const fees = [];
+  let i = 0;
+  while (i + 20 <= bytes.length) {
+    tokens.push(ethers.getAddress(ethers.hexlify(bytes.subarray(i, i + 20))));
+    i += 20;
+    if (i + 3 > bytes.length) break;
+    fees.push((bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2]);
+    i += 3;
+  }
+  // a well-formed path ends on a token: one more token than fees
+  if (tokens.length !== fees.length + 1) return { tokens: [], fees: [] };
+  return { tokens, fees };
+}
+
+function v3PathHops(pathHex, reversed = false) {
+  const { tokens, fees } = decodeV3Path(pathHex);
+  const hops = fees.map((fee, i) => ({ tokenIn: tokens[i], fee, tokenOut: tokens[i + 1] }));
+  if (!reversed) return hops;
+  return hops.reverse().map((h) => ({ tokenIn: h.tokenOut, fee: h.fee, tokenOut: h.tokenIn }));
+}
+
+function tryParse(iface, data) {
+  try {
+    return iface.parseTransaction({ data });
   } catch {
     return null;
   }
 }
 
+/* ────────────────────────────────
+       Uniswap Universal Router
+────────────────────────────────── */
+// Command byte layout: bit 7 = allow revert, bits 0-5 = command type
+const UR_COMMAND_MASK = 0x3f;
+const UR_V3_SWAP_EXACT_IN = 0x00;
+const UR_V3_SWAP_EXACT_OUT = 0x01;
+const UR_V2_SWAP_EXACT_IN = 0x08;
+const UR_V2_SWAP_EXACT_OUT = 0x09;
+const UR_EXECUTE_SUB_PLAN = 0x21;
+
+function decodeUniversalRouter(tx, iface) {
+  const decoded = tryParse(iface, tx.input);
+  if (!decoded) return [];
+  const deadline = decoded.args.length === 3 ? decoded.args[2] : null;
+  return decodeCommands(decoded.args.commands, decoded.args.inputs, decoded.name, deadline, 0);
+}
+
+function decodeCommands(commandsHex, inputs, method, deadline, depth) {
+  if (depth > MAX_NESTING) return [];
+  const commands = ethers.getBytes(commandsHex);
+  const swaps = [];
+
+  commands.forEach((raw, i) => {
+    const input = inputs[i];
+    if (!input) return;
+
+    try {
+      switch (raw & UR_COMMAND_MASK) {
+        case UR_V3_SWAP_EXACT_IN:
+        case UR_V3_SWAP_EXACT_OUT: {
+          const exactOut = (raw & UR_COMMAND_MASK) === UR_V3_SWAP_EXACT_OUT;
+          const [recipient, amountA, amountB, path] = abiCoder.decode(
+            ["address", "uint256", "uint256", "bytes", "bool"], input);
+          const hops = v3PathHops(path, exactOut);
+          if (!hops.length) break;
+          swaps.push(v3Leg(
+            `${method}:${exactOut ? "V3_SWAP_EXACT_OUT" : "V3_SWAP_EXACT_IN"}`,
+            hops,
+            { exactOut, amountA, amountB, recipient, deadline }
+          ));
+          break;
+        }
+        case UR_V2_SWAP_EXACT_IN:
+        case UR_V2_SWAP_EXACT_OUT: {
+          // same shape as router V2 swaps; the Universal Router has no ETH-in or FoT variants
+          const exactOut = (raw & UR_COMMAND_MASK) === UR_V2_SWAP_EXACT_OUT;
+          const [recipient, amountA, amountB, path] = abiCoder.decode(
+            ["address", "uint256", "uint256", "address[]", "bool"], input);
+          swaps.push({
+            method: `${method}:${exactOut ? "V2_SWAP_EXACT_OUT" : "V2_SWAP_EXACT_IN"}`,
+            protocol: "V2",
+            direction: exactOut ? "exact-out" : "exact-in",
+            amountInSource: "calldata",
+            tokenIn: path[0],
+            tokenOut: path[path.length - 1],
+            path: [...path],
+            amountIn: exactOut ? null : amountA.toString(),
+            amountOutMin: exactOut ? null : amountB.toString(),
+            amountOut: exactOut ? amountA.toString() : null,
+            amountInMax: exactOut ? amountB.toString() : null,
+            recipient,
+            deadline: deadline?.toString() ?? null,
+            feeOnTransfer: false,
+          });
+          break;
+        }
+        case UR_EXECUTE_SUB_PLAN: {
+          const [subCommands, subInputs] = abiCoder.decode(["bytes", "bytes[]"], input);
+          swaps.push(...decodeCommands(subCommands, subInputs, method, deadline, depth + 1));
+          break;
+        }
+        default:
+          // wraps, permits, transfers, sweeps — not swaps
+          break;
+      }
+    } catch {
+      // malformed input for this command; keep the other legs
+    }
+  });
+
+  return swaps;
+}
+
 /* ────────────────────────────────
               Balancer
 ────────────────────────────────── */
-function decodeBalancer(tx) {
-  const iface = new ethers.Interface(balancerABI);
+// SwapKind enum of the Vault
+const BALANCER_SWAP_KIND = ["GIVEN_IN", "GIVEN_OUT"];
 
-  try {
-    const decoded = iface.parseTransaction({ data: tx.input });
+/**
+ * One record per Vault step: { poolId, pool, swapKind, tokenIn, tokenOut, amount, ... }
+ * - pool: the pool contract, i.e. the first 20 bytes of the poolId
+ * - GIVEN_IN fixes the amount sent in, GIVEN_OUT the amount received
+ * - batchSwap steps with amount "0" take the previous step's output (GIVEN_IN) or input (GIVEN_OUT)
+ * - limits: swap() has one limit (min out for GIVEN_IN, max in for GIVEN_OUT); batchSwap has
+ *   one per asset, positive = max the Vault may pull in, negative = min the caller must receive
+ */
+function decodeBalancer(tx, iface) {
+  const decoded = tryParse(iface, tx.input);
+  if (!decoded) return [];
 
-    return {
+  try {
+    const { funds, deadline } = decoded.args;
+    const common = {
       method: decoded.name,
-      tokenIn: decoded.args.assets?.[0] || null,
-      tokenOut: decoded.args.assets?.[decoded.args.assets.length - 1] || null,
-      amountIn: decoded.args.limits?.[0]?.toString() ?? null,
-      amountOutMin: decoded.args.limits?.[decoded.args.limits.length - 1]?.toString() ?? null,
+      protocol: "BALANCER",
+      recipient: funds.recipient,
+      deadline: deadline.toString(),
     };
+
+    if (decoded.name === "swap") {
+      const s = decoded.args.singleSwap;
+      const swapKind = BALANCER_SWAP_KIND[Number(s.kind)];
+      const givenIn = swapKind === "GIVEN_IN";
+      return [{
+        ...common,
+        ...balancerStep(0, s.poolId, swapKind, s.assetIn, s.assetOut, s.amount),
+        amountIn: givenIn ? s.amount.toString() : null,
+        amountOutMin: givenIn ? decoded.args.limit.toString() : null,
+        amountOut: givenIn ? null : s.amount.toString(),
+        amountInMax: givenIn ? null : decoded.args.limit.toString(),
+      }];
+    }
+
+    const swapKind = BALANCER_SWAP_KIND[Number(decoded.args.kind)];
+    const givenIn = swapKind === "GIVEN_IN";
+    const { assets, limits } = decoded.args;
+    const maxIn = (i) => (limits[i] > 0n ? limits[i].toString() : null);
+    const minOut = (i) => (limits[i] < 0n ? (-limits[i]).toString() : null);
+
+    return decoded.args.swaps.map((step, i) => {
+      const inIdx = Number(step.assetInIndex);
+      const outIdx = Number(step.assetOutIndex);
+      const chained = step.amount === 0n;
+      return {
+        ...common,
+        ...balancerStep(i, step.poolId, swapKind, assets[inIdx], assets[outIdx], step.amount),
+        amountIn: givenIn && !chained ? step.amount.toString() : null,
+        amountOutMin: givenIn ? minOut(outIdx) : null,
+        amountOut: !givenIn && !chained ? step.amount.toString() : null,
+        amountInMax: givenIn ? null : maxIn(inIdx),
+      };
+    });
   } catch {
-    return null;
+    return [];
   }
 }
 
+function balancerStep(step, poolId, swapKind, tokenIn, tokenOut, amount) {
+  return {
+    step,
+    poolId,
+    pool: ethers.getAddress(ethers.dataSlice(poolId, 0, 20)),
+    swapKind,
+    direction: swapKind === "GIVEN_IN" ? "exact-in" : "exact-out",
+    tokenIn,
+    tokenOut,
+    amount: amount.toString(),
+  };
+}
+
 /* ────────────────────────────────
                 Curve
 ────────────────────────────────── */
-function decodeCurve(tx) {
-  const iface = new ethers.Interface(curveABI);
+// Direct pool calls carry coin indexes (resolved via coins(i) / underlying_coins(i));
+// Curve Router NG calls carry the full route: [token, pool, token, pool, token, ...]
+async function decodeCurve(tx, iface) {
+  const decoded = tryParse(iface, tx.input);
+  if (!decoded) return [];
 
   try {
-    const decoded = iface.parseTransaction({ data: tx.input });
+    if (decoded.fragment.inputs[0].type === "address[11]") return [curveRouterSwap(decoded, tx)];
 
-    return {
+    const underlying = decoded.name === "exchange_underlying";
+    const [i, j, dx, minDy] = decoded.args;
+    const [tokenIn, tokenOut] = await curveCoins(tx.to, [Number(i), Number(j)], { underlying });
+
+    return [{
       method: decoded.name,
-      tokenIn: decoded.args._from,
-      tokenOut: decoded.args._to,
-      amountIn: decoded.args._dx?.toString() ?? null,
-      amountOutMin: decoded.args._min_dy?.toString() ?? null,
-    };
+      protocol: "CURVE",
+      direction: "exact-in",
+      tokenIn,
+      tokenOut,
+      hops: [{ pool: tx.to, i: Number(i), j: Number(j), underlying, tokenIn, tokenOut }],
+      amountIn: dx.toString(),
+      amountOutMin: minDy.toString(),
+      recipient: decoded.args.length > 4 ? decoded.args[4] : tx.from ?? null,
+    }];
   } catch {
-    return null;
+    return [];
   }
 }
 
+// swap_params rows are [i, j, swap_type, pool_type, n_coins]; the route ends at the first zero pool
+function curveRouterSwap(decoded, tx) {
+  const route = [...decoded.args._route];
+  const params = decoded.args._swap_params;
+  const hops = [];
+
+  for (let k = 0; 2 * k + 2 < route.length; k++) {
+    const pool = route[2 * k + 1];
+    if (pool === ethers.ZeroAddress) break;
+    const [i, j, swapType] = params[k].map(Number);
+    hops.push({ pool, i, j, swapType, tokenIn: route[2 * k], tokenOut: route[2 * k + 2] });
+  }
+  if (!hops.length) throw new Error("empty Curve route");
+
+  return {
+    method: decoded.name,
+    protocol: "CURVE",
+    direction: "exact-in",
+    tokenIn: hops[0].tokenIn,
+    tokenOut: hops[hops.length - 1].tokenOut,
+    hops,
+    amountIn: decoded.args._amount.toString(),
+    amountOutMin: decoded.args._min_dy.toString(),
+    recipient: decoded.args.length > 5 ? decoded.args[5] : tx.from ?? null,
+  };
+}
+
 /* ────────────────────────────────
                 Kyber
 ────────────────────────────────── */
-function decodeKyber(tx) {
-  const iface = new ethers.Interface(kyberABI);
-
+function decodeKyber(tx, iface) {
   try {
     const decoded = iface.parseTransaction({ data: tx.input });
 
-    return {
+    return [{
       method: decoded.name,
       tokenIn: decoded.args.tokenIn,
       tokenOut: decoded.args.tokenOut,
       amountIn: decoded.args.amountIn?.toString() ?? null,
       amountOutMin: decoded.args.minAmountOut?.toString() ?? null,
-    };
+    }];
   } catch {
-    return null;
+    return [];
   }
-}
\ No newline at end of file
+}
+
+/* ────────────────────────────────
+   Aggregators (1inch, ParaSwap, 0x, Odos)
+────────────────────────────────── */
+// Packed pool words: pool address in the low 160 bits, flags above
+const ADDRESS_MASK = (1n << 160n) - 1n;
+const ONEINCH_V5_REVERSE_BIT = 255n;
+const ONEINCH_V6_PROTOCOL_OFFSET = 253n;
+const ONEINCH_V6_ZERO_FOR_ONE_BIT = 247n;
+const ONEINCH_V6_PROTOCOLS = ["V2", "V3", "CURVE"];
+
+function wordAddress(word) {
+  return ethers.getAddress(ethers.toBeHex(BigInt(word) & ADDRESS_MASK, 20));
+}
+
+function bit(word, n) {
+  return ((BigInt(word) >> n) & 1n) === 1n;
+}
+
+/**
+ * Every aggregator swap: { aggregator, tokenIn, tokenOut, amountIn, amountOutMin, recipient, hops }
+ * - hops carry whatever the calldata encodes: a pool address, token pair + fee, or both;
+ *   routes hidden in executor payloads (1inch swap, ParaSwap simpleSwap, Odos) yield no hops
+ * - tokenIn/tokenOut are null when only pool addresses are encoded (1inch uniswapV3Swap)
+ */
+function aggregatorDecoder(aggregator) {
+  return (tx, iface) => {
+    const decoded = tryParse(iface, tx.input);
+    if (!decoded) return [];
+
+    try {
+      const route = AGGREGATOR_ROUTES[aggregator](decoded, tx);
+      if (!route) return [];
+      return [{
+        method: `${aggregator}:${decoded.name}`,
+        protocol: "AGGREGATOR",
+        aggregator,
+        direction: "exact-in",
+        amountInSource: route.amountInSource ?? "calldata",
+        tokenIn: route.tokenIn ?? null,
+        tokenOut: route.tokenOut ?? null,
+        amountIn: route.amountIn?.toString() ?? null,
+        amountOutMin: route.amountOutMin?.toString() ?? null,
+        recipient: route.recipient ?? tx.from ?? null,
+        hops: route.hops ?? [],
+      }];
+    } catch {
+      return [];
+    }
+  };
+}
+
+const AGGREGATOR_ROUTES = {
+  "1inch": (d, tx) => {
+    const a = d.args;
+    if (d.name === "swap") {
+      return {
+        tokenIn: a.desc.srcToken,
+        tokenOut: a.desc.dstToken,
+        amountIn: a.desc.amount,
+        amountOutMin: a.desc.minReturnAmount,
+        recipient: a.desc.dstReceiver,
+      };
+    }
+
+    // v6 unoswap family: token/recipient are uint256-packed addresses, one dex word per hop
+    if (d.fragment.inputs.some((p) => p.name === "dex")) {
+      const dexes = d.fragment.inputs.filter((p) => p.name.startsWith("dex")).map((p) => a[p.name]);
+      return {
+        tokenIn: wordAddress(a.token),
+        amountIn: a.amount,
+        amountOutMin: a.minReturn,
+        recipient: a.to != null ? wordAddress(a.to) : tx.from,
+        hops: dexes.map((dex) => ({
+          pool: wordAddress(dex),
+          protocol: ONEINCH_V6_PROTOCOLS[Number(BigInt(dex) >> ONEINCH_V6_PROTOCOL_OFFSET)] ?? null,
+          zeroForOne: bit(dex, ONEINCH_V6_ZERO_FOR_ONE_BIT),
+        })),
+      };
+    }
+
+    // v5 unoswap (V2 pairs) / uniswapV3Swap (V3 pools); top bit flips the pool direction
+    const protocol = d.name.startsWith("uniswapV3") ? "V3" : "V2";
+    return {
+      tokenIn: a.srcToken ?? null,
+      amountIn: a.amount,
+      amountOutMin: a.minReturn,
+      recipient: a.recipient ?? tx.from,
+      amountInSource: a.srcToken === ethers.ZeroAddress ? "msg.value" : "calldata",
+      hops: [...a.pools].map((p) => ({
+        pool: wordAddress(p),
+        protocol,
+        zeroForOne: !bit(p, ONEINCH_V5_REVERSE_BIT),
+      })),
+    };
+  },
+
+  paraswap: (d, tx) => {
+    if (d.name === "simpleSwap") {
+      const p = d.args.data;
+      return {
+        tokenIn: p.fromToken,
+        tokenOut: p.toToken,
+        amountIn: p.fromAmount,
+        amountOutMin: p.toAmount,
+        recipient: p.beneficiary === ethers.ZeroAddress ? tx.from : p.beneficiary,
+      };
+    }
+    return {
+      tokenIn: d.args.tokenIn,
+      amountIn: d.args.amountIn,
+      amountOutMin: d.args.amountOutMin,
+      hops: [...d.args.pools].map((p) => ({ pool: wordAddress(p), protocol: "V2" })),
+    };
+  },
+
+  "0x": (d, tx) => {
+    const a = d.args;
+    switch (d.name) {
+      case "transformERC20":
+        return {
+          tokenIn: a.inputToken,
+          tokenOut: a.outputToken,
+          amountIn: a.inputTokenAmount,
+          amountOutMin: a.minOutputTokenAmount,
+        };
+      case "sellToUniswap": {
+        const tokens = [...a.tokens];
+        return {
+          tokenIn: tokens[0],
+          tokenOut: tokens[tokens.length - 1],
+          amountIn: a.sellAmount,
+          amountOutMin: a.minBuyAmount,
+          hops: tokens.slice(1).map((tokenOut, i) => ({ tokenIn: tokens[i], tokenOut, protocol: "V2", isSushi: a.isSushi })),
+        };
+      }
+      default: {
+        // sell*ToUniswapV3: Uniswap V3 path bytes, same layout as the V3 router
+        const hops = v3PathHops(a.encodedPath).map((h) => ({ ...h, protocol: "V3" }));
+        if (!hops.length) return null;
+        const ethIn = d.name === "sellEthForTokenToUniswapV3";
+        return {
+          tokenIn: hops[0].tokenIn,
+          tokenOut: hops[hops.length - 1].tokenOut,
+          amountIn: ethIn ? BigInt(tx.value ?? 0) : a.sellAmount,
+          amountInSource: ethIn ? "msg.value" : "calldata",
+          amountOutMin: a.minBuyAmount,
+          recipient: a.recipient,
+          hops,
+        };
+      }
+    }
+  },
+
+  odos: (d) => {
+    if (d.name === "swap") {
+      const t = d.args.tokenInfo;
+      return {
+        tokenIn: t.inputToken,
+        tokenOut: t.outputToken,
+        amountIn: t.inputAmount,
+        amountOutMin: t.outputMin,
+        recipient: t.outputReceiver,
+      };
+    }
+    // swapMulti: valueOutMin bounds the combined output value, not a single token amount
+    const [input] = d.args.inputs;
+    const [output] = d.args.outputs;
+    return {
+      tokenIn: input?.tokenAddress,
+      tokenOut: output?.tokenAddress,
+      amountIn: input?.amountIn,
+      recipient: output?.receiver,
+    };
+  },
+};
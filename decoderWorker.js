@@ -1,16 +1,23 @@
 // decoderWorker.js
+import fs from "fs";
 import { parentPort } from "worker_threads";
-import { decodeSwapForRouter } from "./decoder.js"; // your ABI decoder
+import { createDecoderRegistry, decodeSwapForRouter } from "./decoder.js"; // your ABI decoder
 
-parentPort.on("message", (batch) => {
-  const results = [];
-  for (const tx of batch) {
-    try {
-      const decoded = decodeSwapForRouter(tx, tx.routerKind);
-      results.push({ ...tx, decoded });
-    } catch (e) {
-      results.push({ ...tx, decoded: null, error: e.message });
-    }
-  }
-  parentPort.postMessage(results);
+// Same routers.json as the main thread; routers it reported as undecodable resolve to null here
+const registry = createDecoderRegistry(JSON.parse(fs.readFileSync("./routers.json", "utf8")));
+
+// Messages are { id, batch } from decoderpool.js; the reply echoes the id.
+// `decoded` is the list of swaps found in each tx (empty when nothing decodes).
+parentPort.on("message", async ({ id, batch }) => {
+  const results = await Promise.all(
+    batch.map(async (tx) => {
+      try {
+        const decoded = await decodeSwapForRouter(tx, registry.get(tx.to));
+        return { ...tx, decoded };
+      } catch (e) {
+        return { ...tx, decoded: [], error: e.message };
+      }
+    })
+  );
+  parentPort.postMessage({ id, results });
 });
\ No newline at end of file
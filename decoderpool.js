@@ -0,0 +1,184 @@
+// decoderpool.js — supervised, elastic pool of decoderWorker.js threads
+// - dispatches each batch to the least-loaded worker (fewest txs in flight)
+// - restarts crashed workers and re-dispatches the batches they were holding
+// - scales between DECODER_WORKERS_MIN and DECODER_WORKERS_MAX on backlog
+// - exposes per-worker throughput / backlog via stats()
+import "dotenv/config";
+import { Worker } from "worker_threads";
+import { EventEmitter } from "events";
+
+const MIN_WORKERS = Number(process.env.DECODER_WORKERS_MIN || 2);
+const MAX_WORKERS = Number(process.env.DECODER_WORKERS_MAX || 6);
+// Average in-flight txs per worker above which one more worker is started
+const SCALE_UP_BACKLOG = Number(process.env.DECODER_SCALE_UP_BACKLOG || 200);
+// A worker with nothing in flight for this long is retired (down to MIN_WORKERS)
+const SCALE_DOWN_IDLE_MS = Number(process.env.DECODER_SCALE_DOWN_IDLE_MS || 30_000);
+const RESTART_DELAY_MS = 1000;
+// A batch that was being decoded when its worker crashed this many times is dropped
+const MAX_BATCH_CRASHES = 2;
+const TICK_MS = 1000;
+
+/**
+ * createDecoderPool({ script, min, max })
+ * Returns an EventEmitter with dispatch(txs), stats(), close();
+ * emits "decoded" with the decoded batch (same shape decoderWorker.js returns).
+ */
+export function createDecoderPool({ script = "./decoderWorker.js", min = MIN_WORKERS, max = MAX_WORKERS } = {}) {
+  const pool = new EventEmitter();
+  const workers = new Set();
+  let nextWorkerId = 1;
+  let nextBatchId = 1;
+  let closed = false;
+  let restarts = 0;
+  // Batches waiting for a worker (only while every worker is down)
+  const pending = [];
+
+  function spawn() {
+    const w = {
+      id: nextWorkerId++,
+      worker: new Worker(script),
+      inflight: new Map(), // batchId -> { batch, crashes, sentAt } in dispatch order
+      backlog: 0,
+      decoded: 0,
+      batches: 0,
+      errors: 0,
+      rate: 0,
+      lastDecoded: 0,
+      latencyMs: 0,
+      startedAt: Date.now(),
+      idleSince: Date.now(),
+      retiring: false,
+    };
+
+    w.worker.on("message", ({ id, results }) => {
+      const job = w.inflight.get(id);
+      if (!job) return;
+      w.inflight.delete(id);
+      w.backlog -= job.batch.length;
+      w.decoded += results.length;
+      w.batches++;
+      w.errors += results.filter((r) => r.error).length;
+      w.latencyMs = w.latencyMs ? w.latencyMs * 0.8 + (Date.now() - job.sentAt) * 0.2 : Date.now() - job.sentAt;
+      if (!w.backlog) w.idleSince = Date.now();
+
+      pool.emit("decoded", results);
+
+      if (w.retiring && !w.backlog) w.worker.terminate();
+    });
+
+    w.worker.on("error", (err) => {
+      console.error(`[decoderpool] worker #${w.id} error:`, err?.message || err);
+    });
+
+    w.worker.on("exit", (code) => {
+      workers.delete(w);
+      if (closed || (w.retiring && !w.inflight.size)) return;
+
+      restarts++;
+      console.warn(`💀 Decoder worker #${w.id} exited (code ${code}) — restarting, re-dispatching ${w.inflight.size} batches`);
+      // Workers decode in order, so only the oldest in-flight batch can have caused the crash
+      let head = true;
+      for (const job of w.inflight.values()) {
+        const crashes = head ? job.crashes + 1 : job.crashes;
+        head = false;
+        if (crashes >= MAX_BATCH_CRASHES) {
+          console.warn(`[decoderpool] dropping batch of ${job.batch.length} txs after ${crashes} worker crashes`);
+          continue;
+        }
+        send(job.batch, crashes);
+      }
+      setTimeout(() => {
+        if (!closed && workers.size < max) spawn();
+      }, RESTART_DELAY_MS);
+    });
+
+    workers.add(w);
+    while (pending.length) send(...pending.shift());
+    return w;
+  }
+
+  function leastLoaded() {
+    let best = null;
+    for (const w of workers) {
+      if (w.retiring) continue;
+      if (!best || w.backlog < best.backlog) best = w;
+    }
+    return best;
+  }
+
+  function send(batch, crashes = 0) {
+    const w = leastLoaded();
+    if (!w) {
+      pending.push([batch, crashes]);
+      return;
+    }
+    const id = nextBatchId++;
+    w.inflight.set(id, { batch, crashes, sentAt: Date.now() });
+    w.backlog += batch.length;
+    w.worker.postMessage({ id, batch });
+  }
+
+  // === Autoscaling + throughput sampling ===
+  let lastTick = Date.now();
+  const tickTimer = setInterval(() => {
+    const now = Date.now();
+    const elapsed = (now - lastTick) / 1000;
+    lastTick = now;
+
+    for (const w of workers) {
+      const perSec = (w.decoded - w.lastDecoded) / elapsed;
+      w.lastDecoded = w.decoded;
+      w.rate = w.rate * 0.7 + perSec * 0.3;
+    }
+
+    const active = [...workers].filter((w) => !w.retiring);
+    const backlog = active.reduce((sum, w) => sum + w.backlog, 0);
+
+    if (active.length < max && active.length && backlog / active.length > SCALE_UP_BACKLOG) {
+      const w = spawn();
+      console.log(`📈 Decoder pool scaled up to ${active.length + 1} (worker #${w.id}, backlog ${backlog})`);
+      return;
+    }
+
+    if (active.length > min) {
+      const idle = active.find((w) => !w.backlog && now - w.idleSince > SCALE_DOWN_IDLE_MS);
+      if (idle) {
+        idle.retiring = true;
+        idle.worker.terminate();
+        console.log(`📉 Decoder pool scaled down to ${active.length - 1} (retired worker #${idle.id})`);
+      }
+    }
+  }, TICK_MS);
+  tickTimer.unref();
+
+  for (let i = 0; i < min; i++) spawn();
+
+  pool.dispatch = (txs) => {
+    if (txs?.length) send(txs);
+  };
+
+  pool.stats = () => ({
+    workers: workers.size,
+    restarts,
+    pending: pending.reduce((sum, [batch]) => sum + batch.length, 0),
+    perWorker: [...workers].map((w) => ({
+      id: w.id,
+      retiring: w.retiring,
+      backlog: w.backlog,
+      inflightBatches: w.inflight.size,
+      decoded: w.decoded,
+      errors: w.errors,
+      txPerSec: w.rate,
+      avgBatchMs: w.latencyMs,
+      uptimeMs: Date.now() - w.startedAt,
+    })),
+  });
+
+  pool.close = async () => {
+    closed = true;
+    clearInterval(tickTimer);
+    await Promise.all([...workers].map((w) => w.worker.terminate()));
+  };
+
+  return pool;
+}
@@ -0,0 +1,97 @@
+// feedprotocol.js — versioned message format of the local mempool feed (ws://127.0.0.1:7001)
+//
+// server → client  { v, type: "hello",      seq, heartbeatMs }
+//                  { v, type: "subscribed", seq, filters }
+//                  { v, type: "tx",         seq, data: packet }
+//                  { v, type: "lifecycle",  seq, data: { event, hash, from, nonce, ... } }
+//                  { v, type: "heartbeat",  seq, ts }
+//                  { v, type: "error",      seq, reason }
+// client → server  { v, type: "subscribe", filters: { dexKind?, tokens?, minAmountIn? } }
+//
+// `seq` is per connection and increases by one for every message, so a gap means loss.
+// Nothing but hello/heartbeat is sent until the client subscribes; `filters: {}` means everything.
+// Lifecycle events (replaced / dropped / mined) go to every subscribed client, unfiltered.
+
+export const FEED_PROTOCOL_VERSION = 1;
+
+export const FeedMessage = {
+  HELLO: "hello",
+  SUBSCRIBE: "subscribe",
+  SUBSCRIBED: "subscribed",
+  TX: "tx",
+  LIFECYCLE: "lifecycle",
+  HEARTBEAT: "heartbeat",
+  ERROR: "error",
+};
+
+function toList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).filter((v) => v != null && v !== "");
+}
+
+/**
+ * normalizeFilters(raw) → { dexKind: string[]|null, tokens: string[]|null, minAmountIn: string|null }
+ * Throws on values that cannot be interpreted, so the server can answer with an error.
+ */
+export function normalizeFilters(raw = {}) {
+  const dexKind = toList(raw.dexKind).map(String);
+  const tokens = toList(raw.tokens).map((t) => String(t).toLowerCase());
+
+  let minAmountIn = null;
+  if (raw.minAmountIn != null && raw.minAmountIn !== "") {
+    minAmountIn = BigInt(raw.minAmountIn).toString();
+  }
+
+  return {
+    dexKind: dexKind.length ? dexKind : null,
+    tokens: tokens.length ? tokens : null,
+    minAmountIn,
+  };
+}
+
+/**
+ * matchesFilters(packet, filters) — true when the packet passes every filter that is set.
+ * Token and amount filters pass when any of the packet's swaps satisfies them.
+ */
+export function matchesFilters(packet, filters) {
+  if (!filters) return false;
+
+  if (filters.dexKind && !filters.dexKind.includes(packet.dexKind)) return false;
+
+  const swaps = packet.swaps?.length ? packet.swaps : [packet];
+
+  if (filters.tokens) {
+    const hit = swaps.some((s) =>
+      filters.tokens.includes(s.tokenIn?.toLowerCase()) || filters.tokens.includes(s.tokenOut?.toLowerCase())
+    );
+    if (!hit) return false;
+  }
+
+  if (filters.minAmountIn) {
+    const min = BigInt(filters.minAmountIn);
+    const hit = swaps.some((s) => {
+      try {
+        return s.amountIn != null && BigInt(s.amountIn) >= min;
+      } catch {
+        return false;
+      }
+    });
+    if (!hit) return false;
+  }
+
+  return true;
+}
+
+export function encodeMessage(type, seq, body = {}) {
+  return JSON.stringify({ v: FEED_PROTOCOL_VERSION, type, seq, ...body });
+}
+
+/** parseMessage(raw) → object or null for anything that is not a protocol message */
+export function parseMessage(raw) {
+  try {
+    const msg = JSON.parse(typeof raw === "string" ? raw : raw.toString());
+    return msg && typeof msg.type === "string" ? msg : null;
+  } catch {
+    return null;
+  }
+}
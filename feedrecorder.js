@@ -0,0 +1,61 @@
+// feedrecorder.js — JSONL recording of the local mempool feed
+// One line per forwarded packet: { "t": <ms epoch>, "packet": { hash, dexKind, method, ... } }
+// and per lifecycle event:       { "t": <ms epoch>, "lifecycle": { event, hash, ... } }
+import fs from "fs";
+import readline from "readline";
+
+/**
+ * createFeedRecorder(file)
+ * Appends every packet with its forward timestamp; returns { record(packet), recordLifecycle(event), close() }
+ */
+export function createFeedRecorder(file) {
+  const stream = fs.createWriteStream(file, { flags: "a" });
+  let recorded = 0;
+
+  stream.on("error", (err) => {
+    console.error(`[feedrecorder] write failed (${file}):`, err.message);
+  });
+
+  console.log(`🎙️ Recording mempool feed to ${file}`);
+
+  return {
+    record(packet) {
+      stream.write(JSON.stringify({ t: Date.now(), packet }) + "\n");
+      recorded++;
+    },
+
+    recordLifecycle(event) {
+      stream.write(JSON.stringify({ t: Date.now(), lifecycle: event }) + "\n");
+      recorded++;
+    },
+
+    recordedCount() {
+      return recorded;
+    },
+
+    close() {
+      return new Promise((resolve) => stream.end(resolve));
+    },
+  };
+}
+
+/**
+ * readRecording(file) → [{ t, packet } | { t, lifecycle }] sorted by time
+ * Malformed lines (e.g. a partial last line after a crash) are skipped.
+ */
+export async function readRecording(file) {
+  const entries = [];
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (Number.isFinite(entry?.t) && (entry.packet || entry.lifecycle)) entries.push(entry);
+    } catch {
+      // ignore partial line
+    }
+  }
+
+  return entries.sort((a, b) => a.t - b.t);
+}
@@ -0,0 +1,57 @@
+// feedreplay.js — serve a recorded mempool feed on the local feed port
+// Usage:
+//   node feedreplay.js <recording.jsonl> [--speed 10] [--loop]
+// Replay starts when the first client subscribes, so backrunwatcher.js sees the whole
+// recording from the first packet; gaps between packets are the recorded gaps / speed.
+import "dotenv/config";
+import { readRecording } from "./feedrecorder.js";
+import { startFeedServer } from "./feedserver.js";
+
+const args = process.argv.slice(2);
+const file = args.find((a) => !a.startsWith("--") && !/^\d+(\.\d+)?$/.test(a));
+const speedIdx = args.indexOf("--speed");
+const speed = speedIdx >= 0 ? Number(args[speedIdx + 1]) : 1;
+const loop = args.includes("--loop");
+
+if (!file) throw new Error("❌ Usage: node feedreplay.js <recording.jsonl> [--speed N] [--loop]");
+if (!Number.isFinite(speed) || speed <= 0) throw new Error("❌ --speed must be a positive number");
+
+const entries = await readRecording(file);
+if (!entries.length) throw new Error(`❌ No packets in ${file}`);
+
+const durationMs = entries[entries.length - 1].t - entries[0].t;
+console.log(
+  `📼 Loaded ${entries.length} packets (${(durationMs / 1000).toFixed(1)}s recorded) — speed x${speed}${loop ? ", looping" : ""}`
+);
+
+const feed = startFeedServer({ label: `replay of ${file}` });
+let started = false;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function replay() {
+  do {
+    const startedAt = Date.now();
+    for (const { t, packet, lifecycle } of entries) {
+      // Schedule against the replay start so timer drift does not accumulate
+      const due = startedAt + (t - entries[0].t) / speed;
+      const wait = due - Date.now();
+      if (wait > 0) await sleep(wait);
+      if (packet) feed.broadcast(packet);
+      else feed.broadcastLifecycle(lifecycle);
+    }
+    console.log(`✅ Replay pass finished (${entries.length} packets)`);
+  } while (loop);
+
+  // Let clients drain before closing
+  await sleep(500);
+  feed.close();
+}
+
+feed.onSubscribe(() => {
+  if (started) return;
+  started = true;
+  replay().catch((err) => console.error("[feedreplay] replay failed:", err?.message || err));
+});
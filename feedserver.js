@@ -0,0 +1,153 @@
+// feedserver.js — local WebSocket feed of decoded mempool packets (ws://127.0.0.1:7001)
+// Shared by pendingTransaction.js (live) and feedreplay.js (recorded) so downstream
+// modules cannot tell the two apart. Message format lives in feedprotocol.js.
+import "dotenv/config";
+import http from "http";
+import { WebSocketServer, WebSocket } from "ws";
+import {
+  FEED_PROTOCOL_VERSION,
+  FeedMessage,
+  encodeMessage,
+  matchesFilters,
+  normalizeFilters,
+  parseMessage,
+} from "./feedprotocol.js";
+
+export const FEED_PORT = Number(process.env.FEED_PORT || 7001);
+const HEARTBEAT_MS = Number(process.env.FEED_HEARTBEAT_MS || 5000);
+const DRAIN_MS = 50;
+
+// Backpressure: past this many bytes unsent on the socket, messages wait in a per-client
+// queue; a client whose queue reaches FEED_MAX_QUEUE is considered dead and disconnected.
+const MAX_BUFFERED_BYTES = Number(process.env.FEED_MAX_BUFFERED_BYTES || 1_000_000);
+const MAX_QUEUE = Number(process.env.FEED_MAX_QUEUE || 1000);
+
+/**
+ * startFeedServer({ port, label })
+ * Returns { broadcast(packet), broadcastLifecycle(event), clientCount(), stats(), onSubscribe(fn), close() }
+ */
+export function startFeedServer({ port = FEED_PORT, label = "decoded mempool tx" } = {}) {
+  const server = http.createServer();
+  const localWss = new WebSocketServer({ server });
+  const subscribeHandlers = [];
+  const clients = new Set();
+  let nextClientId = 1;
+
+  function flushQueue(c) {
+    while (c.queue.length && c.ws.bufferedAmount < MAX_BUFFERED_BYTES) {
+      c.ws.send(c.queue.shift());
+      c.sent++;
+    }
+  }
+
+  function send(c, type, body) {
+    if (c.ws.readyState !== WebSocket.OPEN) return;
+    const raw = encodeMessage(type, c.seq++, body);
+
+    if (!c.queue.length && c.ws.bufferedAmount < MAX_BUFFERED_BYTES) {
+      c.ws.send(raw);
+      c.sent++;
+      return;
+    }
+
+    c.queue.push(raw);
+    if (c.queue.length >= MAX_QUEUE) {
+      console.warn(`🐢 Dropping slow feed client #${c.id} (${c.queue.length} messages queued)`);
+      clients.delete(c);
+      c.ws.close(1013, "slow consumer");
+    }
+  }
+
+  function handleClientMessage(c, raw) {
+    const msg = parseMessage(raw);
+    if (!msg || msg.type !== FeedMessage.SUBSCRIBE) return;
+
+    if (msg.v !== FEED_PROTOCOL_VERSION) {
+      send(c, FeedMessage.ERROR, { reason: `unsupported protocol version ${msg.v}` });
+      return;
+    }
+
+    try {
+      c.filters = normalizeFilters(msg.filters);
+    } catch (err) {
+      send(c, FeedMessage.ERROR, { reason: `invalid filters: ${err.message}` });
+      return;
+    }
+
+    send(c, FeedMessage.SUBSCRIBED, { filters: c.filters });
+    subscribeHandlers.forEach((fn) => fn(c.filters));
+  }
+
+  localWss.on("connection", (ws, req) => {
+    const c = {
+      id: nextClientId++,
+      ws,
+      remote: req.socket.remoteAddress,
+      filters: null,
+      seq: 0,
+      sent: 0,
+      queue: [],
+    };
+    clients.add(c);
+
+    ws.on("message", (raw) => handleClientMessage(c, raw));
+    ws.on("close", () => clients.delete(c));
+    ws.on("error", () => clients.delete(c));
+
+    send(c, FeedMessage.HELLO, { heartbeatMs: HEARTBEAT_MS });
+  });
+
+  const heartbeatTimer = setInterval(() => {
+    const ts = Date.now();
+    clients.forEach((c) => send(c, FeedMessage.HEARTBEAT, { ts }));
+  }, HEARTBEAT_MS);
+
+  const drainTimer = setInterval(() => {
+    clients.forEach((c) => c.queue.length && flushQueue(c));
+  }, DRAIN_MS);
+
+  server.listen(port, () =>
+    console.log(`✅ Forwarding ${label} on ws://127.0.0.1:${port} (protocol v${FEED_PROTOCOL_VERSION})`)
+  );
+
+  return {
+    broadcast(packet) {
+      clients.forEach((c) => {
+        if (matchesFilters(packet, c.filters)) send(c, FeedMessage.TX, { data: packet });
+      });
+    },
+
+    broadcastLifecycle(event) {
+      clients.forEach((c) => {
+        if (c.filters) send(c, FeedMessage.LIFECYCLE, { data: event });
+      });
+    },
+
+    clientCount() {
+      return clients.size;
+    },
+
+    stats() {
+      return [...clients].map((c) => ({
+        id: c.id,
+        remote: c.remote,
+        subscribed: !!c.filters,
+        sent: c.sent,
+        queued: c.queue.length,
+        bufferedBytes: c.ws.bufferedAmount,
+      }));
+    },
+
+    onSubscribe(fn) {
+      subscribeHandlers.push(fn);
+    },
+
+    close() {
+      clearInterval(heartbeatTimer);
+      clearInterval(drainTimer);
+      clients.forEach((c) => c.ws.close());
+      localWss.close();
+      server.close();
+    },
+  };
+}
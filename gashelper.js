@@ -20,10 +20,24 @@ async function getNativePriceUSD(provider, symbol = "MATIC") {
   }
 }
 
+// On Polygon ethers' getFeeData() asks the Polygon gas station; the node's eth_gasPrice
+// stands in when that is unreachable
+async function getGasPrice(provider) {
+  try {
+    const { gasPrice, maxFeePerGas } = await provider.getFeeData(); // BigInt | null
+    if (gasPrice != null || maxFeePerGas != null) return gasPrice ?? maxFeePerGas;
+  } catch (e) {
+    console.warn("[GasHelper] getFeeData failed, asking the node:", e.message);
+  }
+  return BigInt(await provider.send("eth_gasPrice", []));
+}
+
+// gasCostUSD is null (with `error`) when no gas price could be read: callers must not treat
+// that as free gas
 export async function getRealGasCostUSD(chainId = 137) {
   try {
-    const provider = await getReadProvider(chainId, true); // WebSocket
-    const gasPrice = await provider.getGasPrice();         // BigInt
+    const provider = await getReadProvider(chainId, true);
+    const gasPrice = await getGasPrice(provider);
     const gasUnits = 300_000;
 
     const gasToken = (process.env.GAS_TOKEN || "MATIC").toUpperCase();
@@ -34,6 +48,6 @@ export async function getRealGasCostUSD(chainId = 137) {
     return { gasToken, gasCostNative, gasCostUSD };
   } catch (e) {
     console.warn("[GasHelper] failed to fetch gas:", e.message);
-    return { gasToken: "UNKNOWN", gasCostNative: 0, gasCostUSD: 0 };
+    return { gasToken: "UNKNOWN", gasCostNative: null, gasCostUSD: null, error: e.message };
   }
 }
\ No newline at end of file
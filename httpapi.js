@@ -0,0 +1,266 @@
+// httpapi.js — local read-only HTTP API over the bot's state (http://127.0.0.1:7002)
+// JSON in, JSON out; nothing here changes what the bot does.
+//   GET /health                 liveness
+//   GET /opportunities          journal entries, newest first
+//       ?state=queued,expired   one or more journal states
+//       &pair=0xTokenA,0xTokenB every listed token / pool address must be involved
+//       &dex=quickswap-v2       live, catch or any cycle leg on that DEX
+//       &since=&until=          createdAt bounds, ms or ISO date
+//       &limit=100              at most HTTP_API_MAX_LIMIT
+//   GET /opportunities/:id      one entry with its full history
+//   GET /trades                 opportunities that were broadcast, with their outcome
+//   GET /status                 routers, RPC, pending feed, pipeline and cache counters
+//   GET /config                 active policy, runtime settings and routers.json
+import "dotenv/config";
+import fs from "fs";
+import http from "http";
+import { watcherStatus } from "./backrunwatcher.js";
+import { entriesIn, getEntry, journalStats, STATES } from "./opportunityjournal.js";
+import { currentBlock } from "./opportunityexpiry.js";
+import { coalescerStats } from "./opportunitycoalescer.js";
+import { pipelineStats } from "./pipeline.js";
+import { currentPolicy } from "./opportunitypolicy.js";
+import { tokenSafetyStats } from "./tokensafety.js";
+import { discoveryStats } from "./pooldiscovery.js";
+import { readCall } from "./protectionutilities.js";
+
+export const HTTP_API_PORT = Number(process.env.HTTP_API_PORT || 7002);
+const HOST = process.env.HTTP_API_HOST || "127.0.0.1";
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = Number(process.env.HTTP_API_MAX_LIMIT || 1000);
+const RPC_PROBE_TIMEOUT_MS = 3000;
+
+// Settings shown under /config; none of these prefixes carry keys or secrets
+const CONFIG_ENV_PREFIXES = [
+  "CHAIN_ID", "FEED_", "PIPELINE_", "POLICY_", "COALESCE_", "OPPORTUNITY_", "EXPIRY_",
+  "TOKEN_SAFETY_", "HTTP_API_",
+];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ===========================================================
+// 🔹 Opportunity filters
+// ===========================================================
+
+function parseTime(value, name) {
+  if (value == null || value === "") return null;
+  const t = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(t)) throw new HttpError(400, `invalid ${name}: ${value}`);
+  return t;
+}
+
+function parseList(value) {
+  return value ? value.split(",").map((v) => v.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+function parseFilters(params) {
+  const states = parseList(params.get("state"));
+  const unknown = states.filter((s) => !STATES.includes(s));
+  if (unknown.length) throw new HttpError(400, `unknown state(s): ${unknown.join(", ")}`);
+
+  const limit = params.has("limit") ? Number(params.get("limit")) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1) throw new HttpError(400, `invalid limit: ${params.get("limit")}`);
+
+  return {
+    states: states.length ? states : STATES,
+    pair: parseList(params.get("pair")),
+    dex: parseList(params.get("dex")),
+    since: parseTime(params.get("since"), "since"),
+    until: parseTime(params.get("until"), "until"),
+    limit: Math.min(limit, MAX_LIMIT),
+  };
+}
+
+// Tokens and pools (lowercase) an opportunity trades through
+function involvedAddresses(pool) {
+  const sides = pool.type === "cycle" ? pool.legs || [] : [pool.liveDex, pool.catchDex];
+  const addresses = [pool.tokenIn, pool.tokenOut];
+  for (const s of sides) addresses.push(s?.tokenIn, s?.tokenOut, s?.pairAddress);
+  return new Set(addresses.filter(Boolean).map((a) => a.toLowerCase()));
+}
+
+function involvedDexes(pool) {
+  const names = pool.type === "cycle"
+    ? (pool.legs || []).map((l) => l.dex)
+    : [pool.liveDex?.name, pool.catchDex?.name];
+  return names.filter(Boolean).map((n) => n.toLowerCase());
+}
+
+function matches(entry, { pair, dex, since, until }) {
+  if (since != null && entry.createdAt < since) return false;
+  if (until != null && entry.createdAt > until) return false;
+  if (pair.length) {
+    const involved = involvedAddresses(entry.pool);
+    if (!pair.every((a) => involved.has(a))) return false;
+  }
+  if (dex.length && !involvedDexes(entry.pool).some((d) => dex.includes(d))) return false;
+  return true;
+}
+
+function listOpportunities(params) {
+  const filters = parseFilters(params);
+  const found = entriesIn(filters.states)
+    .filter((e) => matches(e, filters))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  return { total: found.length, entries: found.slice(0, filters.limit) };
+}
+
+// Broadcast at least once: submitted, or finished after being submitted
+function listTrades(params) {
+  const filters = parseFilters(params);
+  const trades = entriesIn(["submitted", "settled", "failed", "expired"])
+    .filter((e) => e.submittedTx && matches(e, filters))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ id, state, reason, pool, createdAt, updatedAt, submittedTx, estProfitUSD, loanAmountUSD, blockNumber, gasUsed }) => ({
+      id,
+      state,
+      reason,
+      pairSymbol: pool.pairSymbol,
+      type: pool.type || "pair",
+      dexes: involvedDexes(pool),
+      txHash: submittedTx,
+      estProfitUSD: estProfitUSD ?? null,
+      loanAmountUSD: loanAmountUSD ?? null,
+      blockNumber: blockNumber ?? null,
+      gasUsed: gasUsed ?? null,
+      createdAt,
+      updatedAt,
+    }));
+
+  const summary = { submitted: 0, settled: 0, failed: 0, expired: 0, estProfitSettledUSD: 0 };
+  for (const t of trades) {
+    summary[t.state]++;
+    if (t.state === "settled") summary.estProfitSettledUSD += Number(t.estProfitUSD) || 0;
+  }
+  return { total: trades.length, summary, trades: trades.slice(0, filters.limit) };
+}
+
+// ===========================================================
+// 🔹 Status and configuration
+// ===========================================================
+
+// Only scheme and host: RPC URLs usually carry the API key in the path
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}`;
+  } catch {
+    return url ? "(invalid url)" : null;
+  }
+}
+
+async function rpcStatus() {
+  const privateUrls = (process.env.PRIVATE_RPC_URLS || "").split(",").map((u) => u.trim()).filter(Boolean);
+  const read = { url: redactUrl(process.env.WRITE_RPC_URL), ok: false, blockNumber: null, latencyMs: null, error: null };
+
+  const startedAt = Date.now();
+  try {
+    const blockNumber = await readCall("httpapi.blockNumber", (p) => p.getBlockNumber(), RPC_PROBE_TIMEOUT_MS);
+    read.latencyMs = Date.now() - startedAt;
+    read.ok = blockNumber != null;
+    read.blockNumber = blockNumber;
+    if (!read.ok) read.error = "no answer";
+  } catch (err) {
+    read.error = err.message;
+  }
+
+  return { read, private: privateUrls.map(redactUrl), expiryHead: currentBlock() };
+}
+
+async function status() {
+  const { feed, routers } = watcherStatus();
+  return {
+    uptimeSec: Math.round(process.uptime()),
+    rpc: await rpcStatus(),
+    feed,
+    routers,
+    pipeline: pipelineStats(),
+    journal: journalStats(),
+    coalescer: coalescerStats(),
+    tokenSafety: tokenSafetyStats(),
+    discovery: discoveryStats(),
+  };
+}
+
+function config() {
+  const env = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    if (CONFIG_ENV_PREFIXES.some((p) => key.startsWith(p))) env[key] = value;
+  }
+
+  let routers = null;
+  try {
+    routers = JSON.parse(fs.readFileSync("./routers.json", "utf8"));
+  } catch (err) {
+    console.warn("[httpapi] routers.json unreadable:", err.message);
+  }
+  return { policy: currentPolicy(), env, routers };
+}
+
+// ===========================================================
+// 🔹 Server
+// ===========================================================
+
+async function route(pathname, params) {
+  if (pathname === "/health") return { ok: true, ts: Date.now() };
+  if (pathname === "/opportunities") return listOpportunities(params);
+  if (pathname.startsWith("/opportunities/")) {
+    let id;
+    try {
+      id = decodeURIComponent(pathname.slice("/opportunities/".length));
+    } catch {
+      throw new HttpError(400, "invalid opportunity id");
+    }
+    const entry = getEntry(id);
+    if (!entry) throw new HttpError(404, `no opportunity ${id}`);
+    return entry;
+  }
+  if (pathname === "/trades") return listTrades(params);
+  if (pathname === "/status") return status();
+  if (pathname === "/config") return config();
+  throw new HttpError(404, `no route ${pathname}`);
+}
+
+function send(res, statusCode, body) {
+  const json = JSON.stringify(body, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(json);
+}
+
+let server = null;
+
+/**
+ * startHttpApi({ port, host }) — starts the API once; returns the http.Server
+ */
+export function startHttpApi({ port = HTTP_API_PORT, host = HOST } = {}) {
+  if (server) return server;
+
+  server = http.createServer(async (req, res) => {
+    if (req.method !== "GET") return send(res, 405, { error: "read-only API: GET only" });
+    let pathname = req.url;
+    try {
+      let url;
+      try {
+        url = new URL(req.url, `http://${req.headers.host || host}`);
+      } catch {
+        throw new HttpError(400, "invalid request URL");
+      }
+      pathname = url.pathname.replace(/\/+$/, "") || "/";
+      send(res, 200, await route(pathname, url.searchParams));
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(`[httpapi] ${pathname} failed:`, err.message);
+      send(res, err.status || 500, { error: err.message });
+    }
+  });
+
+  server.on("error", (err) => console.error("[httpapi] Server error:", err.message));
+  server.listen(port, host, () => console.log(`✅ HTTP API listening on http://${host}:${port}`));
+  return server;
+}
+
+startHttpApi();
@@ -43,6 +43,9 @@ async function boot() {
       { name: "Broadcast Manager",      path: "./broadcast.js" },
       { name: "Protection Utilities",   path: "./protectionutilities.js" },
       { name: "Arbitrage Opportunities", path: "./arbopportunities.js" },
+      { name: "Block Scanner",          path: "./blockscanner.js" },
+      { name: "Pipeline",               path: "./pipeline.js" },
+      { name: "HTTP API",               path: "./httpapi.js" },
     ];
     coreModules.forEach((m) => startModule(m.name, m.path));
 
@@ -81,7 +81,7 @@ export async function calcLiquidityUSD(reserveAmount, tokenAddress, priceMap = {
 
   // Known stable tokens (addresses lowercased). If your env customises these, you can extend.
   const STABLES = [
-    (process.env.HUB_TOKEN_1 || "0x2791Bca1f2de4661ED88A30C99A7a944aA84174").toLowerCase(), // USDC
+    (process.env.HUB_TOKEN_1 || "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174").toLowerCase(), // USDC
     (process.env.HUB_TOKEN_2 || "0xc2132D05D31c914a87C6611C10748AaCB4FE7392").toLowerCase(), // USDT
     (process.env.HUB_TOKEN_3 || "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063").toLowerCase()  // DAI
   ];
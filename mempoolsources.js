@@ -0,0 +1,216 @@
+// mempoolsources.js — merged pending-tx streams from several WSS providers
+// Each source is subscribed independently, txs are deduped by hash across sources and
+// the first source to deliver a hash is recorded so per-provider latency is visible.
+// In "full" mode sources are asked for full pending tx objects (router-filtered where the
+// endpoint supports it) and fall back to plain hash subscriptions when they refuse.
+import "dotenv/config";
+import { WebSocket } from "ws";
+
+const DEDUPE_TTL_MS = Number(process.env.PENDING_DEDUPE_TTL_MS || 60_000);
+const RECONNECT_MS = 2000;
+const MIN_LAG_SAMPLES = 50;
+
+// Subscription attempts per ingest mode, tried in order until one is accepted
+function subscriptionPlan(mode, routerAddresses) {
+  const hashOnly = { label: "hash", params: ["newPendingTransactions"] };
+  if (mode !== "full") return [hashOnly];
+  return [
+    {
+      label: "full-filtered",
+      params: ["alchemy_pendingTransactions", { toAddress: routerAddresses, hashesOnly: false }],
+    },
+    { label: "full", params: ["newPendingTransactions", true] },
+    hashOnly,
+  ];
+}
+
+/**
+ * Source list from .env:
+ * - PENDING_WSS_URLS (comma separated) takes precedence
+ * - ALCHEMY_WSS is used as single source otherwise
+ */
+export function getSourceUrls() {
+  const list = process.env.PENDING_WSS_URLS?.split(",").map((u) => u.trim()).filter(Boolean);
+  if (list?.length) return list;
+  return process.env.ALCHEMY_WSS ? [process.env.ALCHEMY_WSS] : [];
+}
+
+// Host-only label so API keys embedded in the path never reach the logs
+function labelFor(url, index, used) {
+  let label;
+  try {
+    label = new URL(url).host;
+  } catch {
+    label = `source-${index}`;
+  }
+  if (used.has(label)) label = `${label}#${index}`;
+  used.add(label);
+  return label;
+}
+
+/**
+ * createMempoolSources(urls, onPending, opts)
+ * - `onPending(hashOrTx, sourceLabel)` fires once per tx, from whichever source saw it first;
+ *   the first argument is a hash string or, for full subscriptions, the pending tx object
+ * - opts.mode: "full" (default, with fallback) or "hash"
+ * - opts.routerAddresses: `to` filter for full subscriptions that support one
+ * - opts.dropLagMs: disconnect a source whose average lag behind the fastest source exceeds this
+ */
+export function createMempoolSources(urls, onPending, {
+  mode = process.env.PENDING_MODE || "full",
+  routerAddresses = [],
+  dropLagMs = Number(process.env.PENDING_DROP_LAG_MS || 0),
+} = {}) {
+  if (!urls?.length) throw new Error("❌ No pending tx WSS sources configured");
+
+  const plan = subscriptionPlan(mode, routerAddresses);
+  const used = new Set();
+  const sources = urls.map((url, i) => ({
+    url,
+    label: labelFor(url, i, used),
+    ws: null,
+    planIndex: 0,
+    connected: false,
+    dropped: false,
+    reconnects: 0,
+    received: 0,
+    firstSeen: 0,
+    duplicates: 0,
+    lagTotalMs: 0,
+    lagSamples: 0,
+    lastMessageAt: 0,
+  }));
+
+  // hash -> { source, at }
+  const seen = new Map();
+  let closed = false;
+
+  const sweepTimer = setInterval(() => {
+    const cutoff = Date.now() - DEDUPE_TTL_MS;
+    for (const [hash, entry] of seen) {
+      if (entry.at < cutoff) seen.delete(hash);
+    }
+  }, DEDUPE_TTL_MS).unref();
+
+  function connectedCount() {
+    return sources.filter((s) => s.connected && !s.dropped).length;
+  }
+
+  function maybeDrop(src) {
+    if (!dropLagMs || src.lagSamples < MIN_LAG_SAMPLES) return;
+    const avgLag = src.lagTotalMs / src.lagSamples;
+    if (avgLag <= dropLagMs || connectedCount() <= 1) return;
+
+    src.dropped = true;
+    console.warn(`🐢 Dropping slow mempool source ${src.label} (avg lag ${avgLag.toFixed(0)}ms > ${dropLagMs}ms)`);
+    src.ws?.close();
+  }
+
+  function handlePending(src, item) {
+    const hash = typeof item === "string" ? item : item?.hash;
+    if (!hash) return;
+
+    const now = Date.now();
+    src.received++;
+    src.lastMessageAt = now;
+
+    const first = seen.get(hash);
+    if (first) {
+      src.duplicates++;
+      src.lagTotalMs += now - first.at;
+      src.lagSamples++;
+      maybeDrop(src);
+      return;
+    }
+
+    seen.set(hash, { source: src.label, at: now });
+    src.firstSeen++;
+    onPending(item, src.label);
+  }
+
+  function subscribe(src) {
+    src.ws.send(JSON.stringify({
+      jsonrpc: "2.0",
+      id: src.planIndex + 1,
+      method: "eth_subscribe",
+      params: plan[src.planIndex].params,
+    }));
+  }
+
+  function connect(src) {
+    if (closed || src.dropped) return;
+
+    const ws = new WebSocket(src.url);
+    src.ws = ws;
+
+    ws.on("open", () => {
+      src.connected = true;
+      console.log(`✅ Mempool source connected: ${src.label}`);
+      subscribe(src);
+    });
+
+    ws.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch {
+        return;
+      }
+      // Subscription rejected → next entry of the plan (ends at plain hash mode)
+      if (msg.id === src.planIndex + 1 && msg.error) {
+        console.warn(
+          `[mempoolsources] ${src.label} rejected ${plan[src.planIndex].label} subscription: ${msg.error.message || msg.error.code}`
+        );
+        if (src.planIndex < plan.length - 1) {
+          src.planIndex++;
+          subscribe(src);
+        }
+        return;
+      }
+      if (msg.params && msg.params.result) handlePending(src, msg.params.result);
+    });
+
+    ws.on("error", (err) => {
+      console.warn(`[mempoolsources] ${src.label} error:`, err?.message || err);
+    });
+
+    ws.on("close", () => {
+      src.connected = false;
+      if (closed || src.dropped) return;
+      src.reconnects++;
+      setTimeout(() => connect(src), RECONNECT_MS);
+    });
+  }
+
+  sources.forEach(connect);
+
+  return {
+    /** Label of the source that delivered `hash` first (while still in the dedupe window) */
+    firstSeenBy(hash) {
+      return seen.get(hash)?.source ?? null;
+    },
+
+    /** Per-source counters; avgLagMs is measured against the fastest source for each hash */
+    stats() {
+      return sources.map((s) => ({
+        source: s.label,
+        mode: plan[s.planIndex].label,
+        connected: s.connected,
+        dropped: s.dropped,
+        reconnects: s.reconnects,
+        received: s.received,
+        firstSeen: s.firstSeen,
+        duplicates: s.duplicates,
+        firstSeenPct: s.received ? (s.firstSeen / s.received) * 100 : 0,
+        avgLagMs: s.lagSamples ? s.lagTotalMs / s.lagSamples : 0,
+        lastMessageAt: s.lastMessageAt,
+      }));
+    },
+
+    close() {
+      closed = true;
+      clearInterval(sweepTimer);
+      sources.forEach((s) => s.ws?.close());
+    },
+  };
+}
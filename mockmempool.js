@@ -0,0 +1,171 @@
+// mockmempool.js — local stand-in for provider endpoints (WSS eth_subscribe + HTTP JSON-RPC)
+// Usage:
+//   node mockmempool.js 8546:0 8547:40 [script]
+// Each port:delayMs pair is one fake provider emitting the same scripted sequence,
+// delayed by delayMs, so dedupe and per-source latency in pendingTransaction.js can be exercised:
+//   PENDING_WSS_URLS=ws://127.0.0.1:8546,ws://127.0.0.1:8547 ALCHEMY_HTTPS=http://127.0.0.1:8546
+// The script file holds one tx hash or one JSON tx object per line. Hashes get a synthetic
+// tx (sent to MOCK_TX_TO) so both the hash+batch and the full-tx subscription paths have data.
+// `alchemy_pendingTransactions` is rejected on purpose to exercise the subscription fallback.
+// After MOCK_MINE_AFTER_MS each emitted tx gets a receipt, except every 10th one, which
+// disappears instead — enough to drive the mined/dropped paths of txlifecycle.js.
+import fs from "fs";
+import http from "http";
+import { WebSocketServer } from "ws";
+import { ethers } from "ethers";
+
+const INTERVAL_MS = Number(process.env.MOCK_MEMPOOL_INTERVAL_MS || 100);
+const TX_TO = process.env.MOCK_TX_TO || ethers.ZeroAddress;
+const MINE_AFTER_MS = Number(process.env.MOCK_MINE_AFTER_MS || 2000);
+const BLOCK_MS = 2000;
+const startedAt = Date.now();
+
+const args = process.argv.slice(2);
+const scriptFile = args.find((a) => !/^\d+(:\d+)?$/.test(a));
+const endpoints = args
+  .filter((a) => /^\d+(:\d+)?$/.test(a))
+  .map((a) => {
+    const [port, delay] = a.split(":").map(Number);
+    return { port, delayMs: delay || 0 };
+  });
+if (!endpoints.length) endpoints.push({ port: 8546, delayMs: 0 });
+
+// --- script: file lines (hash or JSON tx) or deterministic generated hashes ---
+function syntheticTx(hash, i) {
+  return {
+    hash,
+    from: ethers.ZeroAddress,
+    to: TX_TO,
+    nonce: ethers.toQuantity(i),
+    value: "0x0",
+    input: "0x",
+  };
+}
+
+function loadScript() {
+  if (!scriptFile) {
+    return Array.from({ length: 1000 }, (_, i) => syntheticTx(ethers.id(`mock-pending-${i}`), i));
+  }
+  return fs.readFileSync(scriptFile, "utf8")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((line, i) => (line.startsWith("{") ? JSON.parse(line) : syntheticTx(line, i)))
+    .filter((tx) => /^0x[0-9a-fA-F]{64}$/.test(tx.hash || ""));
+}
+const script = loadScript();
+const txByHash = new Map(script.map((tx) => [tx.hash, tx]));
+const emittedAt = new Map(); // hash -> { at, index }
+
+// --- HTTP JSON-RPC (single or batch) ---
+function blockNumber() {
+  return Math.floor((Date.now() - startedAt) / BLOCK_MS) + 1;
+}
+
+function settled(hash) {
+  const e = emittedAt.get(hash);
+  return e && Date.now() - e.at > MINE_AFTER_MS ? e : null;
+}
+
+function handleRpc(req) {
+  const [arg] = req.params || [];
+  let result = null;
+
+  switch (req.method) {
+    case "eth_blockNumber":
+      result = ethers.toQuantity(blockNumber());
+      break;
+    case "eth_getTransactionByHash": {
+      const s = settled(arg);
+      result = s && s.index % 10 === 0 ? null : txByHash.get(arg) ?? null;
+      break;
+    }
+    case "eth_getTransactionReceipt": {
+      const s = settled(arg);
+      if (s && s.index % 10 !== 0) {
+        result = { transactionHash: arg, blockNumber: ethers.toQuantity(blockNumber()), status: "0x1" };
+      }
+      break;
+    }
+    case "eth_getTransactionCount":
+      result = "0x0";
+      break;
+  }
+  return { jsonrpc: "2.0", id: req.id, result };
+}
+
+function onHttp(req, res) {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    try {
+      const payload = JSON.parse(body);
+      const out = Array.isArray(payload) ? payload.map(handleRpc) : handleRpc(payload);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(out));
+    } catch {
+      res.writeHead(400);
+      res.end();
+    }
+  });
+}
+
+const servers = endpoints.map(({ port, delayMs }) => {
+  const server = http.createServer(onHttp);
+  const wss = new WebSocketServer({ server });
+  const subscribers = new Set();
+
+  wss.on("connection", (client) => {
+    client.on("message", (raw) => {
+      let req;
+      try {
+        req = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (req.method !== "eth_subscribe") return;
+
+      const [kind, full] = req.params || [];
+      if (kind !== "newPendingTransactions") {
+        client.send(JSON.stringify({
+          jsonrpc: "2.0",
+          id: req.id,
+          error: { code: -32602, message: `unsupported subscription ${kind}` },
+        }));
+        return;
+      }
+
+      const subId = ethers.hexlify(ethers.randomBytes(16));
+      client.send(JSON.stringify({ jsonrpc: "2.0", id: req.id, result: subId }));
+      subscribers.add({ client, subId, full: full === true });
+    });
+    client.on("close", () => {
+      for (const s of subscribers) if (s.client === client) subscribers.delete(s);
+    });
+  });
+
+  server.listen(port, () => console.log(`✅ Mock mempool on ws://127.0.0.1:${port} (delay ${delayMs}ms)`));
+  return { subscribers, delayMs };
+});
+
+let cursor = 0;
+setInterval(() => {
+  if (cursor >= script.length) {
+    console.log("ℹ️ Mock mempool script finished");
+    process.exit(0);
+  }
+  const tx = script[cursor];
+  emittedAt.set(tx.hash, { at: Date.now(), index: cursor++ });
+
+  for (const { subscribers, delayMs } of servers) {
+    setTimeout(() => {
+      for (const { client, subId, full } of subscribers) {
+        client.send(JSON.stringify({
+          jsonrpc: "2.0",
+          method: "eth_subscription",
+          params: { subscription: subId, result: full ? tx : tx.hash },
+        }));
+      }
+    }, delayMs);
+  }
+}, INTERVAL_MS);
@@ -0,0 +1,151 @@
+// opportunitycoalescer.js — merges bursts of `arbOpportunity` events for the same pools
+// A busy pair triggers a fresh opportunity for every router tx that touches it. The first
+// one for a pool pair (or cycle) opens a COALESCE_WINDOW_MS window; everything for the same
+// pools that arrives inside it is merged and only the best by expected net profit survives.
+// The winner is re-emitted on the watcher as `opportunityReady` with:
+//   { ...opportunity, observedBlock, coalesceKey, grossProfitUSD, gasCostUSD, scoreUSD, scoreBasis, merged }
+// scoreBasis is "net" (gross − gas) or "gross" when no gas quote could be had; gasCostUSD is
+// null then.
+// rankOpportunities() orders queued entries by the same score for the executor.
+import "dotenv/config";
+import { watcher, isTriggerDead } from "./backrunwatcher.js";
+import { getRealGasCostUSD } from "./gashelper.js";
+import { currentBlock } from "./opportunityexpiry.js";
+
+const WINDOW_MS = Number(process.env.COALESCE_WINDOW_MS || 300);
+const GAS_CACHE_MS = 15_000;
+
+// ===========================================================
+// 🔹 Scoring
+// ===========================================================
+
+/**
+ * coalesceKey(data) — identity of the pools an opportunity trades through
+ * pair: both pool addresses (either direction) · cycle: every leg's pool
+ */
+export function coalesceKey(data) {
+  if (data.type === "cycle") {
+    const pools = data.legs.map((l) => (l.poolId || l.pairAddress || "").toLowerCase()).sort();
+    return `cycle:${pools.join(":")}`;
+  }
+  const pools = [data.live, data.catch].map((side) => (side?.poolId || side?.pairAddress || side?.dex || "").toLowerCase());
+  return `pair:${pools.sort().join(":")}`;
+}
+
+/**
+ * grossProfitUSD(data) — solver output when both pools could be modelled,
+ * liquidity-scaled spread otherwise
+ */
+export function grossProfitUSD(data) {
+  if (data.sizing) return Number(data.sizing.profitUSD);
+  return Number(data.catch?.diffPct ?? 0) * (Number(data.live?.liquidityUSD ?? 0) / 100);
+}
+
+// One gas quote per GAS_CACHE_MS, shared by every opportunity scored meanwhile.
+// Resolves to null when the quote failed; failures are not cached.
+let gasCache = { pending: null, at: 0 };
+
+function gasCostUSD() {
+  if (!gasCache.pending || Date.now() - gasCache.at >= GAS_CACHE_MS) {
+    const cache = {
+      at: Date.now(),
+      pending: getRealGasCostUSD().then(({ gasCostUSD: value }) => {
+        if (value != null && Number.isFinite(Number(value))) return Number(value);
+        if (gasCache === cache) gasCache = { pending: null, at: 0 };
+        return null;
+      }),
+    };
+    gasCache = cache;
+  }
+  return gasCache.pending;
+}
+
+// ===========================================================
+// 🔹 Coalescing window
+// ===========================================================
+
+// key -> [scored opportunity] while its window is open
+const windows = new Map();
+const stats = { received: 0, emitted: 0, merged: 0 };
+
+function flush(key) {
+  const candidates = windows.get(key);
+  windows.delete(key);
+  if (!candidates) return;
+
+  // A trigger that died inside the window takes its candidates with it
+  const alive = candidates.filter((c) => !isTriggerDead(c.txHash));
+  if (!alive.length) return;
+
+  const best = alive.reduce((a, b) => (b.scoreUSD > a.scoreUSD ? b : a));
+  stats.emitted++;
+  stats.merged += candidates.length - 1;
+  if (candidates.length > 1) {
+    console.log(`🧲 Coalesced ${candidates.length} opportunities on ${key} → best +${best.scoreUSD.toFixed(2)} USD ${best.scoreBasis}`);
+  }
+  watcher.emit("opportunityReady", { ...best, merged: candidates.length });
+}
+
+/**
+ * offerOpportunity(data) — scores one `arbOpportunity` and adds it to its pool pair's window
+ */
+export async function offerOpportunity(data) {
+  stats.received++;
+  const observedBlock = data.blockNumber ?? currentBlock();
+  const grossUSD = grossProfitUSD(data);
+  const gasUSD = await gasCostUSD();
+  if (gasUSD == null) {
+    console.warn(`[opportunitycoalescer] no gas quote: ${data.txHash?.slice(0, 10) ?? "opportunity"} scored on gross profit`);
+  }
+  const scored = {
+    ...data,
+    observedBlock,
+    coalesceKey: coalesceKey(data),
+    grossProfitUSD: grossUSD,
+    gasCostUSD: gasUSD,
+    scoreUSD: gasUSD == null ? grossUSD : grossUSD - gasUSD,
+    scoreBasis: gasUSD == null ? "gross" : "net",
+  };
+
+  const open = windows.get(scored.coalesceKey);
+  if (open) {
+    open.push(scored);
+    return;
+  }
+  windows.set(scored.coalesceKey, [scored]);
+  setTimeout(() => flush(scored.coalesceKey), WINDOW_MS);
+}
+
+watcher.on("arbOpportunity", (data) => {
+  offerOpportunity(data).catch((err) => console.error("[opportunitycoalescer] Error:", err.message));
+});
+
+// ===========================================================
+// 🔹 Ranked view
+// ===========================================================
+
+/**
+ * rankOpportunities(pools) — queued entries best-first by scoreUSD, one per coalesceKey,
+ * without those whose trigger tx is gone. Entries queued before scoring sort by profitUSD.
+ */
+export function rankOpportunities(pools) {
+  const best = new Map();
+  for (const p of pools) {
+    if (isTriggerDead(p.txHash)) continue;
+    const key = p.coalesceKey || p.id || p;
+    const current = best.get(key);
+    if (!current || score(p) > score(current)) best.set(key, p);
+  }
+  return [...best.values()].sort((a, b) => score(b) - score(a));
+}
+
+function score(p) {
+  return Number(p.scoreUSD ?? p.profitUSD ?? 0);
+}
+
+/**
+ * coalescerStats() — counters and open windows, for status endpoints and logs
+ */
+export function coalescerStats() {
+  return { ...stats, open: windows.size, windowMs: WINDOW_MS };
+}
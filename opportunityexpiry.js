@@ -0,0 +1,93 @@
+// opportunityexpiry.js — block-based expiry of queued opportunities
+// Every opportunity is tagged with the block it was observed at (observedBlock). A queued
+// entry is expired in the journal, with the reason, when
+//   - the chain head is OPPORTUNITY_MAX_BLOCKS or more past its observedBlock, or
+//   - any pool it trades through emits a Sync/Swap in a later block (blockscanner.js
+//     "poolStateChanged"), since the spread it was sized on is gone. The trigger's own
+//     transaction (pool.txHash) landing is what the backrun waits for and does not count.
+// Entries already executing are left alone: their transaction is on its way and
+// txlifecycle.js settles them.
+import "dotenv/config";
+import { watcher } from "./backrunwatcher.js";
+import { readCall } from "./protectionutilities.js";
+import { entriesIn, transition } from "./opportunityjournal.js";
+
+const MAX_BLOCKS = Number(process.env.OPPORTUNITY_MAX_BLOCKS || 2);
+const POLL_MS = Number(process.env.EXPIRY_POLL_MS || 1000);
+
+let head = null;
+
+/**
+ * currentBlock() — latest block number seen by the poller, null until the first answer
+ */
+export function currentBlock() {
+  return head;
+}
+
+/**
+ * poolAddresses(pool) — every pool (lowercase) a queued opportunity trades through
+ */
+export function poolAddresses(pool) {
+  const pools = pool.type === "cycle"
+    ? (pool.legs || []).map((l) => l.pairAddress)
+    : [pool.liveDex?.pairAddress, pool.catchDex?.pairAddress];
+  return pools.filter(Boolean).map((p) => p.toLowerCase());
+}
+
+/**
+ * blockExpiry(pool, blockNumber = head) — expiry reason once the pool is too many blocks old, else null
+ */
+export function blockExpiry(pool, blockNumber = head) {
+  if (pool.observedBlock == null || blockNumber == null) return null;
+  const age = blockNumber - pool.observedBlock;
+  if (age < MAX_BLOCKS) return null;
+  return `${age} blocks old (observed #${pool.observedBlock}, head #${blockNumber})`;
+}
+
+function expire(entry, reason) {
+  if (transition(entry.id, "expired", { reason, expiredAtBlock: head })) {
+    console.log(`⌛ Expired ${entry.pool.pairSymbol || entry.id} — ${reason}`);
+  }
+}
+
+function queuedEntries() {
+  return entriesIn("queued");
+}
+
+// ===========================================================
+// 🔹 Triggers
+// ===========================================================
+
+async function poll() {
+  const blockNumber = await readCall("expiry.blockNumber", (provider) => provider.getBlockNumber()).catch(() => null);
+  if (blockNumber == null || blockNumber === head) return;
+  head = blockNumber;
+
+  for (const entry of queuedEntries()) {
+    const reason = blockExpiry(entry.pool);
+    if (reason) expire(entry, reason);
+  }
+}
+
+// Pools moved by some transaction other than `ownTx` (txHashes: pool → hashes, optional)
+function movedBy(pools, txHashes, ownTx) {
+  const own = ownTx?.toLowerCase();
+  return pools.filter((p) => {
+    const hashes = txHashes?.[p];
+    return !own || !hashes || hashes.some((h) => h.toLowerCase() !== own);
+  });
+}
+
+watcher.on("poolStateChanged", ({ blockNumber, pools, txHashes }) => {
+  const lowered = pools.map((p) => p.toLowerCase());
+  for (const entry of queuedEntries()) {
+    // Moves in the block the opportunity was seen at are already priced in
+    if (entry.pool.observedBlock != null && blockNumber <= entry.pool.observedBlock) continue;
+    const changed = new Set(movedBy(lowered, txHashes, entry.pool.txHash));
+    const moved = poolAddresses(entry.pool).find((p) => changed.has(p));
+    if (moved) expire(entry, `pool ${moved.slice(0, 10)} changed in block #${blockNumber}`);
+  }
+});
+
+setInterval(poll, POLL_MS).unref();
+poll();
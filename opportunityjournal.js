@@ -0,0 +1,180 @@
+// opportunityjournal.js — append-only JSONL journal of every opportunity's lifecycle
+// Replaces direct_pool.json. Each line is one state change:
+//   { "t": <ms>, "id": "...", "state": "queued", "pool": { ... } }
+//   { "t": <ms>, "id": "...", "state": "executing" | "submitted" | "settled" | "failed" | "expired"
+//     | "alerted", "reason"?: "...", ...details }
+// queued → executing → submitted → settled, with failed/expired reachable from any open state.
+// In alert mode (PIPELINE_MODE=alert) an entry ends executing → alerted instead: it was
+// reported, never sent, and stays out of the expired counts.
+// The file is replayed on startup; entries caught mid-execution by a crash are failed, since
+// there is no telling whether their transaction went out. compactJournal() drops finished
+// history older than OPPORTUNITY_JOURNAL_RETAIN_MS through an atomic rename.
+import "dotenv/config";
+import fs from "fs";
+
+const JOURNAL_FILE = process.env.OPPORTUNITY_JOURNAL_FILE || "./opportunities.jsonl";
+const RETAIN_MS = Number(process.env.OPPORTUNITY_JOURNAL_RETAIN_MS || 24 * 3600_000);
+const COMPACT_EVERY = Number(process.env.OPPORTUNITY_JOURNAL_COMPACT_EVERY || 5000);
+
+export const STATES = ["queued", "executing", "submitted", "settled", "failed", "expired", "alerted"];
+const TERMINAL = new Set(["settled", "failed", "expired", "alerted"]);
+const TRANSITIONS = {
+  queued: ["executing", "failed", "expired"],
+  executing: ["submitted", "failed", "expired", "alerted"],
+  submitted: ["settled", "failed", "expired"],
+};
+
+// id -> { id, state, pool, createdAt, updatedAt, reason, records: [raw line objects] }
+const entries = new Map();
+let appendedSinceCompact = 0;
+
+// ===========================================================
+// 🔹 Storage
+// ===========================================================
+
+function append(record) {
+  fs.appendFileSync(JOURNAL_FILE, JSON.stringify(record) + "\n");
+  if (++appendedSinceCompact >= COMPACT_EVERY) compactJournal();
+}
+
+function apply(record) {
+  if (record.state === "queued") {
+    entries.set(record.id, {
+      id: record.id,
+      state: "queued",
+      pool: record.pool,
+      createdAt: record.t,
+      updatedAt: record.t,
+      reason: null,
+      records: [record],
+    });
+    return;
+  }
+  const entry = entries.get(record.id);
+  if (!entry) return;
+  const { t, id, state, reason, pool, ...details } = record;
+  entry.state = state;
+  entry.updatedAt = t;
+  entry.reason = reason ?? null;
+  Object.assign(entry, details);
+  entry.records.push(record);
+}
+
+function load() {
+  if (!fs.existsSync(JOURNAL_FILE)) return;
+  let bad = 0;
+  for (const line of fs.readFileSync(JOURNAL_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      apply(JSON.parse(line));
+    } catch {
+      bad++; // torn last line after a crash
+    }
+  }
+  if (bad) console.warn(`[opportunityjournal] skipped ${bad} unreadable line(s) in ${JOURNAL_FILE}`);
+
+  // No way to know whether an interrupted execution broadcast anything: never retry it
+  for (const entry of entries.values()) {
+    if (entry.state === "executing") transition(entry.id, "failed", { reason: "interrupted by restart" });
+  }
+  compactJournal();
+
+  const open = [...entries.values()].filter((e) => !TERMINAL.has(e.state)).length;
+  console.log(`📒 Opportunity journal loaded (${entries.size} entries, ${open} open) from ${JOURNAL_FILE}`);
+}
+
+/**
+ * compactJournal() — rewrites the file keeping open entries and terminal ones newer than
+ * OPPORTUNITY_JOURNAL_RETAIN_MS; older history is dropped from memory as well
+ */
+export function compactJournal() {
+  const cutoff = Date.now() - RETAIN_MS;
+  const kept = [];
+  for (const [id, entry] of entries) {
+    if (TERMINAL.has(entry.state) && entry.updatedAt < cutoff) entries.delete(id);
+    else kept.push(...entry.records);
+  }
+  kept.sort((a, b) => a.t - b.t);
+
+  const tmpFile = `${JOURNAL_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, kept.map((r) => JSON.stringify(r) + "\n").join(""));
+  fs.renameSync(tmpFile, JOURNAL_FILE);
+  appendedSinceCompact = 0;
+  return kept.length;
+}
+
+// ===========================================================
+// 🔹 State changes
+// ===========================================================
+
+/**
+ * recordQueued(pool) — journals a new opportunity (pool.id required)
+ */
+export function recordQueued(pool) {
+  if (entries.has(pool.id)) return false;
+  const record = { t: Date.now(), id: pool.id, state: "queued", pool };
+  apply(record);
+  append(record);
+  return true;
+}
+
+/**
+ * transition(id, state, { reason, ...details }) — moves an entry along the state machine.
+ * Illegal moves (unknown id, out of a terminal state, skipping back) are refused with false.
+ */
+export function transition(id, state, { reason, ...details } = {}) {
+  const entry = entries.get(id);
+  if (!entry || !TRANSITIONS[entry.state]?.includes(state)) {
+    if (entry && entry.state !== state) {
+      console.warn(`[opportunityjournal] ${id}: ${entry.state} → ${state} refused`);
+    }
+    return false;
+  }
+  const record = { t: Date.now(), id, state, ...(reason ? { reason } : {}), ...details };
+  apply(record);
+  append(record);
+  return true;
+}
+
+// ===========================================================
+// 🔹 Queries
+// ===========================================================
+
+/**
+ * getEntry(id) → { id, state, pool, createdAt, updatedAt, reason, history } or null
+ */
+export function getEntry(id) {
+  const entry = entries.get(id);
+  return entry ? view(entry) : null;
+}
+
+function view(entry) {
+  const { records, ...rest } = entry;
+  return { ...rest, history: records.map(({ pool, ...r }) => r) };
+}
+
+/**
+ * entriesIn(states) — entries currently in one of `states` (string or list), oldest first
+ */
+export function entriesIn(states) {
+  const wanted = new Set([].concat(states));
+  return [...entries.values()].filter((e) => wanted.has(e.state)).map(view);
+}
+
+/**
+ * queuedPools() — pools still waiting for the executor
+ */
+export function queuedPools() {
+  return entriesIn("queued").map((e) => e.pool);
+}
+
+/**
+ * journalStats() — entry count per state
+ */
+export function journalStats() {
+  const stats = Object.fromEntries(STATES.map((s) => [s, 0]));
+  for (const entry of entries.values()) stats[entry.state]++;
+  return stats;
+}
+
+load();
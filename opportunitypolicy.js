@@ -0,0 +1,202 @@
+// opportunitypolicy.js — detection rules for backrun candidates, read from policy.json
+// The file is re-read whenever it changes; an invalid edit is rejected and the previous
+// policy stays active. Layout:
+//   {
+//     "defaults": { "minLiquidityUSD": 300000, "minSpreadPct": 0.25,
+//                   "quoteTokens": ["USDT", "USDC"], "maxVictimUSD": null },
+//     "dex":   { "apeswap-v2": { "minLiquidityUSD": 500000 } },
+//     "pairs": { "WETH/USDC": { "minSpreadPct": 0.15 }, "0xabc…/0xdef…": { … } }
+//   }
+// Pair keys are symbols or addresses in either order. Precedence: pair > dex > defaults.
+// quoteTokens entries are symbols or addresses; null disables a limit.
+import "dotenv/config";
+import fs from "fs";
+
+const POLICY_FILE = process.env.POLICY_FILE || "./policy.json";
+const POLL_MS = Number(process.env.POLICY_POLL_MS || 2000);
+
+const RULES = {
+  minLiquidityUSD: "number",
+  minSpreadPct: "number",
+  quoteTokens: "array",
+  maxVictimUSD: "number",
+};
+
+// Used until policy.json loads, and for any rule the file leaves out
+const BUILTIN_DEFAULTS = {
+  minLiquidityUSD: 300_000,
+  minSpreadPct: 0.25,
+  quoteTokens: ["USDT", "USDC"],
+  maxVictimUSD: null,
+};
+
+let policy = { defaults: { ...BUILTIN_DEFAULTS }, dex: {}, pairs: {} };
+let loadedAt = 0;
+
+// ===========================================================
+// 🔹 Loading
+// ===========================================================
+
+function pairKey(a, b) {
+  const norm = (x) => (x.startsWith("0x") ? x.toLowerCase() : x.toUpperCase());
+  return [norm(a), norm(b)].sort().join("/");
+}
+
+function validateRules(rules, where) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const [rule, value] of Object.entries(rules)) {
+    const type = RULES[rule];
+    if (!type) throw new Error(`${where}.${rule} is not a known rule`);
+    if (value === null) continue;
+    if (type === "array" && !(Array.isArray(value) && value.every((v) => typeof v === "string"))) {
+      throw new Error(`${where}.${rule} must be a list of symbols/addresses`);
+    }
+    if (type === "number" && !(typeof value === "number" && Number.isFinite(value) && value >= 0)) {
+      throw new Error(`${where}.${rule} must be a non-negative number`);
+    }
+  }
+  return rules;
+}
+
+function parsePolicy(raw) {
+  const defaults = validateRules(raw.defaults ?? {}, "defaults");
+  const dex = {};
+  for (const [name, rules] of Object.entries(raw.dex ?? {})) {
+    dex[name.toLowerCase()] = validateRules(rules, `dex.${name}`);
+  }
+  const pairs = {};
+  for (const [key, rules] of Object.entries(raw.pairs ?? {})) {
+    const parts = key.split("/").map((p) => p.trim());
+    if (parts.length !== 2 || !parts[0] || !parts[1]) throw new Error(`pairs.${key} must be "A/B"`);
+    pairs[pairKey(parts[0], parts[1])] = validateRules(rules, `pairs.${key}`);
+  }
+  return { defaults: { ...BUILTIN_DEFAULTS, ...defaults }, dex, pairs };
+}
+
+/**
+ * loadPolicy() — (re)reads policy.json; on any error the active policy is kept
+ */
+export function loadPolicy() {
+  try {
+    policy = parsePolicy(JSON.parse(fs.readFileSync(POLICY_FILE, "utf8")));
+    loadedAt = Date.now();
+    console.log(
+      `📜 Opportunity policy loaded (${Object.keys(policy.dex).length} dex, ${Object.keys(policy.pairs).length} pair overrides)`
+    );
+  } catch (err) {
+    console.warn(`[opportunitypolicy] ${POLICY_FILE} not applied, keeping previous policy:`, err.message);
+  }
+}
+
+loadPolicy();
+fs.watchFile(POLICY_FILE, { interval: POLL_MS }, (curr, prev) => {
+  if (curr.mtimeMs !== prev.mtimeMs) loadPolicy();
+}).unref();
+
+/**
+ * currentPolicy() — active policy and when it was loaded (0 = built-in defaults)
+ */
+export function currentPolicy() {
+  return { ...policy, loadedAt };
+}
+
+// ===========================================================
+// 🔹 Resolution
+// ===========================================================
+
+/**
+ * policyFor({ dex, token0, token1, symbol0, symbol1 }) → { rules, sources }
+ * sources[rule] names the level that set it: "defaults", "dex:<name>" or "pair:<key>".
+ */
+export function policyFor({ dex, token0, token1, symbol0, symbol1 }) {
+  const rules = { ...policy.defaults };
+  const sources = Object.fromEntries(Object.keys(rules).map((r) => [r, "defaults"]));
+  const apply = (override, source) => {
+    for (const [rule, value] of Object.entries(override || {})) {
+      rules[rule] = value;
+      sources[rule] = source;
+    }
+  };
+
+  const dexName = dex?.toLowerCase();
+  apply(policy.dex[dexName], `dex:${dexName}`);
+  for (const key of [
+    symbol0 && symbol1 ? pairKey(symbol0, symbol1) : null,
+    token0 && token1 ? pairKey(token0, token1) : null,
+  ]) {
+    if (key && policy.pairs[key]) apply(policy.pairs[key], `pair:${key}`);
+  }
+  return { rules, sources };
+}
+
+function reject(resolved, rule, value, limit) {
+  return { rule, value, limit, source: resolved.sources[rule] };
+}
+
+/**
+ * quoteIndex(pair, resolved) — 0 or 1 for the side listed in quoteTokens, -1 if neither
+ */
+export function quoteIndex(pair, resolved = policyFor(pair)) {
+  const allowed = (resolved.rules.quoteTokens || []).map((q) => (q.startsWith("0x") ? q.toLowerCase() : q.toUpperCase()));
+  const isQuote = (token, symbol) =>
+    allowed.includes((symbol || "").toUpperCase()) || allowed.includes((token || "").toLowerCase());
+  if (isQuote(pair.token0, pair.symbol0)) return 0;
+  if (isQuote(pair.token1, pair.symbol1)) return 1;
+  return -1;
+}
+
+// ===========================================================
+// 🔹 Checks (null = accepted, else { rule, value, limit, source })
+// ===========================================================
+
+/**
+ * checkLivePool(pair, { liquidityUSD, victimUSD }) — the pool the victim trades on
+ */
+export function checkLivePool(pair, { liquidityUSD, victimUSD = null }) {
+  const resolved = policyFor(pair);
+  const { rules } = resolved;
+
+  if (rules.quoteTokens && quoteIndex(pair, resolved) < 0) {
+    return reject(resolved, "quoteTokens", [pair.symbol0, pair.symbol1], rules.quoteTokens);
+  }
+  if (rules.minLiquidityUSD != null && liquidityUSD < rules.minLiquidityUSD) {
+    return reject(resolved, "minLiquidityUSD", liquidityUSD, rules.minLiquidityUSD);
+  }
+  if (rules.maxVictimUSD != null && victimUSD != null && victimUSD > rules.maxVictimUSD) {
+    return reject(resolved, "maxVictimUSD", victimUSD, rules.maxVictimUSD);
+  }
+  return null;
+}
+
+/**
+ * checkCatchPool(pair, { liquidityUSD }) — a candidate pool on another venue
+ */
+export function checkCatchPool(pair, { liquidityUSD }) {
+  const resolved = policyFor(pair);
+  const { minLiquidityUSD } = resolved.rules;
+  if (minLiquidityUSD != null && liquidityUSD < minLiquidityUSD) {
+    return reject(resolved, "minLiquidityUSD", liquidityUSD, minLiquidityUSD);
+  }
+  return null;
+}
+
+/**
+ * checkSpread(livePair, diffPct) — spread between the post-victim live price and a catch pool
+ */
+export function checkSpread(livePair, diffPct) {
+  const resolved = policyFor(livePair);
+  const { minSpreadPct } = resolved.rules;
+  if (minSpreadPct != null && diffPct < minSpreadPct) {
+    return reject(resolved, "minSpreadPct", diffPct, minSpreadPct);
+  }
+  return null;
+}
+
+/**
+ * needsVictimUSD(pair) — whether checkLivePool will look at the victim size
+ */
+export function needsVictimUSD(pair) {
+  return policyFor(pair).rules.maxVictimUSD != null;
+}
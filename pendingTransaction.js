@@ -2,144 +2,184 @@
 
 import dotenv from "dotenv";
 dotenv.config();
-import http from "http";
-import { WebSocketServer, WebSocket } from "ws";
 import fs from "fs";
-import fetch from "node-fetch";
-import { Worker } from "worker_threads";
-
-// === Load router list ===
+import { createMempoolSources, getSourceUrls } from "./mempoolsources.js";
+import { startFeedServer } from "./feedserver.js";
+import { createFeedRecorder } from "./feedrecorder.js";
+import { createDecoderPool } from "./decoderpool.js";
+import { createLifecycleTracker } from "./txlifecycle.js";
+import { rpcBatch } from "./rpcbatch.js";
+import { createDecoderRegistry } from "./decoder.js";
+
+// === Load router list (only routers with a working decoder are watched) ===
 const routers = JSON.parse(fs.readFileSync("./routers.json", "utf8"));
-const routerAddresses = Object.values(routers).map((r) => r.address.toLowerCase());
+const decoderRegistry = createDecoderRegistry(routers);
+decoderRegistry.problems.forEach(({ router, reason }) =>
+  console.warn(`⚠️ Router ${router} excluded: ${reason}`)
+);
+const routerAddresses = decoderRegistry.addresses();
 const routerMeta = Object.fromEntries(
-  Object.entries(routers).map(([name, r]) => [r.address.toLowerCase(), { name: r.name, kind: r.kind }])
+  routerAddresses.map((address) => {
+    const { name, kind, family } = decoderRegistry.get(address);
+    return [address, { name, kind, family }];
+  })
 );
+console.log(`ℹ️ Watching ${routerAddresses.length} routers (${decoderRegistry.problems.length} excluded)`);
 
-// === Worker setup ===
-const WORKER_COUNT = 3;
-const workers = [];
-let nextWorker = 0;
-
-for (let i = 0; i < WORKER_COUNT; i++) {
-  const w = new Worker("./decoderWorker.js");
-  workers.push(w);
-}
+// === Decoder worker pool (supervised, scales on backlog) ===
+const decoders = createDecoderPool();
 
 // === Batch RPC request ===
 const BATCH_SIZE = 50;
 const rpcUrl = process.env.ALCHEMY_HTTPS;
 
 async function batchRequest(txHashes) {
-  const payload = txHashes.map((h, i) => ({
-    jsonrpc: "2.0",
-    id: i,
-    method: "eth_getTransactionByHash",
-    params: [h],
-  }));
-
-  const res = await fetch(rpcUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-
-  const json = await res.json();
-  return json.map((r) => r.result).filter(Boolean);
+  const txs = await rpcBatch(
+    rpcUrl,
+    txHashes.map((h) => ({ method: "eth_getTransactionByHash", params: [h] }))
+  );
+  return txs.filter(Boolean);
 }
 
-// === PENDING TX Stream (Alchemy) ===
-const wssUrl = process.env.ALCHEMY_WSS;
-if (!wssUrl || !rpcUrl) throw new Error("❌ Missing RPC or WSS in .env");
+// === PENDING TX Stream (one or more WSS providers) ===
+const wssUrls = getSourceUrls();
+if (!wssUrls.length || !rpcUrl) throw new Error("❌ Missing RPC or WSS in .env");
+
+// A partial batch is flushed after this long instead of waiting for BATCH_SIZE hashes
+const BATCH_FLUSH_MS = Number(process.env.BATCH_FLUSH_MS || 25);
 
-let ws;
 let txHashBuffer = [];
 let isFlushing = false;
+let flushTimer = null;
+
+function dispatchTxs(txs) {
+  // Every pending tx we get to see can reveal a same-nonce replacement of a tracked victim
+  txs.forEach((tx) => lifecycle.observe(tx));
+
+  const dexTxs = txs.filter((tx) => tx.to && routerAddresses.includes(tx.to.toLowerCase()));
+  if (!dexTxs.length) return;
+
+  decoders.dispatch(
+    dexTxs.map((tx) => ({
+      ...tx,
+      routerKind: routerMeta[tx.to.toLowerCase()]?.kind || null,
+    }))
+  );
+}
+
+function scheduleFlush() {
+  if (txHashBuffer.length >= BATCH_SIZE) return flushBatch();
+  if (!flushTimer) flushTimer = setTimeout(flushBatch, BATCH_FLUSH_MS);
+}
 
 async function flushBatch() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
   if (isFlushing || !txHashBuffer.length) return;
   isFlushing = true;
   const batch = txHashBuffer.splice(0, BATCH_SIZE);
 
   try {
-    const txs = await batchRequest(batch);
-    const dexTxs = txs.filter((tx) => tx.to && routerAddresses.includes(tx.to.toLowerCase()));
-
-    if (dexTxs.length > 0) {
-      const worker = workers[nextWorker];
-      nextWorker = (nextWorker + 1) % WORKER_COUNT;
-      worker.postMessage(
-        dexTxs.map((tx) => ({
-          ...tx,
-          routerKind: routerMeta[tx.to.toLowerCase()]?.kind || null,
-        }))
-      );
-    }
+    dispatchTxs(await batchRequest(batch));
+  } catch (err) {
+    console.warn("[pendingTransaction] batch fetch failed:", err?.message || err);
   } finally {
     isFlushing = false;
+    // Hashes that arrived while this batch was in flight
+    if (txHashBuffer.length) scheduleFlush();
   }
 }
 
-async function connect() {
-  ws = new WebSocket(wssUrl);
-
-  ws.on("open", () => {
-    ws.send(JSON.stringify({
-      jsonrpc: "2.0",
-      id: 1,
-      method: "eth_subscribe",
-      params: ["newPendingTransactions"],
-    }));
-  });
-
-  ws.on("message", (data) => {
-    const msg = JSON.parse(data);
-    if (msg.params && msg.params.result) {
-      txHashBuffer.push(msg.params.result);
-      if (txHashBuffer.length >= BATCH_SIZE) flushBatch();
+// Full pending txs skip the eth_getTransactionByHash round trip; hashes go through the batch
+const mempool = createMempoolSources(
+  wssUrls,
+  (hashOrTx) => {
+    if (typeof hashOrTx === "string") {
+      txHashBuffer.push(hashOrTx);
+      scheduleFlush();
+    } else {
+      dispatchTxs([hashOrTx]);
     }
-  });
+  },
+  { routerAddresses }
+);
 
-  ws.on("close", () => setTimeout(connect, 2000));
-}
+// === Victim tx lifecycle (replaced / dropped / mined) → local feed ===
+const lifecycle = createLifecycleTracker({
+  rpcUrl,
+  onEvent: (event) => {
+    console.log(`♻️ ${event.event} ${event.hash.slice(0, 10)}... (${event.from.slice(0, 8)}… nonce ${event.nonce})`);
+    feed.broadcastLifecycle(event);
+    recorder?.recordLifecycle(event);
+  },
+});
 
-connect();
+// === Per-source latency report ===
+const STATS_INTERVAL_MS = Number(process.env.PENDING_STATS_INTERVAL_MS || 60_000);
+setInterval(() => {
+  for (const s of mempool.stats()) {
+    console.log(
+      `📡 ${s.source} (${s.mode}) | ${s.dropped ? "dropped" : s.connected ? "up" : "down"} | ` +
+      `rx ${s.received} | first ${s.firstSeen} (${s.firstSeenPct.toFixed(1)}%) | ` +
+      `avg lag ${s.avgLagMs.toFixed(0)}ms`
+    );
+  }
+  const pool = decoders.stats();
+  console.log(`🧩 decoders: ${pool.workers} workers | restarts ${pool.restarts} | waiting ${pool.pending} txs`);
+  for (const w of pool.perWorker) {
+    console.log(
+      `   #${w.id}${w.retiring ? " (retiring)" : ""} | backlog ${w.backlog} | ` +
+      `${w.txPerSec.toFixed(1)} tx/s | avg batch ${w.avgBatchMs.toFixed(1)}ms | decoded ${w.decoded}`
+    );
+  }
+  const lc = lifecycle.stats();
+  console.log(
+    `♻️ lifecycle: tracking ${lc.pending} | mined ${lc.mined} | replaced ${lc.replaced} | dropped ${lc.dropped}`
+  );
+  for (const c of feed.stats()) {
+    console.log(`🔌 feed client #${c.id} ${c.remote} | sent ${c.sent} | queued ${c.queued}`);
+  }
+}, STATS_INTERVAL_MS).unref();
 
 // === LOCAL WS BROADCAST TO BACKRUNWATCHER ===
-const server = http.createServer();
-const localWss = new WebSocketServer({ server });
-let clients = [];
-
-localWss.on("connection", (client) => {
-  clients.push(client);
-  client.on("close", () => clients = clients.filter((c) => c !== client));
-});
-
-server.listen(7001, () =>
-  console.log("✅ Forwarding decoded mempool tx on ws://127.0.0.1:7001")
-);
+const feed = startFeedServer();
+
+// Optional JSONL recording of everything forwarded (replay with feedreplay.js)
+const recorder = process.env.FEED_RECORD_FILE ? createFeedRecorder(process.env.FEED_RECORD_FILE) : null;
+if (recorder) {
+  ["SIGINT", "SIGTERM"].forEach((sig) =>
+    process.on(sig, async () => {
+      await recorder.close();
+      console.log(`🎙️ Recorded ${recorder.recordedCount()} packets`);
+      process.exit(0);
+    })
+  );
+}
 
-// === Worker sends decoded transactions here ===
-workers.forEach((worker) => {
-  worker.on("message", (decodedBatch) => {
-    decodedBatch.forEach((tx) => {
-      const packet = {
-        hash: tx.hash,
-        from: tx.from,
-        to: tx.to,
-        dexKind: tx.routerKind,
-        method: tx.decoded?.method,
-        tokenIn: tx.decoded?.tokenIn,
-        tokenOut: tx.decoded?.tokenOut,
-        amountIn: tx.decoded?.amountIn,
-        amountOutMin: tx.decoded?.amountOutMin,
-      };
-
-      // ✅ forward ONLY decoded packet
-      clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(JSON.stringify(packet));
-        }
-      });
-    });
+// === Workers send decoded transactions here ===
+decoders.on("decoded", (decodedBatch) => {
+  decodedBatch.forEach((tx) => {
+    // `swaps` lists every leg (multicall / Universal Router txs carry several);
+    // the top-level fields mirror the first one for single-swap consumers
+    const swaps = tx.decoded ?? [];
+    const first = swaps[0];
+    const packet = {
+      hash: tx.hash,
+      source: mempool.firstSeenBy(tx.hash),
+      from: tx.from,
+      to: tx.to,
+      dexKind: tx.routerKind,
+      method: first?.method,
+      tokenIn: first?.tokenIn,
+      tokenOut: first?.tokenOut,
+      amountIn: first?.amountIn,
+      amountOutMin: first?.amountOutMin,
+      swaps,
+    };
+
+    // ✅ forward ONLY decoded packet
+    feed.broadcast(packet);
+    recorder?.record(packet);
+    lifecycle.track(tx);
   });
 });
\ No newline at end of file
@@ -0,0 +1,185 @@
+// pipeline.js — in-process path from the backrun watcher to the executor
+// backrunwatcher → opportunitycoalescer → arbopportunities ("opportunityQueued") → here:
+// (outcomes land in opportunityjournal.js: queued → executing → submitted/failed/expired,
+// or alerted in alert mode)
+//   queue     bounded, best-first by expected net profit (rankOpportunities)
+//   validate  trigger still pending, within OPPORTUNITY_MAX_BLOCKS (opportunityexpiry.js) and,
+//             for opportunities without a block, not older than PIPELINE_MAX_AGE_MS
+//   enrich    poolexecutor.preparePool: token screen, protections, gas/slippage, final profit
+//   execute   poolexecutor.submitPool, or a Telegram alert when PIPELINE_MODE=alert
+// Every item records how long each stage took; pipelineStats() aggregates them.
+import "dotenv/config";
+import { watcher, isTriggerDead, startBackrunWatcher } from "./backrunwatcher.js";
+import { rankOpportunities } from "./opportunitycoalescer.js";
+import { preparePool, rejectPool, submitPool } from "./poolexecutor.js";
+import { queuedPools, transition } from "./opportunityjournal.js";
+import { blockExpiry } from "./opportunityexpiry.js";
+import { sendTelegram } from "./telegramalert.js";
+import "./arbopportunities.js";
+
+const MODE = (process.env.PIPELINE_MODE || "alert").toLowerCase() === "execute" ? "execute" : "alert";
+const QUEUE_SIZE = Number(process.env.PIPELINE_QUEUE_SIZE || 32);
+const CONCURRENCY = Number(process.env.PIPELINE_CONCURRENCY || 1);
+const MAX_AGE_MS = Number(process.env.PIPELINE_MAX_AGE_MS || 15_000);
+
+const STAGES = ["queue", "validate", "enrich", "execute"];
+
+// ===========================================================
+// 🔹 Stage timing
+// ===========================================================
+
+const timing = Object.fromEntries(STAGES.map((s) => [s, { count: 0, totalMs: 0, maxMs: 0, lastMs: 0 }]));
+const counters = { received: 0, dropped: 0, rejected: 0, executed: 0, alerted: 0, failed: 0 };
+
+function record(item, stage, startedAt) {
+  const ms = Date.now() - startedAt;
+  item.timings[stage] = ms;
+  const t = timing[stage];
+  t.count++;
+  t.totalMs += ms;
+  t.lastMs = ms;
+  t.maxMs = Math.max(t.maxMs, ms);
+}
+
+function describeTimings(item) {
+  return STAGES.filter((s) => item.timings[s] != null)
+    .map((s) => `${s} ${item.timings[s]}ms`)
+    .join(" · ");
+}
+
+// ===========================================================
+// 🔹 Queue
+// ===========================================================
+
+// { pool, queuedAt, timings }
+let queue = [];
+let active = 0;
+
+function accept(pool) {
+  counters.received++;
+  queue.push({ pool, queuedAt: Date.now(), timings: {} });
+
+  if (queue.length > QUEUE_SIZE) {
+    // Full: the least valuable entry (possibly the new one) makes room
+    const ranked = rankOpportunities(queue.map((i) => i.pool));
+    const worst = ranked[ranked.length - 1];
+    const victims = queue.filter((i) => i.pool === worst || !ranked.includes(i.pool));
+    queue = queue.filter((i) => !victims.includes(i));
+    counters.dropped += victims.length;
+    victims.forEach((i) => transition(i.pool.id, "expired", { reason: "evicted from a full pipeline queue" }));
+    console.log(`⏏️ Pipeline full (${QUEUE_SIZE}) — dropped ${victims.length} lower-ranked opportunity(ies)`);
+  }
+  pump();
+}
+
+// Highest expected net profit first
+function takeBest() {
+  const ranked = rankOpportunities(queue.map((i) => i.pool));
+  const item = queue.find((i) => i.pool === ranked[0]) ?? queue[0];
+  queue = queue.filter((i) => i !== item);
+  return item;
+}
+
+function pump() {
+  while (active < CONCURRENCY && queue.length) {
+    const item = takeBest();
+    active++;
+    runStages(item)
+      .catch((err) => {
+        counters.failed++;
+        console.error(`[pipeline] ${item.pool.pairSymbol || item.pool.id} failed:`, err.message);
+        transition(item.pool.id, "failed", { reason: err.message });
+      })
+      .finally(() => {
+        active--;
+        pump();
+      });
+  }
+}
+
+// ===========================================================
+// 🔹 Stages
+// ===========================================================
+
+async function runStages(item) {
+  const { pool } = item;
+  const label = pool.pairSymbol || pool.id;
+  record(item, "queue", item.queuedAt);
+
+  let t = Date.now();
+  const stale = isTriggerDead(pool.txHash)
+    ? "trigger tx no longer pending"
+    : blockExpiry(pool) ??
+      (Date.now() - pool.timestamp > MAX_AGE_MS ? `older than ${MAX_AGE_MS}ms` : null);
+  record(item, "validate", t);
+  if (stale) return reject(item, { reason: `🪦 Skipped ${label} — ${stale}`, state: "expired" });
+
+  // Already settled elsewhere (expired by its trigger, taken by another executor)
+  if (!transition(pool.id, "executing")) return;
+
+  t = Date.now();
+  const prepared = await preparePool(pool);
+  record(item, "enrich", t);
+  if (!prepared.ok) return reject(item, prepared);
+
+  const enriched = prepared.pool;
+  t = Date.now();
+  if (MODE === "execute") {
+    const result = await submitPool(enriched);
+    record(item, "execute", t);
+    if (result?.status === "submitted") counters.executed++;
+    else counters.failed++;
+  } else {
+    await sendTelegram(
+      `🔔 Ready (alert mode) ${label}\n` +
+      `Loan ${Number(enriched.loanAmountUSD ?? 0).toFixed(2)} USD → est +${enriched.estProfitUSD.toFixed(2)} USD net`
+    );
+    transition(pool.id, "alerted", { reason: "alert mode: not executed", estProfitUSD: enriched.estProfitUSD });
+    record(item, "execute", t);
+    counters.alerted++;
+  }
+  console.log(`🧵 Pipeline ${MODE} ${label} | ${describeTimings(item)}`);
+}
+
+async function reject(item, rejection) {
+  counters.rejected++;
+  await rejectPool(item.pool, rejection);
+  console.log(`🧵 Pipeline rejected ${item.pool.pairSymbol || item.pool.id} | ${describeTimings(item)}`);
+}
+
+// ===========================================================
+// 🔹 Startup
+// ===========================================================
+
+let started = false;
+
+/**
+ * startPipeline() — subscribes to queued opportunities, picks up the ones the journal still
+ * holds from before a restart, and starts the watcher feed
+ */
+export function startPipeline() {
+  if (started) return;
+  started = true;
+  watcher.on("opportunityQueued", accept);
+  queuedPools().forEach(accept);
+  startBackrunWatcher();
+  console.log(`✅ Pipeline started (mode ${MODE}, queue ${QUEUE_SIZE}, concurrency ${CONCURRENCY})`);
+}
+
+/**
+ * pipelineStats() — mode, queue depth, outcome counters and per-stage timing (avg/max/last ms)
+ */
+export function pipelineStats() {
+  const stages = {};
+  for (const [stage, t] of Object.entries(timing)) {
+    stages[stage] = {
+      count: t.count,
+      avgMs: t.count ? Math.round(t.totalMs / t.count) : 0,
+      maxMs: t.maxMs,
+      lastMs: t.lastMs,
+    };
+  }
+  return { mode: MODE, queued: queue.length, active, ...counters, stages };
+}
+
+startPipeline();
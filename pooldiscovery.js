@@ -0,0 +1,397 @@
+// pooldiscovery.js — finds the real pools for a token pair on every configured venue
+// Venues come from factories.json, keyed by the routers.json name used to trade them:
+//   v2: factory.getPair · v3: factory.getPool per fee tier · balancer: pools holding both tokens
+//   in the Vault's TokensRegistered log index (plus configured poolIds and BALANCER_POOL_IDS),
+//   confirmed by Vault.getPoolTokens · curve: registry.find_pool_for_coins
+// Pool addresses never change, so hits are cached for the process lifetime; misses are
+// re-checked after DISCOVERY_MISS_TTL_MS and RPC failures are not cached at all.
+// The Balancer index is kept in BALANCER_POOL_INDEX_FILE and only scans new blocks on restart.
+// routers.json entries that trade pools must map to a venue here or opt out with
+// "discovery": false; both are reported at startup.
+import "dotenv/config";
+import fs from "fs";
+import { ethers } from "ethers";
+import { readCall } from "./protectionutilities.js";
+
+const MISS_TTL_MS = Number(process.env.DISCOVERY_MISS_TTL_MS || 10 * 60_000);
+const CURVE_MAX_POOLS_PER_PAIR = 8;
+const BALANCER_MAX_POOLS_PER_PAIR = 8;
+const BALANCER_INDEX_FILE = process.env.BALANCER_POOL_INDEX_FILE || "./balancer_pools.json";
+const BALANCER_LOG_CHUNK_BLOCKS = Number(process.env.BALANCER_LOG_CHUNK_BLOCKS || 50_000);
+const BALANCER_LOG_MIN_CHUNK = 500;
+const BALANCER_SAVE_EVERY_CHUNKS = 20;
+
+export const factories = JSON.parse(fs.readFileSync("./factories.json", "utf8"));
+const routers = JSON.parse(fs.readFileSync("./routers.json", "utf8"));
+
+const V2_FACTORY_ABI = ["function getPair(address, address) view returns (address)"];
+const V3_FACTORY_ABI = ["function getPool(address, address, uint24) view returns (address)"];
+const BALANCER_VAULT_ABI = ["function getPoolTokens(bytes32) view returns (address[], uint256[], uint256)"];
+const BALANCER_POOL_ABI = ["function getSwapFeePercentage() view returns (uint256)"];
+const BALANCER_VAULT_EVENTS = new ethers.Interface([
+  "event TokensRegistered(bytes32 indexed poolId, address[] tokens, address[] assetManagers)",
+  "event TokensDeregistered(bytes32 indexed poolId, address[] tokens)",
+]);
+const CURVE_REGISTRY_ABI = [
+  "function find_pool_for_coins(address, address, uint256) view returns (address)",
+  "function get_coin_indices(address, address, address) view returns (int128, int128, bool)",
+  "function get_fees(address) view returns (uint256[2])",
+];
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+/**
+ * venueOf(dexName) — factories.json venue a routers.json entry trades on, or null.
+ * Routers that trade another venue's pools name it with `venue` (SwapRouter02 → uniswap-v3);
+ * aggregators and venues without a factory entry have none.
+ */
+export function venueOf(dexName) {
+  const name = dexName?.toLowerCase();
+  if (factories[name]) return name;
+  return routers[name]?.venue ?? null;
+}
+
+// Routers whose victims would never get pools: say so once, at startup
+for (const [name, r] of Object.entries(routers)) {
+  if (r.kind === "AGGREGATOR" || venueOf(name)) continue;
+  if (r.discovery === false) {
+    console.warn(`⚠️ [pooldiscovery] ${name} excluded from pool discovery (routers.json "discovery": false): its txs are decoded but never backrun`);
+  } else {
+    console.warn(`⚠️ [pooldiscovery] ${name} has no factories.json venue: its txs are decoded but never backrun`);
+  }
+}
+
+function sameAddress(a, b) {
+  return a?.toLowerCase() === b?.toLowerCase();
+}
+
+function isPool(address) {
+  return !!address && address !== ethers.ZeroAddress;
+}
+
+// ===========================================================
+// 🔹 Token metadata
+// ===========================================================
+
+// token (lowercase) -> Promise<{ address, symbol, decimals } | null>
+const tokenCache = new Map();
+
+/**
+ * tokenInfo(token) → { address, symbol, decimals } or null; cached per token
+ */
+export function tokenInfo(token) {
+  const key = token.toLowerCase();
+  if (!tokenCache.has(key)) {
+    const pending = readCall(`discovery.token:${token}`, async (provider) => {
+      const c = new ethers.Contract(token, ERC20_ABI, provider);
+      const [symbol, decimals] = await Promise.all([c.symbol().catch(() => ""), c.decimals()]);
+      return { address: ethers.getAddress(token), symbol, decimals: Number(decimals) };
+    })
+      .catch(() => null)
+      .then((info) => {
+        if (!info) tokenCache.delete(key);
+        return info;
+      });
+    tokenCache.set(key, pending);
+  }
+  return tokenCache.get(key);
+}
+
+// ===========================================================
+// 🔹 Balancer pool index (Vault TokensRegistered / TokensDeregistered logs)
+// ===========================================================
+
+// vault (lowercase) -> { vault, lastBlock, pools: { poolId: [token lowercase] }, byToken, ready, at, refreshing }
+const balancerIndexes = new Map();
+
+function readBalancerIndexFile(vault) {
+  try {
+    const saved = JSON.parse(fs.readFileSync(BALANCER_INDEX_FILE, "utf8"));
+    return sameAddress(saved.vault, vault) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeBalancerIndexFile(index) {
+  const { vault, lastBlock, pools, ready } = index;
+  const tmpFile = `${BALANCER_INDEX_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ vault, lastBlock, ready, pools }));
+  fs.renameSync(tmpFile, BALANCER_INDEX_FILE);
+}
+
+function indexTokens(index, poolId, tokens, add) {
+  const held = new Set(index.pools[poolId] || []);
+  for (const token of tokens.map((t) => t.toLowerCase())) {
+    if (!index.byToken.has(token)) index.byToken.set(token, new Set());
+    if (add) {
+      held.add(token);
+      index.byToken.get(token).add(poolId);
+    } else {
+      held.delete(token);
+      index.byToken.get(token).delete(poolId);
+    }
+  }
+  if (held.size) index.pools[poolId] = [...held];
+  else delete index.pools[poolId];
+}
+
+function balancerIndex(cfg) {
+  const key = cfg.vault.toLowerCase();
+  if (!balancerIndexes.has(key)) {
+    const saved = readBalancerIndexFile(cfg.vault);
+    const index = {
+      vault: cfg.vault,
+      lastBlock: saved?.lastBlock ?? (cfg.fromBlock ?? 0) - 1,
+      pools: {},
+      byToken: new Map(),
+      ready: saved?.ready === true,
+      at: 0,
+      refreshing: null,
+    };
+    for (const [poolId, tokens] of Object.entries(saved?.pools || {})) indexTokens(index, poolId, tokens, true);
+    balancerIndexes.set(key, index);
+  }
+  return balancerIndexes.get(key);
+}
+
+// Scans the Vault's logs from the last indexed block to the head, halving the block range
+// whenever the RPC refuses it; progress is saved as it goes
+async function refreshBalancerIndex(venue, index) {
+  const head = await readCall(`discovery.balancer.head:${venue}`, (provider) => provider.getBlockNumber());
+  if (head == null) throw new Error("no block number");
+
+  const startedFrom = index.lastBlock + 1;
+  let chunk = BALANCER_LOG_CHUNK_BLOCKS;
+  let chunksSinceSave = 0;
+  while (index.lastBlock < head) {
+    const fromBlock = index.lastBlock + 1;
+    const toBlock = Math.min(head, fromBlock + chunk - 1);
+    const logs = await readCall(`discovery.balancer.logs:${venue}`, (provider) => provider.getLogs({
+      address: index.vault,
+      fromBlock,
+      toBlock,
+      topics: [[BALANCER_VAULT_EVENTS.getEvent("TokensRegistered").topicHash, BALANCER_VAULT_EVENTS.getEvent("TokensDeregistered").topicHash]],
+    }), 30_000);
+    if (logs == null) {
+      if (chunk <= BALANCER_LOG_MIN_CHUNK) throw new Error(`getLogs refused #${fromBlock}..#${toBlock}`);
+      chunk = Math.max(BALANCER_LOG_MIN_CHUNK, Math.floor(chunk / 2));
+      continue;
+    }
+
+    for (const log of logs) {
+      const event = BALANCER_VAULT_EVENTS.parseLog(log);
+      indexTokens(index, event.args.poolId, [...event.args.tokens], event.name === "TokensRegistered");
+    }
+    index.lastBlock = toBlock;
+    if (++chunksSinceSave >= BALANCER_SAVE_EVERY_CHUNKS) {
+      writeBalancerIndexFile(index);
+      chunksSinceSave = 0;
+    }
+  }
+  if (!index.ready) {
+    console.log(`📚 Balancer pool index ready: ${Object.keys(index.pools).length} pools (#${startedFrom}..#${head})`);
+  }
+  index.ready = true;
+  writeBalancerIndexFile(index);
+}
+
+/**
+ * balancerPoolIds(venue, cfg, tokenA, tokenB) — indexed poolIds holding both tokens, newest
+ * first; null until the first full scan of the Vault's logs has completed. Scans run in the
+ * background, at most once per DISCOVERY_MISS_TTL_MS, so discovery never waits on one.
+ */
+async function balancerPoolIds(venue, cfg, tokenA, tokenB) {
+  const index = balancerIndex(cfg);
+  if (!index.refreshing && Date.now() - index.at >= MISS_TTL_MS) {
+    index.at = Date.now();
+    index.refreshing = refreshBalancerIndex(venue, index)
+      .catch((err) => console.warn(`[pooldiscovery] ${venue} pool index refresh failed:`, err.message))
+      .finally(() => {
+        index.refreshing = null;
+      });
+  }
+  if (!index.ready) return null;
+
+  const withA = index.byToken.get(tokenA.toLowerCase()) || new Set();
+  const withB = index.byToken.get(tokenB.toLowerCase()) || new Set();
+  return [...withA].filter((id) => withB.has(id)).reverse();
+}
+
+// ===========================================================
+// 🔹 Per-venue lookups (null = lookup failed, [] = no pool)
+// ===========================================================
+
+// Every finder returns pools with token0/token1 in the pool's own order
+const finders = {
+  async v2(venue, cfg, tokenA, tokenB) {
+    return readCall(`discovery.v2:${venue}`, async (provider) => {
+      const factory = new ethers.Contract(cfg.factory, V2_FACTORY_ABI, provider);
+      const pair = await factory.getPair(tokenA, tokenB);
+      if (!isPool(pair)) return [];
+      const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+      return [{ type: "v2", version: "v2", pairAddress: pair, token0, token1, feeBps: cfg.feeBps ?? 30 }];
+    });
+  },
+
+  async v3(venue, cfg, tokenA, tokenB) {
+    return readCall(`discovery.v3:${venue}`, async (provider) => {
+      const factory = new ethers.Contract(cfg.factory, V3_FACTORY_ABI, provider);
+      const pools = await Promise.all(cfg.feeTiers.map((fee) => factory.getPool(tokenA, tokenB, fee)));
+      const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+      return pools
+        .map((pool, k) => ({ type: "v3", version: "v3", pairAddress: pool, token0, token1, fee: cfg.feeTiers[k] }))
+        .filter((p) => isPool(p.pairAddress));
+    });
+  },
+
+  async balancer(venue, cfg, tokenA, tokenB) {
+    const indexed = await balancerPoolIds(venue, cfg, tokenA, tokenB);
+    if (indexed === null) return null;
+    const configured = [
+      ...(cfg.poolIds || []),
+      ...(process.env.BALANCER_POOL_IDS?.split(",").map((id) => id.trim()).filter(Boolean) || []),
+    ];
+    const poolIds = [...new Set([...configured, ...indexed.slice(0, BALANCER_MAX_POOLS_PER_PAIR)])];
+    if (!poolIds.length) return [];
+
+    return readCall(`discovery.balancer:${venue}`, async (provider) => {
+      const vault = new ethers.Contract(cfg.vault, BALANCER_VAULT_ABI, provider);
+      const found = [];
+      for (const poolId of poolIds) {
+        const [tokens] = await vault.getPoolTokens(poolId);
+        const i = tokens.findIndex((t) => sameAddress(t, tokenA));
+        const j = tokens.findIndex((t) => sameAddress(t, tokenB));
+        if (i < 0 || j < 0) continue;
+
+        // poolId = pool address (20 bytes) ‖ specialization ‖ nonce
+        const pairAddress = ethers.getAddress(ethers.dataSlice(poolId, 0, 20));
+        const swapFee = await new ethers.Contract(pairAddress, BALANCER_POOL_ABI, provider)
+          .getSwapFeePercentage()
+          .catch(() => null);
+        const [lo, hi] = i < j ? [i, j] : [j, i];
+        found.push({
+          type: "balancer",
+          poolId,
+          pairAddress,
+          token0: tokens[lo],
+          token1: tokens[hi],
+          indices: [lo, hi],
+          swapFee: swapFee == null ? null : swapFee.toString(),
+        });
+      }
+      return found;
+    });
+  },
+
+  async curve(venue, cfg, tokenA, tokenB) {
+    return readCall(`discovery.curve:${venue}`, async (provider) => {
+      const registry = new ethers.Contract(cfg.registry, CURVE_REGISTRY_ABI, provider);
+      const found = [];
+      for (let k = 0; k < CURVE_MAX_POOLS_PER_PAIR; k++) {
+        const pool = await registry.find_pool_for_coins(tokenA, tokenB, k);
+        if (!isPool(pool)) break;
+
+        const [[i, j, underlying], [fee]] = await Promise.all([
+          registry.get_coin_indices(pool, tokenA, tokenB),
+          registry.get_fees(pool),
+        ]);
+        const [token0, token1, lo, hi] =
+          Number(i) < Number(j) ? [tokenA, tokenB, i, j] : [tokenB, tokenA, j, i];
+        found.push({
+          type: "curve",
+          pairAddress: pool,
+          token0,
+          token1,
+          indices: [Number(lo), Number(hi)],
+          underlying,
+          fee: fee.toString(), // 1e10 precision
+        });
+      }
+      return found;
+    });
+  },
+};
+
+// ===========================================================
+// 🔹 Discovery
+// ===========================================================
+
+// `${venue}:${tokenLo}:${tokenHi}` -> { pools: Promise, at }
+const poolCache = new Map();
+
+function pairKey(venue, tokenA, tokenB) {
+  const [lo, hi] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+  return `${venue}:${lo}:${hi}`;
+}
+
+async function lookupVenue(venue, tokenA, tokenB) {
+  const cfg = factories[venue];
+  const find = finders[cfg?.type];
+  if (!find) return [];
+
+  try {
+    const pools = await find(venue, cfg, tokenA, tokenB);
+    if (!pools) return null;
+
+    return await Promise.all(
+      pools.map(async (p) => {
+        const [info0, info1] = await Promise.all([tokenInfo(p.token0), tokenInfo(p.token1)]);
+        return {
+          ...p,
+          dex: venue,
+          symbol0: info0?.symbol ?? "",
+          symbol1: info1?.symbol ?? "",
+          decimals0: info0?.decimals ?? 18,
+          decimals1: info1?.decimals ?? 18,
+        };
+      })
+    );
+  } catch (err) {
+    console.warn(`[pooldiscovery] ${venue} lookup failed:`, err.message);
+    return null;
+  }
+}
+
+function venuePools(venue, tokenA, tokenB) {
+  const key = pairKey(venue, tokenA, tokenB);
+  const cached = poolCache.get(key);
+  if (cached && (cached.hit || Date.now() - cached.at < MISS_TTL_MS)) return cached.pools;
+
+  const entry = { at: Date.now(), hit: false, pools: null };
+  entry.pools = lookupVenue(venue, tokenA, tokenB).then((pools) => {
+    if (pools === null) {
+      poolCache.delete(key);
+      return [];
+    }
+    entry.hit = pools.length > 0;
+    return pools;
+  });
+  poolCache.set(key, entry);
+  return entry.pools;
+}
+
+/**
+ * discoverPools(tokenA, tokenB, { venues }) → pools on every venue (or only `venues`):
+ * [{ dex, type, pairAddress, poolId?, token0, token1, symbol0, symbol1, decimals0, decimals1,
+ *    feeBps? (v2), fee? (v3 pips / curve 1e10), swapFee? (balancer 1e18), indices? }]
+ * token0/token1 follow the pool's own ordering.
+ */
+export async function discoverPools(tokenA, tokenB, { venues = Object.keys(factories) } = {}) {
+  if (!tokenA || !tokenB || sameAddress(tokenA, tokenB)) return [];
+  const perVenue = await Promise.all(
+    venues.filter((v) => factories[v]).map((v) => venuePools(v, tokenA, tokenB))
+  );
+  return perVenue.flat();
+}
+
+/**
+ * discoveryStats() — cache size, for status endpoints and logs
+ */
+export function discoveryStats() {
+  let hits = 0;
+  for (const entry of poolCache.values()) if (entry.hit) hits++;
+  return { pairs: poolCache.size, withPools: hits, tokens: tokenCache.size };
+}
@@ -1,128 +1,278 @@
 // poolexecutor.js
-import fs from "fs";
+import { ethers } from "ethers";
 import protectionutilities from "./protectionutilities.js";
-import { broadcastPendingPool } from "./broadcast.js";
 import { sendTelegram } from "./telegramalert.js";
 import { getRealSlippage } from "./slippagehelper.js";
 import { getRealGasCostUSD } from "./gashelper.js";
+import { getReadProvider } from "./dataprovider.js";
+import { isTriggerDead } from "./backrunwatcher.js";
+import { screenTokens } from "./tokensafety.js";
+import { rankOpportunities } from "./opportunitycoalescer.js";
+import { entriesIn, getEntry, queuedPools, transition } from "./opportunityjournal.js";
 
-const DIRECT_POOL_FILE = "./direct_pool.json";
+const RECEIPT_TIMEOUT_MS = Number(process.env.RECEIPT_TIMEOUT_MS || 120_000);
+// Flash-loan premium the final cycle leg must return on top of the loan (Aave v3: 5 bps)
+const FLASH_LOAN_PREMIUM_BPS = BigInt(process.env.FLASH_LOAN_PREMIUM_BPS || 5);
+const MAX_SLIPPAGE_PCT = 1.5;
 
-// === JSON Reader ===
-function safeReadJson() {
-  try {
-    if (!fs.existsSync(DIRECT_POOL_FILE)) return [];
-    const content = fs.readFileSync(DIRECT_POOL_FILE, "utf8");
-    return content ? JSON.parse(content) : [];
-  } catch {
-    return [];
+// === Validation + enrichment ===
+// Decides whether a queued pool is worth sending and prices it, without sending anything:
+// → { ok: true, pool: enrichedPool } or { ok: false, reason, state } where state is the
+//   journal outcome ("expired" when the chance went away, "failed" when it did not pass)
+const skip = (reason, state = "failed") => ({ ok: false, reason, state });
+
+export async function preparePool(pool) {
+  if (isTriggerDead(pool.txHash)) {
+    return skip(`🪦 Skipped ${pool.pairSymbol || pool.id} — trigger tx no longer pending`, "expired");
   }
-}
 
-function removePoolById(id) {
-  const pools = safeReadJson().filter(p => p.id !== id);
-  fs.writeFileSync(DIRECT_POOL_FILE, JSON.stringify(pools, null, 2));
-}
+  // Fee-on-transfer / honeypot / blacklisting tokens would break the flash-loan repayment
+  const tokens = pool.type === "cycle" ? pool.legs.map((l) => l.tokenIn) : [pool.tokenIn, pool.tokenOut];
+  const screen = await screenTokens(tokens);
+  if (!screen.ok) {
+    const { symbol, token, reason } = screen.rejected;
+    return skip(`☣️ Token screen blocked ${pool.pairSymbol || pool.id}: ${symbol || token} ${reason}`);
+  }
 
-// === Single Pool Executor ===
-async function executeSinglePool(pool) {
-  try {
-    const prot = await protectionutilities(pool, pool.profitUSD);
-    if (!prot?.ok) {
-      await sendTelegram(`🚫 Protection blocked ${pool.liveDex?.pairAddress || "Unknown"}: ${prot?.reason || "Unknown"}`);
-      removePoolById(pool.id);
-      return;
-    }
+  const prot = await protectionutilities.runProtections(protectionParams(pool));
+  if (!prot?.ok) {
+    return skip(`🚫 Protection blocked ${pool.liveDex?.pairAddress || "Unknown"}: ${prot?.reason || "Unknown"}`);
+  }
 
-    const buyFrom = pool.catchDex || pool.catch;
-    const sellTo = pool.liveDex || pool.live;
-
-    // Loan asset detection
-    let loanAsset = "USDC";
-    const symbol = pool.pairSymbol?.toUpperCase() || "";
-    if (symbol.includes("USDT")) loanAsset = "USDT";
-    else if (symbol.includes("DAI")) loanAsset = "DAI";
-    else if (symbol.includes("WMATIC")) loanAsset = "WMATIC";
-    else if (symbol.includes("WETH")) loanAsset = "WETH";
-
-    const liqUSD = Math.min(buyFrom.liquidityUSD ?? 0, sellTo.liquidityUSD ?? 0);
-
-    // Slippage / Gas estimates
-    const gasCostUSD = await getRealGasCostUSD(liqUSD);
-    const liveSlip = await getRealSlippage(sellTo.name, sellTo.tokenIn, sellTo.tokenOut);
-    const catchSlip = await getRealSlippage(buyFrom.name, buyFrom.tokenIn, buyFrom.tokenOut);
-    const slippagePct = Math.max(liveSlip, catchSlip);
-    const slippageUSD = (liqUSD * slippagePct) / 100;
-
-    if (slippagePct > 1.5) {
-      await sendTelegram(`⚠️ Skipped ${symbol} — Slippage too high (${slippagePct.toFixed(3)}%)`);
-      removePoolById(pool.id);
-      return;
-    }
+  if (pool.type === "cycle") return await prepareCyclePool(pool);
+
+  // The solver may find the profitable direction is buying on the live pool
+  const sizing = pool.sizing ?? null;
+  const [buyFrom, sellTo] =
+    sizing?.buyVenue === "live"
+      ? [pool.liveDex || pool.live, pool.catchDex || pool.catch]
+      : [pool.catchDex || pool.catch, pool.liveDex || pool.live];
+
+  // Loan asset detection — a sized pool borrows the solver's tokenIn (an address)
+  let loanAsset = "USDC";
+  const symbol = pool.pairSymbol?.toUpperCase() || "";
+  if (sizing?.loanToken) loanAsset = sizing.loanToken;
+  else if (symbol.includes("USDT")) loanAsset = "USDT";
+  else if (symbol.includes("DAI")) loanAsset = "DAI";
+  else if (symbol.includes("WMATIC")) loanAsset = "WMATIC";
+  else if (symbol.includes("WETH")) loanAsset = "WETH";
+
+  const liqUSD = Math.min(buyFrom.liquidityUSD ?? 0, sellTo.liquidityUSD ?? 0);
 
+  // Slippage / Gas estimates
+  const { gasCostUSD, error: gasError } = await getRealGasCostUSD();
+  if (gasCostUSD == null) return skip(`⚠️ Skipped ${symbol} — No gas price: ${gasError}`);
+  const liveSlip = await getRealSlippage(sellTo.name, sellTo.tokenIn, sellTo.tokenOut);
+  const catchSlip = await getRealSlippage(buyFrom.name, buyFrom.tokenIn, buyFrom.tokenOut);
+  const slippagePct = Math.max(liveSlip, catchSlip);
+  // Sized trades already include their own price impact; slippage only applies to the notional
+  const slippageUSD = ((sizing ? sizing.amountInUSD : liqUSD) * slippagePct) / 100;
+
+  if (slippagePct > MAX_SLIPPAGE_PCT) {
+    return skip(`⚠️ Skipped ${symbol} — Slippage too high (${slippagePct.toFixed(3)}%)`);
+  }
+
+  // Sized opportunities were already priced on both curves by the solver
+  let priceDiffPct = Number(pool.diffPct ?? 0);
+  if (!sizing) {
     const sellPrice = Number(sellTo?.priceAfterImpact ?? 0);
     const buyPrice = Number(buyFrom?.catchPrice ?? 0);
-    if (sellPrice <= 0 || buyPrice <= 0) {
-      await sendTelegram(`⚠️ Skipped ${symbol} — Invalid price data`);
-      removePoolById(pool.id);
-      return;
-    }
+    if (sellPrice <= 0 || buyPrice <= 0) return skip(`⚠️ Skipped ${symbol} — Invalid price data`);
+    priceDiffPct = ((sellPrice - buyPrice) / buyPrice) * 100;
+  }
 
-    const priceDiffPct = ((sellPrice - buyPrice) / buyPrice) * 100;
-    const profitUSD = pool.profitUSD || liqUSD * (priceDiffPct / 100);
-    const estProfitUSD = profitUSD - gasCostUSD - slippageUSD;
+  const profitUSD = pool.profitUSD || liqUSD * (priceDiffPct / 100);
+  const estProfitUSD = profitUSD - gasCostUSD - slippageUSD;
 
-    if (estProfitUSD < Number(process.env.MIN_PROFIT_USD || 10)) {
-      await sendTelegram(`⚠️ Skipped ${symbol} — Profit too low: ${estProfitUSD.toFixed(2)} USD`);
-      removePoolById(pool.id);
-      return;
-    }
+  if (estProfitUSD < Number(process.env.MIN_PROFIT_USD || 10)) {
+    return skip(`⚠️ Skipped ${symbol} — Profit too low: ${estProfitUSD.toFixed(2)} USD`);
+  }
+
+  const id = pool.id || `arb-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  // ✅ Enrich only in memory (no file write)
+  const enrichedPool = {
+    ...pool,
+    id,
+    // broadcast.js swaps tokenIn → tokenOut on the buy pool and back on the sell pool
+    ...(sizing ? { tokenIn: sizing.loanToken, tokenOut: midToken(pool, sizing) } : {}),
+    loanAsset,
+    loanAmountUSD: sizing ? sizing.amountInUSD : liqUSD * 0.006, // ← 0.6% loan without a solver size
+    loanAmount: sizing ? ethers.formatUnits(sizing.amountIn, sizing.loanDecimals) : undefined,
+    loanDecimals: sizing?.loanDecimals,
+    minOut: sizing ? sizing.amountMid : undefined,
+    expectedOut: sizing ? sizing.amountOut : undefined,
+    gasCostUSD,
+    slippageUSD,
+    estProfitUSD,
+    buyDex: buyFrom.name,
+    sellDex: sellTo.name,
+    buyRouter: buyFrom.router,
+    sellRouter: sellTo.router,
+    buyKind: buyFrom.kind ?? 0,
+    sellKind: sellTo.kind ?? 0,
+    buyPair: buyFrom.pairAddress,
+    sellPair: sellTo.pairAddress,
+    buyPoolId: buyFrom.poolId ?? null,
+    sellPoolId: sellTo.poolId ?? null,
+    buyV3Fee: buyFrom.v3Fee ?? null,
+    sellV3Fee: sellTo.v3Fee ?? null,
+    priceDiffPct,
+    liveSlippage: liveSlip,
+    catchSlippage: catchSlip,
+  };
+
+  console.log(`💠 Pool enriched: ${symbol || id}`);
+  return { ok: true, pool: enrichedPool };
+}
+
+// Older journal entries predate sizing.midToken: the pair token that is not borrowed
+function midToken(pool, sizing) {
+  if (sizing.midToken) return sizing.midToken;
+  return sizing.loanToken.toLowerCase() === pool.tokenIn?.toLowerCase() ? pool.tokenOut : pool.tokenIn;
+}
 
-    const id = pool.id || `arb-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+// Profit-vs-notional and live-pool reserve checks from protectionutilities.js
+function protectionParams(pool) {
+  const pairAddress = pool.type === "cycle" ? pool.legs[0]?.pairAddress : pool.liveDex?.pairAddress;
+  const isV3 = pool.type === "cycle" ? pool.legs[0]?.v3Fee != null : pool.liveDex?.kind === 1;
+  return {
+    profitUsd: Number(pool.profitUSD),
+    notionalUsd: Number(pool.sizing?.amountInUSD ?? pool.liquidityUSD ?? 0),
+    v2PairAddr: isV3 ? null : pairAddress,
+    v3PoolAddr: isV3 ? pairAddress : null,
+    loanAsset: pool.sizing?.loanToken || pool.tokenIn || "",
+  };
+}
+
+// === Multi-leg cycle enrichment ===
+// Cycles were sized on the simulated pools (price impact included); gas, the flash-loan premium
+// and the worst leg's slippage (the tolerance broadcast.js gives every leg) are left
+async function prepareCyclePool(pool) {
+  const symbol = pool.pairSymbol || pool.id;
+  const { sizing } = pool;
+
+  const slips = await Promise.all(pool.legs.map((l) => getRealSlippage(l.dex, l.tokenIn, l.tokenOut)));
+  const slippagePct = Math.max(...slips);
+  if (slippagePct > MAX_SLIPPAGE_PCT) {
+    return skip(`⚠️ Skipped cycle ${symbol} — Slippage too high (${slippagePct.toFixed(3)}%)`);
+  }
 
-    // ✅ Enrich only in memory (no file write)
-    const enrichedPool = {
+  const { gasCostUSD, error: gasError } = await getRealGasCostUSD();
+  if (gasCostUSD == null) return skip(`⚠️ Skipped cycle ${symbol} — No gas price: ${gasError}`);
+  const amountInUSD = Number(sizing.amountInUSD);
+  const premiumUSD = (amountInUSD * Number(FLASH_LOAN_PREMIUM_BPS)) / 10_000;
+  const slippageUSD = (amountInUSD * slippagePct) / 100;
+  const estProfitUSD = Number(sizing.profitUSD) - gasCostUSD - premiumUSD - slippageUSD;
+  if (estProfitUSD < Number(process.env.MIN_PROFIT_USD || 10)) {
+    return skip(`⚠️ Skipped cycle ${symbol} — Profit too low: ${estProfitUSD.toFixed(2)} USD`);
+  }
+
+  const id = pool.id || `cycle-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+  return {
+    ok: true,
+    pool: {
       ...pool,
       id,
-      loanAsset,
-      loanAmountUSD: liqUSD * 0.006, // ← 0.6% loan
+      loanAsset: sizing.loanToken,
+      loanAmount: ethers.formatUnits(sizing.amountIn, sizing.loanDecimals),
+      loanDecimals: sizing.loanDecimals,
+      loanAmountUSD: sizing.amountInUSD,
+      // the final leg must at least repay the loan and its premium
+      minIn: ((BigInt(sizing.amountIn) * (10_000n + FLASH_LOAN_PREMIUM_BPS)) / 10_000n).toString(),
+      slippageBps: Math.ceil(slippagePct * 100),
       gasCostUSD,
       slippageUSD,
       estProfitUSD,
-      buyDex: buyFrom.name,
-      sellDex: sellTo.name,
-      buyRouter: buyFrom.router,
-      sellRouter: sellTo.router,
-      buyKind: buyFrom.kind ?? 0,
-      sellKind: sellTo.kind ?? 0,
-      buyPair: buyFrom.pairAddress,
-      sellPair: sellTo.pairAddress,
-      priceDiffPct,
-      liveSlippage: liveSlip,
-      catchSlippage: catchSlip,
-    };
-
-    console.log(`💠 Pool enriched: ${symbol || id}`);
-
-    // Broadcast directly from memory
-    const result = await broadcastPendingPool(enrichedPool);
-    if (result?.status === "submitted") {
-      console.log(`✅ Broadcast submitted ${symbol}: ${result.txHash}`);
-      await sendTelegram(`✅ Broadcast submitted ${symbol} | tx: ${result.txHash}`);
+    },
+  };
+}
+
+// === Rejection — journal outcome, operator notice for anything but expiry ===
+export async function rejectPool(pool, { reason, state }) {
+  transition(pool.id, state, { reason });
+  if (state === "expired") console.log(reason);
+  else await sendTelegram(reason);
+}
+
+// === Broadcast of an enriched pool (journal: executing → submitted | failed | expired) ===
+export async function submitPool(enrichedPool) {
+  const label = `${enrichedPool.type === "cycle" ? "cycle " : ""}${enrichedPool.pairSymbol || enrichedPool.id}`;
+
+  // Trigger may have been replaced/dropped while we were estimating
+  if (isTriggerDead(enrichedPool.txHash)) {
+    console.log(`🪦 Skipped ${label} — trigger tx no longer pending`);
+    transition(enrichedPool.id, "expired", { reason: "trigger tx no longer pending" });
+    return { status: "skipped", reason: "trigger dead" };
+  }
+
+  // Expired (block age, pool moved) while it was being enriched
+  const entry = getEntry(enrichedPool.id);
+  if (entry && entry.state !== "executing") {
+    console.log(`⌛ Skipped ${label} — ${entry.state}: ${entry.reason || "no reason"}`);
+    return { status: "skipped", reason: entry.state };
+  }
+
+  // Broadcast directly from memory; loaded on first use so alert-only runs need no signing keys
+  const { broadcastPendingPool } = await import("./broadcast.js");
+  const result = await broadcastPendingPool(enrichedPool);
+  if (result?.status === "submitted") {
+    console.log(`✅ Broadcast submitted ${label}: ${result.txHash}`);
+    transition(enrichedPool.id, "submitted", {
+      submittedTx: result.txHash,
+      estProfitUSD: enrichedPool.estProfitUSD,
+      loanAmountUSD: enrichedPool.loanAmountUSD,
+    });
+    settlePool(enrichedPool.id, result.txHash);
+    await sendTelegram(`✅ Broadcast submitted ${label} | tx: ${result.txHash}`);
+  } else {
+    console.warn(`⚠️ Broadcast failed ${label}: ${result?.reason || "Unknown"}`);
+    transition(enrichedPool.id, "failed", { reason: `broadcast: ${result?.reason || "Unknown"}` });
+    await sendTelegram(`⚠️ Broadcast failed ${label}: ${result?.reason || "Unknown"}`);
+  }
+
+  return result;
+}
+
+// === Settlement (journal: submitted → settled | failed | expired) ===
+async function settlePool(id, txHash) {
+  try {
+    const provider = await getReadProvider();
+    const receipt = await provider.waitForTransaction(txHash, 1, RECEIPT_TIMEOUT_MS);
+    if (receipt?.status === 1) {
+      transition(id, "settled", { blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
     } else {
-      console.warn(`⚠️ Broadcast failed ${symbol}: ${result?.reason || "Unknown"}`);
-      await sendTelegram(`⚠️ Broadcast failed ${symbol}: ${result?.reason || "Unknown"}`);
+      transition(id, "failed", { reason: "reverted on-chain", blockNumber: receipt?.blockNumber ?? null });
     }
+  } catch (err) {
+    transition(id, "expired", { reason: `not mined: ${err.shortMessage || err.message}` });
+  }
+}
 
-    removePoolById(id);
+// Transactions sent before a restart still get their outcome recorded
+for (const entry of entriesIn("submitted")) settlePool(entry.id, entry.submittedTx);
 
+// === Single Pool Executor ===
+async function executeSinglePool(pool) {
+  if (!transition(pool.id, "executing")) return;
+  try {
+    const prepared = await preparePool(pool);
+    if (!prepared.ok) return await rejectPool(pool, prepared);
+    await submitPool(prepared.pool);
   } catch (e) {
     console.error(`[PoolExecutor] Error ${pool.pairSymbol}:`, e.message);
+    transition(pool.id, "failed", { reason: e.message });
     await sendTelegram(`💀 Fatal error executing ${pool.pairSymbol}: ${e.message}`);
-    removePoolById(pool.id);
   }
 }
 
+// === Ranked Executor — most valuable queued opportunity first ===
+export async function executeRankedPools(limit = 1) {
+  const ranked = rankOpportunities(queuedPools()).slice(0, limit);
+  for (const pool of ranked) await executeSinglePool(pool);
+  return ranked.length;
+}
+
 // === Concurrent Executor ===
 export async function executePoolsConcurrently(pools) {
   await Promise.all(pools.map(pool => executeSinglePool(pool)));
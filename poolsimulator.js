@@ -0,0 +1,351 @@
+// poolsimulator.js — local pool state + swap math (V2, V3 within tick, Balancer weighted, Curve stableswap)
+// Lets the watcher apply a pending victim swap to a pool and price the arbitrage against the
+// state the victim leaves behind, instead of the pre-trade reserves.
+// Amounts are raw token units (BigInt); prices are raw tokenOut-per-tokenIn floats.
+import "dotenv/config";
+import { ethers } from "ethers";
+import { readCall } from "./protectionutilities.js";
+
+const Q96 = 1n << 96n;
+const BALANCER_VAULT = "0xBA12222222228d8Ba445958a75a0704d566BF2C8";
+const ONE_18 = 10n ** 18n;
+const CURVE_FEE_DENOMINATOR = 10n ** 10n;
+const CURVE_MAX_COINS = 4;
+
+// V2 forks differ in fee; anything not listed pays the Uniswap 0.30%
+const V2_FEE_BPS = { apeswap: 20 };
+
+const V2_PAIR_ABI = [
+  "function getReserves() view returns (uint112, uint112, uint32)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+];
+const V3_POOL_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)",
+  "function liquidity() view returns (uint128)",
+  "function fee() view returns (uint24)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+];
+const BALANCER_VAULT_ABI = ["function getPoolTokens(bytes32) view returns (address[], uint256[], uint256)"];
+const BALANCER_POOL_ABI = [
+  "function getNormalizedWeights() view returns (uint256[])",
+  "function getSwapFeePercentage() view returns (uint256)",
+];
+const CURVE_POOL_ABI = [
+  "function coins(uint256) view returns (address)",
+  "function balances(uint256) view returns (uint256)",
+  "function A() view returns (uint256)",
+  "function fee() view returns (uint256)",
+];
+const ERC20_ABI = ["function decimals() view returns (uint8)"];
+
+// ===========================================================
+// 🔹 State loading
+// ===========================================================
+
+/**
+ * poolType(pool) — "v2" | "v3" | "balancer" | "curve" from the pool descriptor
+ */
+export function poolType(pool) {
+  const dex = (pool.dex || "").toLowerCase();
+  if (dex.includes("kyber")) return null; // Elastic ticks are not modelled
+  if (pool.type) return pool.type; // pooldiscovery.js descriptors
+  if (pool.poolId || dex.includes("balancer")) return "balancer";
+  if (dex.includes("curve")) return "curve";
+  if (pool.version === "v3" || dex.includes("v3")) return "v3";
+  return "v2";
+}
+
+/**
+ * fetchPoolState(pool) — on-chain state in the shape simulateSwap() expects, or null
+ * pool: { pairAddress, dex, version?, poolId? }
+ */
+export async function fetchPoolState(pool) {
+  const type = poolType(pool);
+  const address = pool.pairAddress;
+  if (!type || !address) return null;
+
+  const state = await readCall(`poolsim.${type}:${address}`, async (provider) => {
+    if (type === "v2") {
+      const c = new ethers.Contract(address, V2_PAIR_ABI, provider);
+      const [[r0, r1], token0, token1] = await Promise.all([c.getReserves(), c.token0(), c.token1()]);
+      const feeKey = Object.keys(V2_FEE_BPS).find((k) => (pool.dex || "").toLowerCase().includes(k));
+      return {
+        type, address, tokens: [token0, token1], reserves: [BigInt(r0), BigInt(r1)],
+        feeBps: feeKey ? V2_FEE_BPS[feeKey] : 30,
+      };
+    }
+
+    if (type === "v3") {
+      const c = new ethers.Contract(address, V3_POOL_ABI, provider);
+      const [slot0, liquidity, fee, token0, token1] = await Promise.all([
+        c.slot0(), c.liquidity(), c.fee(), c.token0(), c.token1(),
+      ]);
+      return {
+        type, address, tokens: [token0, token1],
+        sqrtPriceX96: BigInt(slot0[0]), liquidity: BigInt(liquidity), fee: Number(fee),
+      };
+    }
+
+    if (type === "balancer") {
+      const vault = new ethers.Contract(BALANCER_VAULT, BALANCER_VAULT_ABI, provider);
+      const c = new ethers.Contract(address, BALANCER_POOL_ABI, provider);
+      const [[tokens, balances], weights, swapFee] = await Promise.all([
+        vault.getPoolTokens(pool.poolId), c.getNormalizedWeights(), c.getSwapFeePercentage(),
+      ]);
+      return {
+        type, address, poolId: pool.poolId, tokens: [...tokens],
+        balances: balances.map(BigInt), weights: weights.map(BigInt), swapFee: BigInt(swapFee),
+      };
+    }
+
+    // curve: walk coins(i) until it reverts
+    const c = new ethers.Contract(address, CURVE_POOL_ABI, provider);
+    const tokens = [];
+    for (let i = 0; i < CURVE_MAX_COINS; i++) {
+      const coin = await c.coins(i).catch(() => null);
+      if (!coin) break;
+      tokens.push(coin);
+    }
+    const [balances, A, fee, decimals] = await Promise.all([
+      Promise.all(tokens.map((_, i) => c.balances(i))),
+      c.A(),
+      c.fee(),
+      Promise.all(tokens.map((t) => new ethers.Contract(t, ERC20_ABI, provider).decimals())),
+    ]);
+    return {
+      type, address, tokens, balances: balances.map(BigInt), A: BigInt(A), fee: BigInt(fee),
+      rates: decimals.map((d) => 10n ** BigInt(18 - Number(d))),
+    };
+  }).catch(() => null);
+
+  return state && state.tokens.length >= 2 ? state : null;
+}
+
+// ===========================================================
+// 🔹 Swap math
+// ===========================================================
+
+function indexOfToken(state, token) {
+  return state.tokens.findIndex((t) => t.toLowerCase() === token?.toLowerCase());
+}
+
+/**
+ * simulateSwap(state, tokenIn, tokenOut, amountIn) → { amountOut, state } or null
+ * `state` in the result is the pool after the swap; the input state is not modified.
+ * V3 is priced inside the current tick range only (no tick crossing), which
+ * overstates the move for swaps large enough to leave the range.
+ */
+export function simulateSwap(state, tokenIn, tokenOut, amountIn) {
+  const i = indexOfToken(state, tokenIn);
+  const j = indexOfToken(state, tokenOut);
+  if (i < 0 || j < 0 || i === j || amountIn <= 0n) return null;
+
+  switch (state.type) {
+    case "v2":
+      return swapV2(state, i, j, amountIn);
+    case "v3":
+      return swapV3(state, i === 0, amountIn);
+    case "balancer":
+      return swapBalancerWeighted(state, i, j, amountIn);
+    case "curve":
+      return swapCurve(state, i, j, amountIn);
+    default:
+      return null;
+  }
+}
+
+function swapV2(state, i, j, amountIn) {
+  const amountInWithFee = amountIn * BigInt(10_000 - state.feeBps);
+  const amountOut = (amountInWithFee * state.reserves[j]) / (state.reserves[i] * 10_000n + amountInWithFee);
+  const reserves = [...state.reserves];
+  reserves[i] += amountIn;
+  reserves[j] -= amountOut;
+  return { amountOut, state: { ...state, reserves } };
+}
+
+function swapV3(state, zeroForOne, amountIn) {
+  const { sqrtPriceX96: sqrtP, liquidity: L } = state;
+  if (L === 0n) return null;
+  const amountLessFee = (amountIn * BigInt(1_000_000 - state.fee)) / 1_000_000n;
+
+  let sqrtNext;
+  let amountOut;
+  if (zeroForOne) {
+    // token0 in: price falls, sqrtP' = L·sqrtP / (L + Δx·sqrtP)
+    sqrtNext = (L * Q96 * sqrtP) / (L * Q96 + amountLessFee * sqrtP);
+    amountOut = (L * (sqrtP - sqrtNext)) / Q96;
+  } else {
+    // token1 in: price rises, sqrtP' = sqrtP + Δy / L
+    sqrtNext = sqrtP + (amountLessFee * Q96) / L;
+    amountOut = (L * Q96 * (sqrtNext - sqrtP)) / sqrtP / sqrtNext;
+  }
+  return { amountOut, state: { ...state, sqrtPriceX96: sqrtNext } };
+}
+
+// out = bOut · (1 − (bIn / (bIn + aIn·(1 − fee)))^(wIn / wOut)); the power needs floats
+function swapBalancerWeighted(state, i, j, amountIn) {
+  const bIn = Number(state.balances[i]);
+  const bOut = Number(state.balances[j]);
+  const fee = Number(state.swapFee) / 1e18;
+  const ratio = bIn / (bIn + Number(amountIn) * (1 - fee));
+  const power = Number(state.weights[i]) / Number(state.weights[j]);
+  const amountOut = BigInt(Math.floor(bOut * (1 - Math.pow(ratio, power))));
+
+  const balances = [...state.balances];
+  balances[i] += amountIn;
+  balances[j] -= amountOut;
+  return { amountOut, state: { ...state, balances } };
+}
+
+// StableSwap invariant, as in the Curve pool contracts (balances scaled to 18 decimals)
+function curveD(xp, A) {
+  const n = BigInt(xp.length);
+  const S = xp.reduce((a, b) => a + b, 0n);
+  if (S === 0n) return 0n;
+  const Ann = A * n;
+  let D = S;
+  for (let k = 0; k < 255; k++) {
+    let DP = D;
+    for (const x of xp) DP = (DP * D) / (x * n);
+    const prev = D;
+    D = ((Ann * S + DP * n) * D) / ((Ann - 1n) * D + (n + 1n) * DP);
+    if (D > prev ? D - prev <= 1n : prev - D <= 1n) break;
+  }
+  return D;
+}
+
+function curveY(i, j, x, xp, A, D) {
+  const n = BigInt(xp.length);
+  const Ann = A * n;
+  let c = D;
+  let S = 0n;
+  for (let k = 0; k < xp.length; k++) {
+    if (k === j) continue;
+    const xk = k === i ? x : xp[k];
+    S += xk;
+    c = (c * D) / (xk * n);
+  }
+  c = (c * D) / (Ann * n);
+  const b = S + D / Ann;
+  let y = D;
+  for (let k = 0; k < 255; k++) {
+    const prev = y;
+    y = (y * y + c) / (2n * y + b - D);
+    if (y > prev ? y - prev <= 1n : prev - y <= 1n) break;
+  }
+  return y;
+}
+
+function swapCurve(state, i, j, amountIn) {
+  const xp = state.balances.map((b, k) => b * state.rates[k]);
+  const D = curveD(xp, state.A);
+  const y = curveY(i, j, xp[i] + amountIn * state.rates[i], xp, state.A, D);
+  const dy = xp[j] - y - 1n;
+  if (dy <= 0n) return null;
+  const fee = (dy * state.fee) / CURVE_FEE_DENOMINATOR;
+  const amountOut = (dy - fee) / state.rates[j];
+
+  const balances = [...state.balances];
+  balances[i] += amountIn;
+  balances[j] -= amountOut;
+  return { amountOut, state: { ...state, balances } };
+}
+
+// ===========================================================
+// 🔹 Prices
+// ===========================================================
+
+/**
+ * tokenBalance(state, token) — raw pool balance of `token`; V3 reports the in-range
+ * virtual reserves (x = L / √P, y = L · √P)
+ */
+export function tokenBalance(state, token) {
+  const i = indexOfToken(state, token);
+  if (i < 0) return 0n;
+  if (state.reserves) return state.reserves[i];
+  if (state.balances) return state.balances[i];
+  return i === 0 ? (state.liquidity * Q96) / state.sqrtPriceX96 : (state.liquidity * state.sqrtPriceX96) / Q96;
+}
+
+/**
+ * spotPrice(state, tokenIn, tokenOut) — marginal raw tokenOut per raw tokenIn, fees excluded
+ */
+export function spotPrice(state, tokenIn, tokenOut) {
+  const i = indexOfToken(state, tokenIn);
+  const j = indexOfToken(state, tokenOut);
+  if (i < 0 || j < 0 || i === j) return 0;
+
+  switch (state.type) {
+    case "v2":
+      return Number(state.reserves[j]) / Number(state.reserves[i]);
+    case "v3": {
+      const p = Number(state.sqrtPriceX96) / Number(Q96);
+      return i === 0 ? p * p : 1 / (p * p);
+    }
+    case "balancer":
+      return (Number(state.balances[j]) / Number(state.weights[j])) /
+        (Number(state.balances[i]) / Number(state.weights[i]));
+    case "curve": {
+      // no closed form: quote a swap of one millionth of the input balance without fee
+      const dx = state.balances[i] / 1_000_000n || 1n;
+      const sim = swapCurve({ ...state, fee: 0n }, i, j, dx);
+      return sim ? Number(sim.amountOut) / Number(dx) : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+// ===========================================================
+// 🔹 Victim swap
+// ===========================================================
+
+/**
+ * victimLegForPool(swaps, state) — the decoded swap step that trades through this pool
+ * with a known input amount: { tokenIn, tokenOut, amountIn } or null.
+ * Only exact-in swaps whose first hop is this pool qualify; deeper hops receive an
+ * amount that depends on the earlier pools.
+ */
+export function victimLegForPool(swaps, state) {
+  for (const swap of swaps || []) {
+    if (swap.direction === "exact-out" || swap.amountIn == null) continue;
+
+    const first = swap.hops?.[0] ?? { tokenIn: swap.path?.[0] ?? swap.tokenIn, tokenOut: swap.path?.[1] ?? swap.tokenOut };
+    if (swap.poolId && swap.poolId !== state.poolId) continue;
+    if (first.pool && first.pool.toLowerCase() !== state.address.toLowerCase()) continue;
+    if (state.type === "v3" && first.fee != null && Number(first.fee) !== state.fee) continue;
+    if (indexOfToken(state, first.tokenIn) < 0 || indexOfToken(state, first.tokenOut) < 0) continue;
+
+    const amountIn = BigInt(swap.amountIn);
+    if (amountIn > 0n) return { tokenIn: first.tokenIn, tokenOut: first.tokenOut, amountIn };
+  }
+  return null;
+}
+
+/**
+ * applyVictimSwap(pool, swaps, state?) → { before, after, leg, amountOut, priceRatio } or null when nothing applies
+ * `state` skips the RPC read when the caller already holds the pool's current state.
+ * priceRatio = post-trade / pre-trade spot of token1 per token0 (pool.token0/token1 when
+ * known, else the pool's own first two tokens), so callers can scale a price they
+ * already hold in their own units.
+ */
+export async function applyVictimSwap(pool, swaps, state = null) {
+  const before = state ?? (await fetchPoolState(pool));
+  if (!before) return null;
+
+  const leg = victimLegForPool(swaps, before);
+  if (!leg) return null;
+
+  const sim = simulateSwap(before, leg.tokenIn, leg.tokenOut, leg.amountIn);
+  if (!sim) return null;
+
+  const base = pool.token0 ?? before.tokens[0];
+  const quote = pool.token1 ?? before.tokens[1];
+  const spotBefore = spotPrice(before, base, quote);
+  const spotAfter = spotPrice(sim.state, base, quote);
+  if (!spotBefore || !Number.isFinite(spotAfter)) return null;
+
+  return { before, after: sim.state, leg, amountOut: sim.amountOut, priceRatio: spotAfter / spotBefore };
+}
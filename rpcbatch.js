@@ -0,0 +1,31 @@
+// rpcbatch.js — raw JSON-RPC batch over HTTP (one POST, results in call order)
+import fetch from "node-fetch";
+
+/**
+ * rpcBatch(url, calls)
+ * - calls: [{ method, params }]
+ * - returns results aligned with `calls`; failed entries are null
+ */
+export async function rpcBatch(url, calls) {
+  if (!calls.length) return [];
+
+  const payload = calls.map((c, i) => ({
+    jsonrpc: "2.0",
+    id: i,
+    method: c.method,
+    params: c.params ?? [],
+  }));
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  const json = await res.json();
+  const out = new Array(calls.length).fill(null);
+  for (const r of Array.isArray(json) ? json : [json]) {
+    if (typeof r?.id === "number" && r.id < out.length) out[r.id] = r.result ?? null;
+  }
+  return out;
+}
@@ -1,20 +1,9 @@
 // slippagehelper.js — BigInt safe + POL/MATIC compatible
 // -------------------------------------------------------
 import { ethers } from "ethers";
-import { getBalancerPoolReserves, getCurvePoolReserves } from "./balancercurve.js";
-import { getKyberElasticReserves } from "./kyberelastic.js";
-import { resolveV2V3Pairs } from "./v2v3resolver.js";
 import { getReadProvider } from "./dataprovider.js";
-import fs from "fs";
-
-let routers = {};
-try {
-  const jsonData = fs.readFileSync(new URL("./routers.json", import.meta.url), "utf-8");
-  routers = JSON.parse(jsonData);
-} catch (err) {
-  console.error("[SlippageHelper] Failed to load routers.json:", err);
-  process.exit(1);
-}
+import { discoverPools, venueOf } from "./pooldiscovery.js";
+import { fetchPoolState, simulateSwap, spotPrice } from "./poolsimulator.js";
 
 // -------------------------------------------------------
 
@@ -69,36 +58,11 @@ async function getTokenDecimals(provider, token) {
 }
 
 /**
- * BigInt math helpers for DEX formulas
- */
-function computeV2AmountOut(amountIn, reserveIn, reserveOut, feeBps = 30n) {
-  // 30 bps = 0.3%
-  const amountInWithFee = (amountIn * (10000n - feeBps)) / 10000n;
-  return (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee);
-}
-
-function computeBalancerAmountOut(amountIn, reserveIn, reserveOut) {
-  // simplified BigInt safe proportional swap
-  return (amountIn * reserveOut) / (reserveIn + amountIn);
-}
-
-function computeCurveAmountOut(amountIn, reserveIn, reserveOut) {
-  return (amountIn * reserveOut) / (reserveIn + amountIn);
-}
-
-function computeV3AmountOut(amountIn, sqrtPriceX96) {
-  const price = Number(sqrtPriceX96) / 2 ** 96;
-  return BigInt(Math.floor(Number(amountIn) * price));
-}
-
-/**
- * Compute slippage %
+ * Compute slippage % — shortfall of the simulated output against the spot-price output
  */
-function computeSlippage(amountIn, amountOut) {
-  if (amountIn === 0n || amountOut === 0n) return 0;
-  const diff = amountIn > amountOut ? amountIn - amountOut : amountOut - amountIn;
-  const slip = Number(diff * 10000n / amountIn) / 100; // % with 2 decimals
-  return slip;
+function computeSlippage(expectedOut, amountOut) {
+  if (!expectedOut || !amountOut) return 0;
+  return ((expectedOut - amountOut) / expectedOut) * 100;
 }
 
 /**
@@ -109,64 +73,28 @@ export async function getRealSlippage(dexName, tokenIn, tokenOut, amountInHuman
   return await getCached(key, async () => {
     try {
       const provider = await getReadProvider();
-      const dexLower = dexName.toLowerCase();
 
-      const inNorm = normalizeNativeToken(tokenIn);
-      const outNorm = normalizeNativeToken(tokenOut);
-
-      const decIn = await getTokenDecimals(provider, inNorm);
-      const decOut = await getTokenDecimals(provider, outNorm);
+      const venue = venueOf(dexName);
+      if (!venue || !tokenIn || !tokenOut) return 0.3;
 
+      const decIn = await getTokenDecimals(provider, normalizeNativeToken(tokenIn));
       const amountIn = ethers.parseUnits(amountInHuman.toString(), decIn); // BigInt
-      let amountOut = 0n;
 
-      // --- V2 / V3 pools ---
-      if (["uni", "sushi", "quick", "ape"].some(d => dexLower.includes(d))) {
-        const pools = await resolveV2V3Pairs([
-          { dex: dexName, pairAddress: routers[dexLower]?.address, version: "v2" }
-        ]);
-        if (pools.length > 0) {
-          const p = pools[0];
-          amountOut = computeV2AmountOut(BigInt(p.amountIn ?? amountIn), BigInt(p.reserve0), BigInt(p.reserve1));
-        }
-      }
-
-      // --- Balancer ---
-      else if (dexLower.includes("balancer")) {
-        const reserves = await getBalancerPoolReserves([
-          { dex: dexName, pairAddress: routers[dexLower]?.address }
-        ]);
-        if (reserves.length > 0) {
-          const r = reserves[0];
-          amountOut = computeBalancerAmountOut(amountIn, BigInt(r.reserve0), BigInt(r.reserve1));
-        }
-      }
-
-      // --- Curve ---
-      else if (dexLower.includes("curve")) {
-        const reserves = await getCurvePoolReserves([
-          { dex: dexName, pairAddress: routers[dexLower]?.address }
-        ]);
-        if (reserves.length > 0) {
-          const r = reserves[0];
-          amountOut = computeCurveAmountOut(amountIn, BigInt(r.reserve0), BigInt(r.reserve1));
-        }
-      }
+      // Best quote across the venue's real pools for this pair (all V3 fee tiers, etc.)
+      let slippage = null;
+      for (const pool of await discoverPools(tokenIn, tokenOut, { venues: [venue] })) {
+        const state = await fetchPoolState(pool);
+        const sim = state && simulateSwap(state, tokenIn, tokenOut, amountIn);
+        const spot = state && spotPrice(state, tokenIn, tokenOut);
+        if (!sim || !spot) continue;
 
-      // --- Kyber Elastic ---
-      else if (dexLower.includes("kyber")) {
-        const reserves = await getKyberElasticReserves([
-          { dex: dexName, pairAddress: routers[dexLower]?.address }
-        ]);
-        if (reserves.length > 0) {
-          const r = reserves[0];
-          amountOut = computeV3AmountOut(amountIn, BigInt(r.reserve0 / r.reserve1));
-        }
+        const slip = computeSlippage(spot * Number(amountIn), Number(sim.amountOut));
+        if (slippage === null || slip < slippage) slippage = slip;
       }
 
-      if (amountOut === 0n) return 0.3;
+      if (slippage === null) return 0.3;
 
-      return computeSlippage(amountIn, amountOut);
+      return slippage;
     } catch (err) {
       console.warn(`[SlippageHelper] ${dexName} failed: ${err.message}`);
       return 0.3;
@@ -0,0 +1,121 @@
+// test/curve.test.js — Curve pool and Router NG decoding against a local JSON-RPC stub
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import { ethers } from "ethers";
+
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const USDT = "0xc2132D05D31c914a87C6611C10748AEb04B58e8F";
+const DAI = ethers.getAddress("0x8f3cf7ad23cd3cadbd9735aff958023239c3a063");
+const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+const POOL = "0x445FE580eF8d70FF569aB36e80c647af338db351";
+const FROM = "0x000000000000000000000000000000000000dEaD";
+
+// coins(i) and underlying_coins(i) of POOL, uint256 and int128 overloads alike
+const lookups = new ethers.Interface([
+  "function coins(uint256) view returns (address)",
+  "function coins(int128) view returns (address)",
+  "function underlying_coins(uint256) view returns (address)",
+  "function underlying_coins(int128) view returns (address)",
+]);
+const COINS = { coins: [DAI, USDC, USDT], underlying_coins: [WMATIC, USDC, USDT] };
+let ethCalls = 0;
+let posts = 0;
+
+function answer({ id, method, params }) {
+  if (method !== "eth_call") return { jsonrpc: "2.0", id, error: { code: -32601, message: method } };
+  ethCalls++;
+  const call = lookups.parseTransaction({ data: params[0].data });
+  const coin = COINS[call.name][Number(call.args[0])];
+  if (!coin) return { jsonrpc: "2.0", id, error: { code: 3, message: "execution reverted" } };
+  return { jsonrpc: "2.0", id, result: ethers.zeroPadValue(coin, 32) };
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    posts++;
+    const payload = JSON.parse(body);
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise((ok) => server.listen(0, "127.0.0.1", ok));
+after(() => server.close());
+
+// curvecoins.js reads the RPC URL when it loads
+process.env.ALCHEMY_HTTPS = `http://127.0.0.1:${server.address().port}`;
+const { createDecoderRegistry, decodeSwapForRouter } = await import("../decoder.js");
+
+const curve = new ethers.Interface(JSON.parse(fs.readFileSync(new URL("../curvePool.json", import.meta.url), "utf8")));
+const ROUTER_NG = "0x0DCDED3545D565bA3B19E683431381007245d983";
+const registry = createDecoderRegistry({
+  "curve-router": { address: ROUTER_NG, kind: "CURVE", decoder: "curve" },
+  "curve-pool": { address: POOL, kind: "CURVE", decoder: "curve" },
+});
+const decode = (to, input) => decodeSwapForRouter({ to, from: FROM, input, value: 0n }, registry.get(to));
+
+test("pool exchange resolves both coin indexes in one batch", async () => {
+  const before = posts;
+  const [swap] = await decode(POOL, curve.encodeFunctionData("exchange(int128,int128,uint256,uint256)", [0n, 2n, 10n ** 18n, 990_000n]));
+  assert.equal(swap.protocol, "CURVE");
+  assert.equal(swap.direction, "exact-in");
+  assert.equal(swap.tokenIn, DAI);
+  assert.equal(swap.tokenOut, USDT);
+  assert.equal(swap.amountIn, "1000000000000000000");
+  assert.equal(swap.amountOutMin, "990000");
+  assert.equal(swap.recipient, FROM);
+  assert.deepEqual(swap.hops, [{ pool: POOL, i: 0, j: 2, underlying: false, tokenIn: DAI, tokenOut: USDT }]);
+  assert.equal(posts - before, 1);
+});
+
+test("exchange_underlying reads underlying_coins and caches them", async () => {
+  const input = curve.encodeFunctionData("exchange_underlying(uint256,uint256,uint256,uint256)", [0n, 1n, 10n ** 18n, 1n]);
+  const [first] = await decode(POOL, input);
+  assert.equal(first.tokenIn, WMATIC);
+  assert.equal(first.tokenOut, USDC);
+  assert.equal(first.hops[0].underlying, true);
+
+  const before = ethCalls;
+  const [again] = await decode(POOL, input);
+  assert.equal(again.tokenIn, WMATIC);
+  assert.equal(ethCalls, before, "second decode hits the cache");
+});
+
+test("an index the pool does not have leaves the token unresolved", async () => {
+  const [swap] = await decode(POOL, curve.encodeFunctionData("exchange(int128,int128,uint256,uint256)", [1n, 7n, 1n, 1n]));
+  assert.equal(swap.tokenIn, USDC);
+  assert.equal(swap.tokenOut, null);
+});
+
+test("routers.json registers Curve pools for direct calls", async () => {
+  const routers = JSON.parse(fs.readFileSync(new URL("../routers.json", import.meta.url), "utf8"));
+  const shipped = createDecoderRegistry(routers);
+  assert.equal(shipped.problems.length, 0);
+  const pool = shipped.get(POOL);
+  assert.equal(pool.family, "curve");
+  assert.equal(routers[pool.name].venue, "curve-router");
+
+  const [swap] = await decodeSwapForRouter({
+    to: POOL, from: FROM, value: 0n,
+    input: curve.encodeFunctionData("exchange_underlying(int128,int128,uint256,uint256)", [1n, 2n, 10n ** 6n, 1n]),
+  }, pool);
+  assert.equal(swap.tokenIn, USDC);
+  assert.equal(swap.tokenOut, USDT);
+});
+
+test("Router NG route becomes one hop per pool without RPC", async () => {
+  const route = [USDC, POOL, USDT, ...Array(8).fill(ethers.ZeroAddress)];
+  const params = [[1n, 2n, 1n, 1n, 3n], ...Array(4).fill([0n, 0n, 0n, 0n, 0n])];
+  const before = ethCalls;
+  const [swap] = await decode(ROUTER_NG, curve.encodeFunctionData("exchange(address[11],uint256[5][5],uint256,uint256)", [
+    route, params, 10n ** 6n, 990_000n,
+  ]));
+  assert.equal(ethCalls, before);
+  assert.equal(swap.tokenIn, USDC);
+  assert.equal(swap.tokenOut, USDT);
+  assert.deepEqual(swap.hops, [{ pool: POOL, i: 1, j: 2, swapType: 1, tokenIn: USDC, tokenOut: USDT }]);
+  assert.equal(swap.amountIn, "1000000");
+});
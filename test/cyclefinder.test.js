@@ -0,0 +1,84 @@
+// test/cyclefinder.test.js — cycle search over a hand-built pool graph
+import test from "node:test";
+import assert from "node:assert/strict";
+import { feeFraction, findCycles, rotateToLoanable, sizeCycle } from "../cyclefinder.js";
+import { spotPrice } from "../poolsimulator.js";
+
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+
+const v2 = (address, tokens, reserves) => ({ type: "v2", address, tokens, reserves, feeBps: 30 });
+const pools = {
+  // WETH at 2000 USDC, 2500 WMATIC per WETH, 1 USDC per WMATIC: +25% around the triangle
+  weth_usdc: v2("0x1000000000000000000000000000000000000001", [WETH, USDC], [100n * 10n ** 18n, 200_000n * 10n ** 6n]),
+  weth_wmatic: v2("0x1000000000000000000000000000000000000002", [WETH, WMATIC], [100n * 10n ** 18n, 250_000n * 10n ** 18n]),
+  wmatic_usdc: v2("0x1000000000000000000000000000000000000003", [WMATIC, USDC], [1_000_000n * 10n ** 18n, 1_000_000n * 10n ** 6n]),
+};
+
+// Same edges buildPoolGraph() derives from discovered pools, without the RPC reads
+function graphOf(states) {
+  const edges = new Map();
+  for (const state of states) {
+    const pool = { pairAddress: state.address, token0: state.tokens[0], token1: state.tokens[1] };
+    for (const [from, to] of [state.tokens, [...state.tokens].reverse()]) {
+      const rate = spotPrice(state, from, to) * (1 - feeFraction(state));
+      const key = from.toLowerCase();
+      if (!edges.has(key)) edges.set(key, []);
+      edges.get(key).push({ from, to, pool, state, rate, weight: -Math.log(rate) });
+    }
+  }
+  return { edges };
+}
+
+const touched = (...states) => new Set(states.map((s) => s.address.toLowerCase()));
+
+test("feeFraction per pool type", () => {
+  assert.equal(feeFraction({ type: "v2", feeBps: 30 }), 0.003);
+  assert.equal(feeFraction({ type: "v3", fee: 500 }), 0.0005);
+  assert.equal(feeFraction({ type: "balancer", swapFee: 10n ** 15n }), 0.001);
+  assert.equal(feeFraction({ type: "curve", fee: 4_000_000n }), 0.0004);
+});
+
+test("the profitable triangle is found once, through the victim pool", () => {
+  const cycles = findCycles(graphOf(Object.values(pools)), { mustTouch: touched(pools.weth_usdc) });
+  assert.equal(cycles.length, 1);
+  const [cycle] = cycles;
+  assert.equal(cycle.legs.length, 3);
+  // 1.25 · 0.997³ ≈ +23.9%
+  assert.ok(cycle.edgeBps > 2_380 && cycle.edgeBps < 2_390, `edge ${cycle.edgeBps}`);
+  const path = cycle.legs.map((l) => l.from.toLowerCase());
+  assert.equal(new Set(path).size, 3);
+  assert.equal(cycle.legs[2].to, cycle.legs[0].from, "cycle closes");
+});
+
+test("cycles that miss every victim pool are not reported", () => {
+  const graph = graphOf(Object.values(pools));
+  assert.deepEqual(findCycles(graph, { mustTouch: new Set(["0x2000000000000000000000000000000000000000"]) }), []);
+  assert.deepEqual(findCycles(graph), []);
+});
+
+test("a priced-in triangle has no cycle", () => {
+  const fair = { ...pools.weth_wmatic, reserves: [100n * 10n ** 18n, 200_000n * 10n ** 18n] };
+  const graph = graphOf([pools.weth_usdc, fair, pools.wmatic_usdc]);
+  assert.deepEqual(findCycles(graph, { mustTouch: touched(pools.weth_usdc, fair, pools.wmatic_usdc) }), []);
+});
+
+test("sizeCycle confirms the edge on the simulated curves", () => {
+  const [cycle] = findCycles(graphOf(Object.values(pools)), { mustTouch: touched(pools.weth_usdc) });
+  const size = sizeCycle(cycle);
+  assert.equal(size.method, "numeric");
+  assert.ok(size.profit > 0n);
+  assert.equal(size.amounts.length, 3);
+});
+
+test("rotateToLoanable starts the cycle at the first borrowable token", () => {
+  const [cycle] = findCycles(graphOf(Object.values(pools)), { mustTouch: touched(pools.weth_usdc) });
+  const fromUsdc = rotateToLoanable(cycle, [USDC, WETH]);
+  assert.equal(fromUsdc.legs[0].from, USDC);
+  assert.equal(fromUsdc.legs[2].to, USDC);
+  assert.equal(fromUsdc.edgeBps, cycle.edgeBps);
+  assert.deepEqual(new Set(fromUsdc.legs), new Set(cycle.legs), "same legs, rotated");
+  assert.equal(rotateToLoanable(cycle, [WETH.toLowerCase()]).legs[0].from, WETH);
+  assert.equal(rotateToLoanable(cycle, ["0x2000000000000000000000000000000000000000"]), null);
+});
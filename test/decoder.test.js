@@ -0,0 +1,362 @@
+// test/decoder.test.js — router calldata built with ethers, decoded back into swap lists
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { ethers } from "ethers";
+import { createDecoderRegistry, decodeSwapForRouter } from "../decoder.js";
+
+const iface = (file) => new ethers.Interface(JSON.parse(fs.readFileSync(new URL(`../${file}`, import.meta.url), "utf8")));
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+const FROM = "0x000000000000000000000000000000000000dEaD";
+const PAIR_ADDRESS = "0x6e7a5FAFcec6BB1e78bAE2A1F0B612012BF14827";
+
+const routers = JSON.parse(fs.readFileSync(new URL("../routers.json", import.meta.url), "utf8"));
+const registry = createDecoderRegistry(routers);
+
+// Calldata sent to the routers.json entry `name`
+const decode = (name, input, value = 0n) => {
+  const to = routers[name].address;
+  return decodeSwapForRouter({ to, from: FROM, input, value }, registry.get(to));
+};
+
+// Fields every decoded swap must carry; later fields are not pinned here
+function assertSwap(swap, expected) {
+  for (const [key, value] of Object.entries(expected)) assert.deepEqual(swap[key], value, key);
+}
+
+const v3Path = (tokens, fees) =>
+  ethers.solidityPacked(
+    tokens.flatMap((_, k) => (k < fees.length ? ["address", "uint24"] : ["address"])),
+    tokens.flatMap((t, k) => (k < fees.length ? [t, fees[k]] : [t]))
+  );
+
+// ===========================================================
+// 🔹 Registry
+// ===========================================================
+
+test("every routers.json entry is registered, looked up case-insensitively", () => {
+  assert.deepEqual(registry.problems, []);
+  for (const r of Object.values(routers)) {
+    assert.ok(registry.get(r.address.toLowerCase()));
+    assert.ok(registry.get(ethers.getAddress(r.address)));
+  }
+  assert.equal(registry.addresses().length, Object.keys(routers).length);
+  assert.equal(registry.get("0x0000000000000000000000000000000000000001"), null);
+  assert.equal(registry.get(undefined), null);
+});
+
+test("entries the registry cannot decode are reported and left out", () => {
+  const { problems, get } = createDecoderRegistry({
+    noAddress: { kind: "V2" },
+    badDecoder: { address: PAIR_ADDRESS, kind: "V2", decoder: "nope" },
+    badKind: { address: PAIR_ADDRESS, kind: "NOPE" },
+    badAbi: { address: PAIR_ADDRESS, kind: "V2", abi: "missing.json" },
+  });
+  assert.deepEqual(problems.map((p) => p.router), ["noAddress", "badDecoder", "badKind", "badAbi"]);
+  assert.match(problems[1].reason, /unknown decoder "nope"/);
+  assert.match(problems[2].reason, /unknown kind "NOPE"/);
+  assert.equal(get(PAIR_ADDRESS), null);
+});
+
+test("the decoder family defaults from the kind, the ABI from the family", async () => {
+  const registryOf = createDecoderRegistry({ fork: { address: PAIR_ADDRESS, kind: "V2" } });
+  const entry = registryOf.get(PAIR_ADDRESS);
+  assert.equal(entry.family, "uniswap-v2");
+  const input = iface("uniswapV2Router.json").encodeFunctionData("swapExactTokensForTokens", [1n, 1n, [WETH, USDC], FROM, 1n]);
+  const [swap] = await decodeSwapForRouter({ to: PAIR_ADDRESS, input }, entry);
+  assertSwap(swap, { tokenIn: WETH, tokenOut: USDC });
+  assert.deepEqual(await decodeSwapForRouter({ to: PAIR_ADDRESS, input }, null), []);
+});
+
+// ===========================================================
+// 🔹 SwapRouter02 multicall and Universal Router
+// ===========================================================
+
+const v3Router = iface("uniswapV3Router.json");
+const router02 = iface("swapRouter02.json");
+const universal = iface("universalRouter.json");
+// SwapRouter02 params (no deadline); SwapRouter's own overload carries one
+const EXACT_INPUT_SINGLE_02 = "exactInputSingle((address,address,uint24,address,uint256,uint256,uint160))";
+
+test("SwapRouter02 multicall yields one swap per inner call", async () => {
+  const single = v3Router.encodeFunctionData(EXACT_INPUT_SINGLE_02, [
+    [WETH, USDC, 500, FROM, 10n ** 18n, 1_900n * 10n ** 6n, 0n],
+  ]);
+  const v2 = router02.encodeFunctionData("swapExactTokensForTokens", [10n ** 6n, 1n, [USDC, WMATIC], FROM]);
+  const input = router02.encodeFunctionData("multicall(uint256,bytes[])", [1_700_000_000n, [single, v2]]);
+
+  const swaps = await decode("uniswap-swaprouter02", input);
+  assert.equal(swaps.length, 2);
+  assertSwap(swaps[0], { protocol: "V3", tokenIn: WETH, tokenOut: USDC, amountIn: "1000000000000000000", amountOutMin: "1900000000" });
+  assertSwap(swaps[1], { protocol: "V2", tokenIn: USDC, tokenOut: WMATIC, amountIn: "1000000" });
+});
+
+test("nested multicalls are followed", async () => {
+  const v2 = router02.encodeFunctionData("swapExactTokensForTokens", [10n ** 6n, 1n, [USDC, WETH], FROM]);
+  const inner = router02.encodeFunctionData("multicall(bytes[])", [[v2]]);
+  const input = router02.encodeFunctionData("multicall(bytes[])", [[inner, inner]]);
+  const swaps = await decode("uniswap-swaprouter02", input);
+  assert.equal(swaps.length, 2);
+  assertSwap(swaps[1], { tokenIn: USDC, tokenOut: WETH });
+});
+
+test("Universal Router commands decode V2/V3 legs and skip the rest", async () => {
+  const v3In = abiCoder.encode(
+    ["address", "uint256", "uint256", "bytes", "bool"],
+    [FROM, 10n ** 18n, 1n, v3Path([WETH, USDC, WMATIC], [500, 3000]), true]
+  );
+  const v2Out = abiCoder.encode(["address", "uint256", "uint256", "address[]", "bool"], [FROM, 5n, 7n, [USDC, WETH], true]);
+  const wrap = abiCoder.encode(["address", "uint256"], [FROM, 1n]);
+  // 0x00 V3_SWAP_EXACT_IN, 0x0b WRAP_ETH, 0x89 V2_SWAP_EXACT_OUT with the allow-revert bit
+  const input = universal.encodeFunctionData("execute(bytes,bytes[],uint256)", ["0x000b89", [v3In, wrap, v2Out], 1_700_000_000n]);
+
+  const swaps = await decode("uniswap-universal-router", input);
+  assert.equal(swaps.length, 2);
+  assertSwap(swaps[0], { protocol: "V3", tokenIn: WETH, tokenOut: WMATIC, amountIn: "1000000000000000000" });
+  assertSwap(swaps[1], { protocol: "V2", tokenIn: USDC, tokenOut: WETH, amountOut: "5", amountInMax: "7" });
+});
+
+test("Universal Router sub-plans are expanded", async () => {
+  const v2In = abiCoder.encode(["address", "uint256", "uint256", "address[]", "bool"], [FROM, 9n, 1n, [WMATIC, USDC], true]);
+  const subPlan = abiCoder.encode(["bytes", "bytes[]"], ["0x08", [v2In]]);
+  const input = universal.encodeFunctionData("execute(bytes,bytes[])", ["0x21", [subPlan]]);
+  const [swap] = await decode("uniswap-universal-router", input);
+  assertSwap(swap, { protocol: "V2", tokenIn: WMATIC, tokenOut: USDC, amountIn: "9" });
+});
+
+test("calldata that matches no method decodes to nothing", async () => {
+  assert.deepEqual(await decode("uniswap-universal-router", "0xdeadbeef"), []);
+  assert.deepEqual(await decode("uniswap-swaprouter02", "0x"), []);
+});
+
+// ===========================================================
+// 🔹 Uniswap V2 router methods
+// ===========================================================
+
+const v2Router = iface("uniswapV2Router.json");
+const v2Call = (method, args) => v2Router.encodeFunctionData(method, args);
+
+test("V2 exact-in swap", async () => {
+  const [swap] = await decode("quickswap-v2", v2Call("swapExactTokensForTokens", [
+    10n ** 18n, 1_900n * 10n ** 6n, [WETH, USDC], FROM, 1_700_000_000n,
+  ]));
+  assertSwap(swap, {
+    method: "swapExactTokensForTokens", protocol: "V2", direction: "exact-in", amountInSource: "calldata",
+    tokenIn: WETH, tokenOut: USDC, path: [WETH, USDC], amountIn: "1000000000000000000", amountOutMin: "1900000000",
+    amountOut: null, amountInMax: null, recipient: FROM, deadline: "1700000000", feeOnTransfer: false,
+  });
+});
+
+test("V2 exact-out swap", async () => {
+  const [swap] = await decode("sushiswap-v2", v2Call("swapTokensForExactTokens", [
+    2_000n * 10n ** 6n, 10n ** 18n, [WETH, WMATIC, USDC], FROM, 1_700_000_000n,
+  ]));
+  assertSwap(swap, {
+    direction: "exact-out", tokenIn: WETH, tokenOut: USDC, path: [WETH, WMATIC, USDC],
+    amountIn: null, amountOutMin: null, amountOut: "2000000000", amountInMax: "1000000000000000000",
+  });
+});
+
+test("V2 ETH-in methods take their input from msg.value", async () => {
+  const value = 5n * 10n ** 18n;
+  const [exactIn] = await decode("apeswap-v2", v2Call("swapExactETHForTokens", [1n, [WMATIC, USDC], FROM, 1n]), value);
+  assertSwap(exactIn, { direction: "exact-in", amountInSource: "msg.value", amountIn: value.toString() });
+
+  const [exactOut] = await decode("apeswap-v2", v2Call("swapETHForExactTokens", [7n, [WMATIC, USDC], FROM, 1n]), value);
+  assertSwap(exactOut, { direction: "exact-out", amountInSource: "msg.value", amountOut: "7", amountInMax: value.toString() });
+});
+
+test("V2 fee-on-transfer variants are flagged", async () => {
+  const [swap] = await decode("quickswap-v2", v2Call("swapExactTokensForTokensSupportingFeeOnTransferTokens", [
+    100n, 90n, [USDC, WETH], FROM, 1n,
+  ]));
+  assertSwap(swap, { direction: "exact-in", feeOnTransfer: true, amountIn: "100", amountOutMin: "90" });
+});
+
+test("SwapRouter02 V2 legs inherit the multicall deadline", async () => {
+  const v2 = router02.encodeFunctionData("swapTokensForExactTokens", [5n, 9n, [USDC, WETH], FROM]);
+  const [swap] = await decode("uniswap-swaprouter02", router02.encodeFunctionData("multicall(uint256,bytes[])", [123n, [v2]]));
+  assertSwap(swap, { direction: "exact-out", amountOut: "5", amountInMax: "9", deadline: "123" });
+});
+
+// ===========================================================
+// 🔹 Uniswap V3 swap methods
+// ===========================================================
+
+const DEADLINE = 1_700_000_000n;
+
+test("exactInputSingle carries its fee tier as one hop", async () => {
+  const [swap] = await decode("uniswap-swaprouter02", v3Router.encodeFunctionData(
+    "exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))",
+    [[WETH, USDC, 500, FROM, DEADLINE, 10n ** 18n, 1_900n * 10n ** 6n, 0n]]
+  ));
+  assertSwap(swap, {
+    method: "exactInputSingle", protocol: "V3", direction: "exact-in", tokenIn: WETH, tokenOut: USDC,
+    hops: [{ tokenIn: WETH, fee: 500, tokenOut: USDC }],
+    amountIn: "1000000000000000000", amountOutMin: "1900000000", recipient: FROM, deadline: "1700000000",
+  });
+});
+
+test("exactInput walks the packed path", async () => {
+  const [swap] = await decode("uniswap-swaprouter02", v3Router.encodeFunctionData(
+    "exactInput((bytes,address,uint256,uint256,uint256))",
+    [[v3Path([WETH, USDC, WMATIC], [500, 3000]), FROM, DEADLINE, 10n ** 18n, 1n]]
+  ));
+  assertSwap(swap, {
+    direction: "exact-in", tokenIn: WETH, tokenOut: WMATIC,
+    hops: [{ tokenIn: WETH, fee: 500, tokenOut: USDC }, { tokenIn: USDC, fee: 3000, tokenOut: WMATIC }],
+  });
+});
+
+test("exactOutputSingle binds the output and the maximum input", async () => {
+  const [swap] = await decode("uniswap-swaprouter02", v3Router.encodeFunctionData(
+    "exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))",
+    [[USDC, WETH, 3000, FROM, DEADLINE, 10n ** 18n, 2_100n * 10n ** 6n, 0n]]
+  ));
+  assertSwap(swap, {
+    direction: "exact-out", tokenIn: USDC, tokenOut: WETH, amountIn: null, amountOutMin: null,
+    amountOut: "1000000000000000000", amountInMax: "2100000000",
+  });
+});
+
+test("exactOutput reads its reversed path in trade order", async () => {
+  // exact-output paths are encoded tokenOut → tokenIn
+  const [swap] = await decode("uniswap-swaprouter02", v3Router.encodeFunctionData(
+    "exactOutput((bytes,address,uint256,uint256,uint256))",
+    [[v3Path([WMATIC, USDC, WETH], [3000, 500]), FROM, DEADLINE, 10n ** 18n, 10n ** 18n]]
+  ));
+  assertSwap(swap, {
+    direction: "exact-out", tokenIn: WETH, tokenOut: WMATIC,
+    hops: [{ tokenIn: WETH, fee: 500, tokenOut: USDC }, { tokenIn: USDC, fee: 3000, tokenOut: WMATIC }],
+  });
+});
+
+test("a malformed V3 path decodes to nothing", async () => {
+  const path = ethers.solidityPacked(["address", "uint24"], [WETH, 500]);
+  assert.deepEqual(await decode("uniswap-swaprouter02", v3Router.encodeFunctionData(
+    "exactInput((bytes,address,uint256,uint256,uint256))", [[path, FROM, DEADLINE, 1n, 1n]]
+  )), []);
+});
+
+// ===========================================================
+// 🔹 Balancer Vault
+// ===========================================================
+
+const vault = iface("balancerVault.json");
+const POOL_A = "0x0297e37f1873D2DAb4487Aa67cD56B58E2F27875";
+const POOL_B = "0x03cD191F589d12b0582a99808cf19851E468E6B5";
+const poolId = (pool, n) => ethers.concat([pool, "0x0002", ethers.toBeHex(n, 10)]);
+const funds = [FROM, false, FROM, false];
+
+test("Vault swap becomes one step on the pool named by the poolId", async () => {
+  const id = poolId(POOL_A, 7);
+  const [swap] = await decode("balancer-vault", vault.encodeFunctionData("swap", [
+    [id, 0, WETH, USDC, 10n ** 18n, "0x"], funds, 1_900n * 10n ** 6n, DEADLINE,
+  ]));
+  assertSwap(swap, {
+    method: "swap", protocol: "BALANCER", step: 0, poolId: id, pool: POOL_A, swapKind: "GIVEN_IN",
+    direction: "exact-in", tokenIn: WETH, tokenOut: USDC, amountIn: "1000000000000000000",
+    amountOutMin: "1900000000", amountOut: null, amountInMax: null, recipient: FROM, deadline: "1700000000",
+  });
+
+  const [out] = await decode("balancer-vault", vault.encodeFunctionData("swap", [
+    [id, 1, WETH, USDC, 5n, "0x"], funds, 9n, DEADLINE,
+  ]));
+  assertSwap(out, { swapKind: "GIVEN_OUT", direction: "exact-out", amountOut: "5", amountInMax: "9", amountIn: null });
+});
+
+test("batchSwap yields one step per hop with chained amounts and signed limits", async () => {
+  const swaps = [
+    [poolId(POOL_A, 1), 0, 1, 10n ** 18n, "0x"],
+    [poolId(POOL_B, 2), 1, 2, 0n, "0x"],
+  ];
+  // + max the Vault may pull in, − min the caller must receive
+  const limits = [10n ** 18n, 0n, -(10n ** 6n)];
+  const steps = await decode("balancer-vault", vault.encodeFunctionData("batchSwap", [
+    0, swaps, [WETH, WMATIC, USDC], funds, limits, DEADLINE,
+  ]));
+  assert.equal(steps.length, 2);
+  assertSwap(steps[0], { step: 0, pool: POOL_A, tokenIn: WETH, tokenOut: WMATIC, amountIn: "1000000000000000000", amountOutMin: null });
+  assertSwap(steps[1], { step: 1, pool: POOL_B, tokenIn: WMATIC, tokenOut: USDC, amountIn: null, amountOutMin: "1000000" });
+});
+
+// ===========================================================
+// 🔹 Aggregators
+// ===========================================================
+
+const oneInch = iface("oneInchRouter.json");
+const zeroEx = iface("zeroExProxy.json");
+const paraSwap = iface("paraSwapAugustus.json");
+const PAIR_A = "0x853Ee4b2A13f8a742d64C8F088bE7bA2131f670d";
+const PAIR_B = "0x45dDa9cb7c25131DF268515131f647d726f50608";
+// pool word: address in the low 160 bits, flags above
+const word = (pool, flags = 0n) => BigInt(pool) | flags;
+
+test("0x sellToUniswap lists one token-pair hop per path step", async () => {
+  const [swap] = await decode("zeroex-proxy", zeroEx.encodeFunctionData("sellToUniswap", [
+    [USDC, WETH, WMATIC], 1_000n * 10n ** 6n, 1n, false,
+  ]));
+  assertSwap(swap, {
+    method: "0x:sellToUniswap", protocol: "AGGREGATOR", aggregator: "0x", direction: "exact-in",
+    tokenIn: USDC, tokenOut: WMATIC, amountIn: "1000000000", amountOutMin: "1", recipient: FROM,
+    hops: [
+      { tokenIn: USDC, tokenOut: WETH, protocol: "V2", isSushi: false },
+      { tokenIn: WETH, tokenOut: WMATIC, protocol: "V2", isSushi: false },
+    ],
+  });
+
+  const [sushi] = await decode("zeroex-proxy", zeroEx.encodeFunctionData("sellToUniswap", [[USDC, WETH], 1n, 1n, true]));
+  assertSwap(sushi, { hops: [{ tokenIn: USDC, tokenOut: WETH, protocol: "V2", isSushi: true }] });
+});
+
+test("0x Uniswap V3 sells read the packed path", async () => {
+  const [swap] = await decode("zeroex-proxy", zeroEx.encodeFunctionData("sellTokenForTokenToUniswapV3", [
+    v3Path([WETH, USDC], [500]), 10n ** 18n, 1n, FROM,
+  ]));
+  assertSwap(swap, { tokenIn: WETH, tokenOut: USDC, hops: [{ tokenIn: WETH, fee: 500, tokenOut: USDC, protocol: "V3" }] });
+
+  const [eth] = await decode("zeroex-proxy", zeroEx.encodeFunctionData("sellEthForTokenToUniswapV3", [
+    v3Path([WMATIC, USDC], [3000]), 1n, FROM,
+  ]), 7n);
+  assertSwap(eth, { amountIn: "7", amountInSource: "msg.value" });
+});
+
+test("1inch v5 uniswapV3Swap names pools, the top bit flipping direction", async () => {
+  const [swap] = await decode("oneinch-v5", oneInch.encodeFunctionData("uniswapV3Swap", [
+    10n ** 18n, 1n, [word(PAIR_A), word(PAIR_B, 1n << 255n)],
+  ]));
+  assertSwap(swap, {
+    aggregator: "1inch", tokenIn: null, tokenOut: null, amountIn: "1000000000000000000",
+    hops: [
+      { pool: PAIR_A, protocol: "V3", zeroForOne: true },
+      { pool: PAIR_B, protocol: "V3", zeroForOne: false },
+    ],
+  });
+});
+
+test("1inch v6 unoswap2 unpacks token, protocol and direction from its words", async () => {
+  const [swap] = await decode("oneinch-v6", oneInch.encodeFunctionData("unoswap2", [
+    BigInt(USDC), 10n ** 6n, 1n, word(PAIR_A, 1n << 253n), word(PAIR_B, 1n << 247n),
+  ]));
+  assertSwap(swap, {
+    tokenIn: USDC,
+    hops: [
+      { pool: PAIR_A, protocol: "V3", zeroForOne: false },
+      { pool: PAIR_B, protocol: "V2", zeroForOne: true },
+    ],
+  });
+});
+
+test("ParaSwap swapOnUniswapV2Fork lists its pairs", async () => {
+  const [swap] = await decode("paraswap-v5", paraSwap.encodeFunctionData("swapOnUniswapV2Fork", [
+    USDC, 10n ** 6n, 1n, WETH, [word(PAIR_A), word(PAIR_B)],
+  ]));
+  assertSwap(swap, {
+    aggregator: "paraswap", tokenIn: USDC,
+    hops: [{ pool: PAIR_A, protocol: "V2" }, { pool: PAIR_B, protocol: "V2" }],
+  });
+});
@@ -0,0 +1,193 @@
+// test/httpapi.test.js — opportunity filters, trades and error paths over a seeded journal
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { once } from "events";
+
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+const POOL_A = "0x1000000000000000000000000000000000000001";
+const POOL_B = "0x1000000000000000000000000000000000000002";
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const pair = (live, catchDex, tokenIn, tokenOut, pairSymbol) => ({
+  pairSymbol,
+  tokenIn,
+  tokenOut,
+  liveDex: { name: live, pairAddress: POOL_A },
+  catchDex: { name: catchDex, pairAddress: POOL_B },
+});
+const cycle = { type: "cycle", pairSymbol: "USDC→WETH→WMATIC", legs: [
+  { dex: "quickswap-v2", tokenIn: USDC, tokenOut: WETH },
+  { dex: "apeswap-v2", tokenIn: WETH, tokenOut: WMATIC },
+  { dex: "sushiswap-v2", tokenIn: WMATIC, tokenOut: USDC },
+] };
+
+// No queued entries: the pipeline would pick those up on import
+const records = [
+  ["settled", T0, pair("quickswap-v2", "sushiswap-v2", USDC, WETH, "WETH/USDC"), { submittedTx: "0xs1", estProfitUSD: 4.5 }],
+  ["failed", T0 + 1000, pair("sushiswap-v2", "apeswap-v2", USDC, WMATIC, "WMATIC/USDC"), { submittedTx: "0xf1", estProfitUSD: 2 }],
+  ["expired", T0 + 2000, pair("quickswap-v2", "apeswap-v2", WETH, WMATIC, "WMATIC/WETH"), {}],
+  ["expired", T0 + 3000, cycle, {}],
+  ["submitted", T0 + 4000, pair("quickswap-v2", "sushiswap-v2", WETH, USDC, "WETH/USDC"), { submittedTx: "0xp1", estProfitUSD: 1 }],
+];
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "httpapi-"));
+const journalFile = path.join(dir, "opportunities.jsonl");
+fs.writeFileSync(journalFile, records.map(([state, t, pool, details], n) => {
+  const id = `opp ${n}`;
+  const steps = [{ t, id, state: "queued", pool: { ...pool, id } }];
+  if (state !== "expired") steps.push({ t: t + 1, id, state: "executing" });
+  if (details.submittedTx) steps.push({ t: t + 2, id, state: "submitted", submittedTx: details.submittedTx, estProfitUSD: details.estProfitUSD });
+  if (state !== "submitted") steps.push({ t: t + 3, id, state });
+  return steps.map((r) => JSON.stringify(r) + "\n").join("");
+}).join(""));
+
+// Read RPC for /status: a local JSON-RPC stub at block 0x64
+const rpc = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const payload = JSON.parse(body);
+    const answer = ({ id, method }) => {
+      const result = { eth_chainId: "0x89", eth_blockNumber: "0x64", eth_getTransactionReceipt: null }[method];
+      return result === undefined ? { jsonrpc: "2.0", id, error: { code: -32601, message: method } } : { jsonrpc: "2.0", id, result };
+    };
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise((ok) => rpc.listen(0, "127.0.0.1", ok));
+
+process.env.WRITE_RPC_URL = `http://127.0.0.1:${rpc.address().port}/v2/secret-key`;
+process.env.OPPORTUNITY_JOURNAL_FILE = journalFile;
+process.env.OPPORTUNITY_JOURNAL_RETAIN_MS = String(10 * 365 * 24 * 3600_000);
+process.env.HTTP_API_PORT = "0";
+process.env.HTTP_API_MAX_LIMIT = "3";
+process.env.FEED_PORT = "9";
+process.env.POLICY_FILE = path.join(dir, "policy.json");
+const { startHttpApi } = await import("../httpapi.js");
+
+const server = startHttpApi();
+if (!server.listening) await once(server, "listening");
+after(() => {
+  server.close();
+  rpc.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+const base = `http://127.0.0.1:${server.address().port}`;
+
+async function get(pathAndQuery, init) {
+  const res = await fetch(base + pathAndQuery, init);
+  return { status: res.status, body: await res.json() };
+}
+const ids = (body) => body.entries.map((e) => e.id);
+
+test("health", async () => {
+  const { status, body } = await get("/health");
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+});
+
+test("opportunities are listed newest first with a total", async () => {
+  const { status, body } = await get("/opportunities?limit=2");
+  assert.equal(status, 200);
+  assert.equal(body.total, 5);
+  assert.deepEqual(ids(body), ["opp 4", "opp 3"]);
+  assert.equal((await get("/opportunities?limit=50")).body.entries.length, 3, "capped at HTTP_API_MAX_LIMIT");
+});
+
+test("state, pair, dex and time filters", async () => {
+  assert.deepEqual(ids((await get("/opportunities?state=expired,SETTLED")).body), ["opp 3", "opp 2", "opp 0"]);
+  assert.deepEqual(ids((await get(`/opportunities?pair=${WETH},${USDC.toLowerCase()}`)).body), ["opp 4", "opp 3", "opp 0"]);
+  assert.deepEqual(ids((await get(`/opportunities?pair=${POOL_A}&state=failed`)).body), ["opp 1"]);
+  assert.deepEqual(ids((await get("/opportunities?dex=apeswap-v2")).body), ["opp 3", "opp 2", "opp 1"]);
+  const since = new Date(T0 + 1000).toISOString();
+  assert.deepEqual(ids((await get(`/opportunities?since=${since}&until=${T0 + 2000}`)).body), ["opp 2", "opp 1"]);
+});
+
+test("one opportunity with its history, 404 when unknown", async () => {
+  const { status, body } = await get(`/opportunities/${encodeURIComponent("opp 1")}`);
+  assert.equal(status, 200);
+  assert.equal(body.state, "failed");
+  assert.deepEqual(body.history.map((r) => r.state), ["queued", "executing", "submitted", "failed"]);
+
+  const missing = await get("/opportunities/nope");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, "no opportunity nope");
+});
+
+test("trades are the broadcast opportunities with a summary", async () => {
+  const { body } = await get("/trades");
+  assert.equal(body.total, 3);
+  assert.deepEqual(body.trades.map((t) => [t.id, t.state, t.txHash]), [
+    ["opp 4", "submitted", "0xp1"], ["opp 1", "failed", "0xf1"], ["opp 0", "settled", "0xs1"],
+  ]);
+  assert.deepEqual(body.summary, { submitted: 1, settled: 1, failed: 1, expired: 0, estProfitSettledUSD: 4.5 });
+  assert.deepEqual(body.trades[1].dexes, ["sushiswap-v2", "apeswap-v2"]);
+  assert.deepEqual((await get("/trades?dex=apeswap-v2")).body.trades.map((t) => t.id), ["opp 1"]);
+});
+
+test("bad filters are 400s", async () => {
+  for (const [query, error] of [
+    ["state=queued,done", "unknown state(s): done"],
+    ["limit=0", "invalid limit: 0"],
+    ["limit=ten", "invalid limit: ten"],
+    ["since=yesterday", "invalid since: yesterday"],
+  ]) {
+    const { status, body } = await get(`/opportunities?${query}`);
+    assert.equal(status, 400, query);
+    assert.equal(body.error, error);
+  }
+  assert.equal((await get("/trades?until=soon")).status, 400);
+});
+
+// fetch() normalizes its URL; raw requests keep the path as sent
+function rawGet(requestPath) {
+  return new Promise((ok, fail) => {
+    http.get({ host: "127.0.0.1", port: server.address().port, path: requestPath }, (res) => {
+      let body = "";
+      res.on("data", (c) => (body += c));
+      res.on("end", () => ok({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on("error", fail);
+  });
+}
+
+test("unparsable request URLs and opportunity ids are 400s", async () => {
+  const badUrl = await rawGet("//host:99999/opportunities");
+  assert.equal(badUrl.status, 400);
+  assert.equal(badUrl.body.error, "invalid request URL");
+
+  const badId = await rawGet("/opportunities/%E0%A4%A");
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.error, "invalid opportunity id");
+});
+
+test("unknown routes are 404 and writes are 405", async () => {
+  assert.equal((await get("/nowhere")).status, 404);
+  const { status, body } = await get("/opportunities", { method: "POST" });
+  assert.equal(status, 405);
+  assert.equal(body.error, "read-only API: GET only");
+});
+
+test("status probes the read RPC without leaking its key", async () => {
+  const { status, body } = await get("/status");
+  assert.equal(status, 200);
+  assert.equal(body.rpc.read.ok, true);
+  assert.equal(body.rpc.read.blockNumber, 100);
+  assert.equal(body.rpc.read.url, `http://127.0.0.1:${rpc.address().port}`);
+  assert.equal(body.journal.expired, 2);
+  assert.equal(body.pipeline.queued, 0);
+});
+
+test("config shows settings without secrets", async () => {
+  process.env.PRIVATE_KEY = "0xsecret";
+  const { body } = await get("/config");
+  assert.equal(body.env.HTTP_API_MAX_LIMIT, "3");
+  assert.equal(body.env.PRIVATE_KEY, undefined);
+  assert.ok(body.routers["quickswap-v2"]);
+  assert.ok(body.policy.defaults);
+});
@@ -0,0 +1,128 @@
+// test/opportunitycoalescer.test.js — coalescing windows and ranking
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { setTimeout as sleep } from "timers/promises";
+
+// Gas quotes come from a local JSON-RPC stub: 100 gwei, MATIC at 0.50 USD → 300k gas = 0.015 USD.
+// Until gasQuotes is set it has neither a gas price nor a base fee. It answers as chain 1337:
+// on 137 ethers would take fee data from the Polygon gas station instead.
+let gasQuotes = false;
+const block = { number: "0x1", hash: `0x${"11".repeat(32)}`, parentHash: `0x${"00".repeat(32)}`, timestamp: "0x1", nonce: "0x0000000000000000", difficulty: "0x0", gasLimit: "0x1c9c380", gasUsed: "0x0", miner: `0x${"00".repeat(20)}`, extraData: "0x", transactions: [] };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const payload = JSON.parse(body);
+    const answer = ({ id, method }) => {
+      const result = {
+        eth_chainId: "0x539",
+        eth_gasPrice: gasQuotes ? "0x174876e800" : undefined,
+        eth_maxPriorityFeePerGas: "0x6fc23ac00",
+        eth_getBlockByNumber: gasQuotes ? { ...block, baseFeePerGas: "0x12a05f200" } : block,
+        eth_call: `0x${(50_000_000n).toString(16).padStart(64, "0")}`,
+      }[method];
+      return result === undefined ? { jsonrpc: "2.0", id, error: { code: -32601, message: method } } : { jsonrpc: "2.0", id, result };
+    };
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise((ok) => server.listen(0, "127.0.0.1", ok));
+after(() => server.close());
+
+process.env.WRITE_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.COALESCE_WINDOW_MS = "40";
+const { watcher } = await import("../backrunwatcher.js");
+const { coalesceKey, coalescerStats, grossProfitUSD, offerOpportunity, rankOpportunities } = await import("../opportunitycoalescer.js");
+
+const A = "0x1000000000000000000000000000000000000001";
+const B = "0x1000000000000000000000000000000000000002";
+const C = "0x1000000000000000000000000000000000000003";
+
+const pairOpp = (txHash, live, catchPool, profitUSD) => ({
+  txHash,
+  live: { dex: "quickswap-v2", pairAddress: live, liquidityUSD: 1_000_000 },
+  catch: { dex: "sushiswap-v2", pairAddress: catchPool, diffPct: 0.5 },
+  sizing: { profitUSD },
+});
+
+function collectReady() {
+  const ready = [];
+  const onReady = (data) => ready.push(data);
+  watcher.on("opportunityReady", onReady);
+  return { ready, stop: () => watcher.off("opportunityReady", onReady) };
+}
+
+test("coalesceKey ignores direction and leg order", () => {
+  assert.equal(coalesceKey(pairOpp("0x1", A, B, 1)), coalesceKey(pairOpp("0x2", B, A, 1)));
+  assert.notEqual(coalesceKey(pairOpp("0x1", A, B, 1)), coalesceKey(pairOpp("0x1", A, C, 1)));
+  const cycle = (pools) => ({ type: "cycle", legs: pools.map((pairAddress) => ({ pairAddress })) });
+  assert.equal(coalesceKey(cycle([A, B, C])), coalesceKey(cycle([C, A, B])));
+  assert.match(coalesceKey(cycle([A, B, C])), /^cycle:/);
+});
+
+test("grossProfitUSD uses the solver, else the liquidity-scaled spread", () => {
+  assert.equal(grossProfitUSD(pairOpp("0x1", A, B, 12.5)), 12.5);
+  assert.equal(grossProfitUSD({ ...pairOpp("0x1", A, B, 0), sizing: null }), 5_000);
+});
+
+test("without a gas quote the score is flagged as gross", async () => {
+  const { ready, stop } = collectReady();
+  await offerOpportunity(pairOpp("0xg1", A, C, 7));
+  await sleep(100);
+  stop();
+  assert.equal(ready.length, 1);
+  assert.equal(ready[0].gasCostUSD, null);
+  assert.equal(ready[0].scoreBasis, "gross");
+  assert.equal(ready[0].scoreUSD, 7);
+  gasQuotes = true;
+});
+
+test("one window per pool pair emits only its best opportunity", async () => {
+  const { ready, stop } = collectReady();
+  const before = coalescerStats();
+  await offerOpportunity(pairOpp("0xa1", A, B, 10));
+  await offerOpportunity(pairOpp("0xa2", B, A, 30));
+  await offerOpportunity(pairOpp("0xa3", A, B, 20));
+  await offerOpportunity(pairOpp("0xc1", A, C, 5));
+  assert.equal(ready.length, 0, "nothing before the window closes");
+  assert.equal(coalescerStats().open, before.open + 2);
+
+  await sleep(100);
+  stop();
+  assert.equal(ready.length, 2);
+  const ab = ready.find((r) => r.coalesceKey === coalesceKey(pairOpp("", A, B, 0)));
+  assert.equal(ab.txHash, "0xa2");
+  assert.equal(ab.merged, 3);
+  assert.equal(ab.grossProfitUSD, 30);
+  assert.ok(Math.abs(ab.gasCostUSD - 0.015) < 1e-9, `gas ${ab.gasCostUSD}`);
+  assert.equal(ab.scoreUSD, ab.grossProfitUSD - ab.gasCostUSD);
+  assert.equal(ab.scoreBasis, "net");
+  assert.equal(ready.find((r) => r !== ab).merged, 1);
+
+  const after = coalescerStats();
+  assert.equal(after.emitted - before.emitted, 2);
+  assert.equal(after.merged - before.merged, 2);
+  assert.equal(after.open, 0);
+});
+
+test("an opportunity after the window closed opens a new one", async () => {
+  const { ready, stop } = collectReady();
+  await offerOpportunity(pairOpp("0xb1", A, B, 10));
+  await sleep(100);
+  await offerOpportunity(pairOpp("0xb2", A, B, 1));
+  await sleep(100);
+  stop();
+  assert.deepEqual(ready.map((r) => [r.txHash, r.merged]), [["0xb1", 1], ["0xb2", 1]]);
+});
+
+test("rankOpportunities keeps the best per key, best first", () => {
+  const ranked = rankOpportunities([
+    { id: "1", coalesceKey: "pair:a:b", scoreUSD: 3 },
+    { id: "2", coalesceKey: "pair:a:b", scoreUSD: 8 },
+    { id: "3", coalesceKey: "pair:a:c", scoreUSD: 5 },
+    { id: "4", profitUSD: 6 },
+  ]);
+  assert.deepEqual(ranked.map((p) => p.id), ["2", "4", "3"]);
+});
@@ -0,0 +1,109 @@
+// test/opportunityexpiry.test.js — block-age and pool-change expiry against a temp journal
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+
+// Chain head served by a local JSON-RPC stub, moved by the tests
+let chainHead = 100;
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const payload = JSON.parse(body);
+    const answer = ({ id, method }) => {
+      const result = { eth_chainId: "0x89", eth_blockNumber: `0x${chainHead.toString(16)}` }[method];
+      return result === undefined ? { jsonrpc: "2.0", id, error: { code: -32601, message: method } } : { jsonrpc: "2.0", id, result };
+    };
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise((ok) => server.listen(0, "127.0.0.1", ok));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "expiry-"));
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+process.env.WRITE_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.OPPORTUNITY_JOURNAL_FILE = path.join(dir, "opportunities.jsonl");
+process.env.OPPORTUNITY_MAX_BLOCKS = "2";
+process.env.EXPIRY_POLL_MS = "25";
+const { watcher } = await import("../backrunwatcher.js");
+const { recordQueued, getEntry, transition } = await import("../opportunityjournal.js");
+const { blockExpiry, currentBlock, poolAddresses } = await import("../opportunityexpiry.js");
+
+const A = "0x1000000000000000000000000000000000000001";
+const B = "0x1000000000000000000000000000000000000002";
+const C = "0x1000000000000000000000000000000000000003";
+
+const pairPool = (id, observedBlock, live = A, catchPool = B) => ({
+  id, observedBlock, liveDex: { pairAddress: live }, catchDex: { pairAddress: catchPool },
+});
+
+async function untilHead(n) {
+  for (let i = 0; i < 100 && currentBlock() !== n; i++) await sleep(10);
+  assert.equal(currentBlock(), n);
+}
+
+test("poolAddresses covers both sides of a pair and every cycle leg", () => {
+  assert.deepEqual(poolAddresses(pairPool("p", 1)), [A.toLowerCase(), B.toLowerCase()]);
+  assert.deepEqual(poolAddresses({ type: "cycle", legs: [{ pairAddress: A }, { pairAddress: C }] }), [A.toLowerCase(), C.toLowerCase()]);
+  assert.deepEqual(poolAddresses({ liveDex: { pairAddress: A } }), [A.toLowerCase()]);
+});
+
+test("blockExpiry after OPPORTUNITY_MAX_BLOCKS", () => {
+  assert.equal(blockExpiry({ observedBlock: 10 }, 11), null);
+  assert.equal(blockExpiry({ observedBlock: 10 }, 12), "2 blocks old (observed #10, head #12)");
+  assert.equal(blockExpiry({}, 50), null, "untagged pools never age out");
+  assert.equal(blockExpiry({ observedBlock: 10 }, null), null);
+});
+
+test("the head poller expires queued entries that aged out", async () => {
+  await untilHead(100);
+  recordQueued(pairPool("aged-queued", 98, A, C));
+  recordQueued(pairPool("aged-executing", 98, A, C));
+  transition("aged-executing", "executing");
+  recordQueued(pairPool("fresh", 100, A, C));
+
+  chainHead = 101;
+  await untilHead(101);
+  await sleep(10);
+  assert.equal(getEntry("aged-queued").state, "expired");
+  assert.equal(getEntry("aged-queued").reason, "3 blocks old (observed #98, head #101)");
+  assert.equal(getEntry("aged-queued").expiredAtBlock, 101);
+  assert.equal(getEntry("aged-executing").state, "executing", "already on its way");
+  assert.equal(getEntry("fresh").state, "queued");
+});
+
+test("a later move of any traded pool expires the entry", () => {
+  recordQueued(pairPool("moved", 101));
+  recordQueued(pairPool("untouched", 101, C, C));
+  watcher.emit("poolStateChanged", { blockNumber: 102, pools: [B] });
+  assert.equal(getEntry("moved").state, "expired");
+  assert.match(getEntry("moved").reason, /^pool 0x10000000 changed in block #102$/);
+  assert.equal(getEntry("untouched").state, "queued");
+});
+
+test("moves in the block the opportunity was seen at are priced in", () => {
+  recordQueued(pairPool("same-block", 103));
+  watcher.emit("poolStateChanged", { blockNumber: 103, pools: [A] });
+  assert.equal(getEntry("same-block").state, "queued");
+  watcher.emit("poolStateChanged", { blockNumber: 104, pools: [A] });
+  assert.equal(getEntry("same-block").state, "expired");
+});
+
+test("the trigger transaction's own move does not expire its backrun", () => {
+  const trigger = "0xAAAA";
+  recordQueued({ ...pairPool("own-move", 104), txHash: trigger });
+  const lower = B.toLowerCase();
+  watcher.emit("poolStateChanged", { blockNumber: 105, pools: [B], txHashes: { [lower]: ["0xaaaa"] } });
+  assert.equal(getEntry("own-move").state, "queued");
+  watcher.emit("poolStateChanged", { blockNumber: 105, pools: [B], txHashes: { [lower]: ["0xaaaa", "0xbbbb"] } });
+  assert.equal(getEntry("own-move").state, "expired");
+});
@@ -0,0 +1,98 @@
+// test/opportunityjournal.test.js — state machine, restart recovery and compaction on a temp journal
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+const file = path.join(dir, "opportunities.jsonl");
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const lines = () => fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((l) => JSON.parse(l));
+
+// The journal a crash left behind: one entry mid-execution, one long settled, a torn last line
+const now = Date.now();
+const old = now - 2 * 3600_000;
+fs.writeFileSync(file, [
+  { t: old, id: "old", state: "queued", pool: { id: "old" } },
+  { t: old + 1, id: "old", state: "executing" },
+  { t: old + 2, id: "old", state: "settled", txHash: "0xold" },
+  { t: now - 3, id: "waiting", state: "queued", pool: { id: "waiting", dex: "quickswap-v2" } },
+  { t: now - 2, id: "crashed", state: "queued", pool: { id: "crashed" } },
+  { t: now - 1, id: "crashed", state: "executing" },
+].map((r) => JSON.stringify(r) + "\n").join("") + '{"t":1,"id":"torn","sta');
+
+process.env.OPPORTUNITY_JOURNAL_FILE = file;
+process.env.OPPORTUNITY_JOURNAL_RETAIN_MS = String(3600_000);
+const journal = await import("../opportunityjournal.js");
+
+test("replay fails executions interrupted by the restart", () => {
+  const crashed = journal.getEntry("crashed");
+  assert.equal(crashed.state, "failed");
+  assert.equal(crashed.reason, "interrupted by restart");
+  assert.deepEqual(crashed.history.map((r) => r.state), ["queued", "executing", "failed"]);
+  assert.equal(journal.getEntry("waiting").state, "queued");
+  assert.deepEqual(journal.queuedPools(), [{ id: "waiting", dex: "quickswap-v2" }]);
+});
+
+test("startup compaction drops old finished history and the torn line", () => {
+  assert.equal(journal.getEntry("old"), null);
+  assert.equal(journal.getEntry("torn"), null);
+  const ids = lines().map((r) => r.id);
+  assert.ok(!ids.includes("old"));
+  assert.deepEqual([...new Set(ids)], ["waiting", "crashed"]);
+});
+
+test("an entry walks queued → executing → submitted → settled", () => {
+  assert.equal(journal.recordQueued({ id: "a", dex: "sushiswap-v2" }), true);
+  assert.equal(journal.recordQueued({ id: "a" }), false, "ids are unique");
+  assert.equal(journal.transition("a", "executing"), true);
+  assert.equal(journal.transition("a", "submitted", { txHash: "0xabc" }), true);
+  assert.equal(journal.transition("a", "settled", { profit: "12" }), true);
+
+  const entry = journal.getEntry("a");
+  assert.equal(entry.state, "settled");
+  assert.equal(entry.txHash, "0xabc");
+  assert.equal(entry.profit, "12");
+  assert.deepEqual(entry.pool, { id: "a", dex: "sushiswap-v2" });
+  assert.deepEqual(lines().filter((r) => r.id === "a").map((r) => r.state), ["queued", "executing", "submitted", "settled"]);
+});
+
+test("illegal transitions are refused and not journaled", () => {
+  journal.recordQueued({ id: "b" });
+  assert.equal(journal.transition("b", "submitted"), false, "skips executing");
+  assert.equal(journal.transition("b", "expired", { reason: "pool moved" }), true);
+  assert.equal(journal.transition("b", "executing"), false, "out of a terminal state");
+  assert.equal(journal.transition("missing", "executing"), false);
+  assert.equal(journal.getEntry("b").reason, "pool moved");
+  assert.deepEqual(lines().filter((r) => r.id === "b").map((r) => r.state), ["queued", "expired"]);
+});
+
+test("alert mode ends an execution as alerted", () => {
+  journal.recordQueued({ id: "alert" });
+  assert.equal(journal.transition("alert", "alerted"), false, "only from executing");
+  journal.transition("alert", "executing");
+  assert.equal(journal.transition("alert", "alerted", { estProfitUSD: 3 }), true);
+  assert.equal(journal.transition("alert", "expired"), false, "alerted is terminal");
+  assert.equal(journal.getEntry("alert").estProfitUSD, 3);
+  assert.equal(journal.journalStats().alerted, 1);
+});
+
+test("queries by state", () => {
+  journal.recordQueued({ id: "c" });
+  journal.transition("c", "executing");
+  assert.deepEqual(journal.entriesIn(["queued", "executing"]).map((e) => e.id), ["waiting", "c"]);
+  const stats = journal.journalStats();
+  assert.equal(stats.queued, 1);
+  assert.equal(stats.executing, 1);
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.settled, 1);
+});
+
+test("compactJournal keeps open and recent entries intact", () => {
+  const before = lines();
+  assert.equal(journal.compactJournal(), before.length);
+  assert.deepEqual(lines(), before);
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+});
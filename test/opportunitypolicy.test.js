@@ -0,0 +1,104 @@
+// test/opportunitypolicy.test.js — rule precedence, checks and reload rejection on a temp policy file
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "policy-"));
+const file = path.join(dir, "policy.json");
+const write = (policy) => fs.writeFileSync(file, typeof policy === "string" ? policy : JSON.stringify(policy));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// opportunitypolicy.js loads POLICY_FILE on import
+write({
+  defaults: { minLiquidityUSD: 100_000, minSpreadPct: 0.5 },
+  dex: { "ApeSwap-V2": { minLiquidityUSD: 500_000, minSpreadPct: 1 } },
+  pairs: {
+    "WETH/USDC": { minSpreadPct: 0.2 },
+    [`${USDC}/${WMATIC}`]: { quoteTokens: null, maxVictimUSD: 10_000 },
+  },
+});
+process.env.POLICY_FILE = file;
+const policy = await import("../opportunitypolicy.js");
+
+const wethUsdc = (dex) => ({ dex, token0: WETH, token1: USDC, symbol0: "WETH", symbol1: "USDC" });
+const wmaticUsdc = (dex) => ({ dex, token0: WMATIC, token1: USDC, symbol0: "WMATIC", symbol1: "USDC" });
+
+test("defaults fill in the rules the file leaves out", () => {
+  const { rules, sources } = policy.policyFor({ dex: "quickswap-v2", token0: WETH, token1: WMATIC, symbol0: "WETH", symbol1: "WMATIC" });
+  assert.deepEqual(rules, { minLiquidityUSD: 100_000, minSpreadPct: 0.5, quoteTokens: ["USDT", "USDC"], maxVictimUSD: null });
+  assert.equal(sources.minLiquidityUSD, "defaults");
+  assert.equal(sources.quoteTokens, "defaults");
+});
+
+test("pair overrides beat dex overrides, which beat defaults", () => {
+  const { rules, sources } = policy.policyFor(wethUsdc("apeswap-v2"));
+  assert.equal(rules.minLiquidityUSD, 500_000);
+  assert.equal(sources.minLiquidityUSD, "dex:apeswap-v2");
+  assert.equal(rules.minSpreadPct, 0.2);
+  assert.equal(sources.minSpreadPct, "pair:USDC/WETH");
+});
+
+test("pair keys match by symbol or address in either order", () => {
+  const flipped = { dex: "quickswap-v2", token0: USDC, token1: WETH, symbol0: "usdc", symbol1: "weth" };
+  assert.equal(policy.policyFor(flipped).rules.minSpreadPct, 0.2);
+
+  const { rules, sources } = policy.policyFor({ ...wmaticUsdc("quickswap-v2"), symbol0: "", symbol1: "" });
+  assert.equal(rules.maxVictimUSD, 10_000);
+  assert.equal(sources.maxVictimUSD, `pair:${[USDC.toLowerCase(), WMATIC.toLowerCase()].sort().join("/")}`);
+});
+
+test("checks report the rule, value, limit and the level that set it", () => {
+  assert.deepEqual(policy.checkLivePool(wethUsdc("apeswap-v2"), { liquidityUSD: 400_000 }), {
+    rule: "minLiquidityUSD", value: 400_000, limit: 500_000, source: "dex:apeswap-v2",
+  });
+  assert.equal(policy.checkLivePool(wethUsdc("quickswap-v2"), { liquidityUSD: 400_000 }), null);
+  assert.deepEqual(policy.checkSpread(wethUsdc("quickswap-v2"), 0.1), {
+    rule: "minSpreadPct", value: 0.1, limit: 0.2, source: "pair:USDC/WETH",
+  });
+  assert.equal(policy.checkCatchPool(wethUsdc("quickswap-v2"), { liquidityUSD: 50_000 }).rule, "minLiquidityUSD");
+});
+
+test("quoteTokens and maxVictimUSD", () => {
+  const noQuote = { dex: "quickswap-v2", token0: WETH, token1: WMATIC, symbol0: "WETH", symbol1: "WMATIC" };
+  assert.equal(policy.quoteIndex(wethUsdc("quickswap-v2")), 1);
+  assert.equal(policy.quoteIndex(noQuote), -1);
+  assert.equal(policy.checkLivePool(noQuote, { liquidityUSD: 10 ** 9 }).rule, "quoteTokens");
+
+  // null quoteTokens lifts the quote rule; the pair caps the victim size instead
+  const pair = wmaticUsdc("quickswap-v2");
+  assert.equal(policy.needsVictimUSD(pair), true);
+  assert.equal(policy.checkLivePool(pair, { liquidityUSD: 10 ** 9, victimUSD: 5_000 }), null);
+  assert.equal(policy.checkLivePool(pair, { liquidityUSD: 10 ** 9, victimUSD: 50_000 }).rule, "maxVictimUSD");
+});
+
+test("an invalid reload is rejected and the previous policy stays active", () => {
+  const before = policy.currentPolicy();
+  for (const bad of [
+    "{ not json",
+    { defaults: { minSpreadPct: -1 } },
+    { defaults: { minSpredPct: 1 } },
+    { dex: { "quickswap-v2": [] } },
+    { defaults: { quoteTokens: "USDC" } },
+    { pairs: { WETH: { minSpreadPct: 1 } } },
+  ]) {
+    write(bad);
+    policy.loadPolicy();
+    assert.deepEqual(policy.currentPolicy(), before, JSON.stringify(bad));
+  }
+});
+
+test("a valid reload replaces the policy", () => {
+  write({ defaults: { minSpreadPct: 3 } });
+  policy.loadPolicy();
+  const { rules, sources } = policy.policyFor(wethUsdc("apeswap-v2"));
+  assert.equal(rules.minSpreadPct, 3);
+  assert.equal(rules.minLiquidityUSD, 300_000, "built-in default");
+  assert.equal(sources.minSpreadPct, "defaults");
+  assert.ok(policy.currentPolicy().loadedAt > 0);
+});
@@ -0,0 +1,142 @@
+// test/pooldiscovery.test.js — Balancer pool index built from Vault logs on a local JSON-RPC stub
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { ethers } from "ethers";
+
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+const VAULT = "0xBA12222222228d8Ba445958a75a0704d566BF2C8";
+const FROM_BLOCK = 15_832_990; // factories.json balancer-vault fromBlock
+const HEAD = FROM_BLOCK + 3_000;
+const MAX_LOG_RANGE = 1_000;
+
+const poolId = (n) => ethers.concat([ethers.zeroPadValue(ethers.toBeHex(n), 20), "0x0002", ethers.zeroPadValue("0x", 10)]);
+const poolAddress = (id) => ethers.getAddress(ethers.dataSlice(id, 0, 20));
+const POOLS = { old: poolId(1), gone: poolId(2), weighted: poolId(3), other: poolId(4) };
+
+const vault = new ethers.Interface([
+  "event TokensRegistered(bytes32 indexed poolId, address[] tokens, address[] assetManagers)",
+  "event TokensDeregistered(bytes32 indexed poolId, address[] tokens)",
+  "function getPoolTokens(bytes32) view returns (address[], uint256[], uint256)",
+]);
+const pool = new ethers.Interface(["function getSwapFeePercentage() view returns (uint256)"]);
+const erc20 = new ethers.Interface(["function symbol() view returns (string)", "function decimals() view returns (uint8)"]);
+const TOKENS = { [WETH]: ["WETH", 18], [USDC]: ["USDC", 6], [WMATIC]: ["WMATIC", 18] };
+
+const registered = (block, id, tokens) => ({ block, ...vault.encodeEventLog("TokensRegistered", [id, tokens, tokens.map(() => ethers.ZeroAddress)]) });
+const deregistered = (block, id, tokens) => ({ block, ...vault.encodeEventLog("TokensDeregistered", [id, tokens]) });
+const LOGS = [
+  registered(FROM_BLOCK + 10, POOLS.old, [USDC, WETH]),
+  registered(FROM_BLOCK + 1_200, POOLS.gone, [WETH, USDC]),
+  registered(FROM_BLOCK + 1_500, POOLS.weighted, [WMATIC, USDC, WETH]),
+  registered(FROM_BLOCK + 2_100, POOLS.other, [WMATIC, USDC]),
+  deregistered(FROM_BLOCK + 2_900, POOLS.gone, [WETH, USDC]),
+];
+const currentTokens = { [POOLS.old]: [USDC, WETH], [POOLS.gone]: [], [POOLS.weighted]: [WMATIC, USDC, WETH], [POOLS.other]: [WMATIC, USDC] };
+
+let getLogsCalls = 0;
+function answer({ id, method, params }) {
+  const ok = (result) => ({ jsonrpc: "2.0", id, result });
+  const fail = (message) => ({ jsonrpc: "2.0", id, error: { code: -32000, message } });
+  if (method === "eth_chainId") return ok("0x89");
+  if (method === "eth_blockNumber") return ok(ethers.toBeHex(HEAD));
+  if (method === "eth_getLogs") {
+    getLogsCalls++;
+    const [{ fromBlock, toBlock, address }] = params;
+    if (Number(toBlock) - Number(fromBlock) + 1 > MAX_LOG_RANGE) return fail("block range too large");
+    assert.equal(address.toLowerCase(), VAULT.toLowerCase());
+    return ok(LOGS.filter((l) => l.block >= Number(fromBlock) && l.block <= Number(toBlock)).map((l, k) => ({
+      address: VAULT, topics: l.topics, data: l.data, blockNumber: ethers.toBeHex(l.block),
+      blockHash: ethers.zeroPadValue(ethers.toBeHex(l.block), 32), transactionHash: ethers.zeroPadValue(ethers.toBeHex(l.block + 1), 32),
+      transactionIndex: "0x0", logIndex: ethers.toBeHex(k), removed: false,
+    })));
+  }
+  if (method === "eth_call") {
+    const { to, data } = params[0];
+    if (to.toLowerCase() === VAULT.toLowerCase()) {
+      const [pid] = vault.decodeFunctionData("getPoolTokens", data);
+      const tokens = currentTokens[pid] ?? [];
+      return ok(vault.encodeFunctionResult("getPoolTokens", [tokens, tokens.map(() => 10n ** 20n), 1n]));
+    }
+    const token = Object.keys(TOKENS).find((t) => t.toLowerCase() === to.toLowerCase());
+    if (token) {
+      const fn = erc20.parseTransaction({ data }).name;
+      return ok(erc20.encodeFunctionResult(fn, [TOKENS[token][fn === "symbol" ? 0 : 1]]));
+    }
+    return ok(pool.encodeFunctionResult("getSwapFeePercentage", [10n ** 15n]));
+  }
+  return fail(method);
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const payload = JSON.parse(body);
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise((ok) => server.listen(0, "127.0.0.1", ok));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "discovery-"));
+const indexFile = path.join(dir, "balancer_pools.json");
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+process.env.WRITE_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.BALANCER_POOL_INDEX_FILE = indexFile;
+process.env.BALANCER_LOG_CHUNK_BLOCKS = "4000";
+const { discoverPools } = await import("../pooldiscovery.js");
+
+const balancer = (a, b) => discoverPools(a, b, { venues: ["balancer-vault"] });
+
+async function indexReady() {
+  for (let i = 0; i < 200; i++) {
+    if (fs.existsSync(indexFile) && JSON.parse(fs.readFileSync(indexFile, "utf8")).ready) return;
+    await sleep(10);
+  }
+  assert.fail("Balancer index never finished");
+}
+
+test("Balancer discovery finds nothing until the Vault log index is built", async () => {
+  assert.deepEqual(await balancer(WETH, USDC), []);
+  await indexReady();
+
+  const saved = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+  assert.equal(saved.lastBlock, HEAD);
+  assert.deepEqual(Object.keys(saved.pools), [POOLS.old, POOLS.weighted, POOLS.other]);
+  assert.ok(getLogsCalls > 3, "refused ranges are retried smaller");
+});
+
+test("pools holding both tokens are found newest first, deregistered ones are not", async () => {
+  const found = await balancer(USDC, WETH);
+  assert.deepEqual(found.map((p) => p.poolId), [POOLS.weighted, POOLS.old]);
+
+  const [weighted, old] = found;
+  assert.equal(weighted.pairAddress, poolAddress(POOLS.weighted));
+  assert.equal(weighted.token0, USDC);
+  assert.equal(weighted.token1, WETH);
+  assert.deepEqual(weighted.indices, [1, 2]);
+  assert.equal(weighted.swapFee, "1000000000000000");
+  assert.equal(weighted.symbol1, "WETH");
+  assert.equal(old.token0, USDC);
+  assert.equal(old.decimals0, 6);
+
+  assert.deepEqual((await balancer(WMATIC, WETH)).map((p) => p.poolId), [POOLS.weighted]);
+});
+
+test("the saved index records the vault, completion and tokens per pool", async () => {
+  const saved = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+  assert.equal(saved.ready, true);
+  assert.equal(saved.vault.toLowerCase(), VAULT.toLowerCase());
+  assert.deepEqual(saved.pools[POOLS.weighted].sort(), [WMATIC, USDC, WETH].map((t) => t.toLowerCase()).sort());
+});
@@ -0,0 +1,92 @@
+// test/poolsimulator.test.js — swap math against hand-computed outputs
+import test from "node:test";
+import assert from "node:assert/strict";
+import { poolType, simulateSwap, spotPrice, victimLegForPool } from "../poolsimulator.js";
+
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const Q96 = 2n ** 96n;
+
+const v2 = { type: "v2", address: "0xv2", tokens: [WETH, USDC], reserves: [1_000_000n, 2_000_000n], feeBps: 30 };
+const v3 = { type: "v3", address: "0xv3", tokens: [WETH, USDC], sqrtPriceX96: Q96, liquidity: 10n ** 18n, fee: 3000 };
+
+test("V2 swap follows x·y = k with the input fee", () => {
+  // 10000·9970·2000000 / (1000000·10000 + 10000·9970)
+  const { amountOut, state } = simulateSwap(v2, WETH, USDC, 10_000n);
+  assert.equal(amountOut, 19_743n);
+  assert.deepEqual(state.reserves, [1_010_000n, 1_980_257n]);
+  assert.deepEqual(v2.reserves, [1_000_000n, 2_000_000n], "input state is not modified");
+});
+
+test("V2 swap is symmetric in token order and rejects unknown tokens", () => {
+  const reversed = { ...v2, tokens: [USDC, WETH], reserves: [2_000_000n, 1_000_000n] };
+  assert.equal(simulateSwap(reversed, WETH, USDC, 10_000n).amountOut, 19_743n);
+  assert.equal(simulateSwap(v2, WETH, "0x0000000000000000000000000000000000000001", 10_000n), null);
+  assert.equal(simulateSwap(v2, WETH, USDC, 0n), null);
+});
+
+test("V3 swap inside the current range, both directions", () => {
+  const oneForZero = simulateSwap(v3, USDC, WETH, 10n ** 15n);
+  assert.equal(oneForZero.amountOut, 996_006_981_039_903n);
+  assert.equal(oneForZero.state.sqrtPriceX96, 79_307_152_992_291_059_138_124_713_654n);
+
+  const zeroForOne = simulateSwap(v3, WETH, USDC, 10n ** 15n);
+  assert.equal(zeroForOne.amountOut, 996_006_981_039_903n);
+  assert.equal(zeroForOne.state.sqrtPriceX96, 79_149_250_711_305_166_342_700_278_158n);
+
+  assert.equal(simulateSwap({ ...v3, liquidity: 0n }, WETH, USDC, 1n), null);
+});
+
+test("Balancer 50/50 swap matches the constant-product output", () => {
+  const pool = {
+    type: "balancer", address: "0xbal", tokens: [WETH, USDC],
+    balances: [10n ** 18n, 10n ** 18n], weights: [5n * 10n ** 17n, 5n * 10n ** 17n], swapFee: 0n,
+  };
+  // equal weights, no fee: out = b·a / (b + a) = 1e18 / 11
+  const { amountOut, state } = simulateSwap(pool, WETH, USDC, 10n ** 17n);
+  const expected = 10n ** 18n / 11n;
+  const diff = amountOut > expected ? amountOut - expected : expected - amountOut;
+  assert.ok(diff < 10n ** 3n, `${amountOut} vs ${expected}`);
+  assert.deepEqual(state.balances, [11n * 10n ** 17n, 10n ** 18n - amountOut]);
+});
+
+test("Curve swap in a balanced pool trades near 1:1 less the fee", () => {
+  const pool = {
+    type: "curve", address: "0xcrv", tokens: [USDC, WETH],
+    balances: [10n ** 24n, 10n ** 24n], A: 100n, fee: 4_000_000n, rates: [1n, 1n],
+  };
+  const { amountOut } = simulateSwap(pool, USDC, WETH, 10n ** 18n);
+  // 0.04% fee, next to no curvature for a trade of one millionth of the pool
+  const feeless = (10n ** 18n * 9_996n) / 10_000n;
+  assert.ok(amountOut < feeless && feeless - amountOut < 10n ** 12n, `${amountOut} vs ${feeless}`);
+});
+
+test("spotPrice reads the pool shapes", () => {
+  assert.equal(spotPrice(v2, WETH, USDC), 2);
+  assert.equal(spotPrice(v2, USDC, WETH), 0.5);
+  assert.equal(spotPrice(v3, WETH, USDC), 1);
+  assert.equal(spotPrice(v2, WETH, WETH), 0);
+});
+
+test("poolType follows the descriptor, then the DEX name", () => {
+  assert.equal(poolType({ dex: "quickswap-v2" }), "v2");
+  assert.equal(poolType({ dex: "uniswap-v3" }), "v3");
+  assert.equal(poolType({ dex: "sushiswap", version: "v3" }), "v3");
+  assert.equal(poolType({ dex: "balancer-vault" }), "balancer");
+  assert.equal(poolType({ dex: "x", poolId: "0x01" }), "balancer");
+  assert.equal(poolType({ dex: "curve-router" }), "curve");
+  assert.equal(poolType({ dex: "kyber-elastic" }), null);
+});
+
+test("victimLegForPool picks the exact-in leg whose first hop is this pool", () => {
+  const swaps = [
+    { direction: "exact-out", tokenIn: WETH, tokenOut: USDC, amountIn: null, amountOut: "5" },
+    { direction: "exact-in", hops: [{ tokenIn: WETH, fee: 500, tokenOut: USDC }], amountIn: "100" },
+    { direction: "exact-in", path: [WETH, USDC], amountIn: "7" },
+  ];
+  // V3 fee tier mismatch skips the hop leg, the V2 path leg matches
+  assert.deepEqual(victimLegForPool(swaps, v3), { tokenIn: WETH, tokenOut: USDC, amountIn: 7n });
+  assert.deepEqual(victimLegForPool(swaps, { ...v3, fee: 500 }), { tokenIn: WETH, tokenOut: USDC, amountIn: 100n });
+  assert.equal(victimLegForPool([{ direction: "exact-in", hops: [{ pool: "0xother", tokenIn: WETH, tokenOut: USDC }], amountIn: "1" }], v2), null);
+  assert.equal(victimLegForPool([], v2), null);
+});
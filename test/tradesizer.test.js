@@ -0,0 +1,102 @@
+// test/tradesizer.test.js — optimal sizes for known reserves
+import test from "node:test";
+import assert from "node:assert/strict";
+import { optimalPathSize, optimalTradeSize, roundTrip, simulatePath, sizeBackrun } from "../tradesizer.js";
+
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+
+const v2 = (address, tokens, reserves) => ({ type: "v2", address, tokens, reserves, feeBps: 30 });
+// WETH at 2000 USDC on the cheap pool, 2200 USDC on the dear one
+const cheap = v2("0xcheap", [WETH, USDC], [100n * 10n ** 18n, 200_000n * 10n ** 6n]);
+const dear = v2("0xdear", [WETH, USDC], [100n * 10n ** 18n, 220_000n * 10n ** 6n]);
+
+test("roundTrip chains both legs", () => {
+  assert.deepEqual(roundTrip(cheap, dear, USDC, WETH, 1000n * 10n ** 6n), {
+    amountMid: 496_027_303_890_107_812n,
+    amountOut: 1_082_632_247n,
+  });
+});
+
+test("V2/V2 closed form lands on the optimum", () => {
+  const size = optimalTradeSize(cheap, dear, USDC, WETH);
+  assert.equal(size.method, "closed-form");
+  assert.equal(size.amountIn, 4_586_862_402n);
+  assert.equal(size.amountMid, 2_235_436_513_512_984_981n);
+  assert.equal(size.amountOut, 4_796_309_646n);
+  assert.equal(size.profit, 209_447_244n);
+
+  // no input on a 1 USDC grid around it does better
+  for (let dx = -50n; dx <= 50n; dx++) {
+    const x = size.amountIn + dx * 10n ** 6n;
+    const trip = roundTrip(cheap, dear, USDC, WETH, x);
+    assert.ok(trip.amountOut - x <= size.profit, `input ${x} beats the closed form`);
+  }
+});
+
+test("mixed venues are sized by the numeric search", () => {
+  // V3 pool with the cheap pool's virtual reserves: L = √(x·y), √P = √(y / x)·2^96
+  const v3 = {
+    type: "v3", address: "0xv3", tokens: [WETH, USDC], fee: 3000,
+    sqrtPriceX96: 3_543_191_142_285_914_205_922_034n, liquidity: 4_472_135_954_999_579n,
+  };
+  const size = optimalTradeSize(v3, dear, USDC, WETH);
+  assert.equal(size.method, "numeric");
+  // in range a V3 pool is x·y = k on its virtual reserves: same optimum as V2/V2
+  assert.equal(size.profit, 209_447_244n);
+  for (const x of [size.amountIn / 2n, size.amountIn * 2n]) {
+    const trip = roundTrip(v3, dear, USDC, WETH, x);
+    assert.ok(!trip || trip.amountOut - x <= size.profit, `input ${x} beats the search`);
+  }
+});
+
+test("no size when the prices leave no room for the fees", () => {
+  const near = v2("0xnear", [WETH, USDC], [100n * 10n ** 18n, 200_500n * 10n ** 6n]);
+  assert.equal(optimalTradeSize(cheap, near, USDC, WETH), null);
+  assert.equal(optimalTradeSize(cheap, dear, USDC, WMATIC), null);
+});
+
+test("sizeBackrun buys on the cheaper venue", () => {
+  const live = sizeBackrun({ liveState: cheap, catchState: dear, tokenIn: USDC, tokenMid: WETH });
+  assert.equal(live.buyVenue, "live");
+  assert.equal(live.profit, 209_447_244n);
+
+  const caught = sizeBackrun({ liveState: dear, catchState: cheap, tokenIn: USDC, tokenMid: WETH });
+  assert.equal(caught.buyVenue, "catch");
+  assert.equal(caught.amountIn, 4_586_862_402n);
+});
+
+test("simulatePath lets a pool used twice see its earlier leg", () => {
+  const once = simulatePath([{ state: cheap, tokenIn: USDC, tokenOut: WETH }], 1000n * 10n ** 6n);
+  const twice = simulatePath([
+    { state: cheap, tokenIn: USDC, tokenOut: WETH },
+    { state: cheap, tokenIn: USDC, tokenOut: WETH },
+  ], 1000n * 10n ** 6n);
+  assert.equal(once.amountOut, 496_027_303_890_107_812n);
+  assert.equal(twice.amounts[0], once.amountOut);
+  assert.equal(simulatePath([{ state: cheap, tokenIn: USDC, tokenOut: WMATIC }], 1n), null);
+});
+
+test("numeric path search agrees with the closed form", () => {
+  const path = optimalPathSize([
+    { state: cheap, tokenIn: USDC, tokenOut: WETH },
+    { state: dear, tokenIn: WETH, tokenOut: USDC },
+  ]);
+  assert.equal(path.method, "numeric");
+  assert.ok(path.profit <= 209_447_244n && 209_447_244n - path.profit < 1_000n, `profit ${path.profit}`);
+});
+
+test("optimalPathSize works a three-pool cycle", () => {
+  // USDC → WETH (2000) → WMATIC (2500 per WETH) → USDC (1 per WMATIC): 25% round trip edge
+  const legs = [
+    { state: cheap, tokenIn: USDC, tokenOut: WETH },
+    { state: v2("0xwm", [WETH, WMATIC], [100n * 10n ** 18n, 250_000n * 10n ** 18n]), tokenIn: WETH, tokenOut: WMATIC },
+    { state: v2("0xmu", [WMATIC, USDC], [1_000_000n * 10n ** 18n, 1_000_000n * 10n ** 6n]), tokenIn: WMATIC, tokenOut: USDC },
+  ];
+  const size = optimalPathSize(legs);
+  assert.ok(size.profit > 0n);
+  assert.equal(size.amounts.length, 3);
+  assert.equal(size.amountOut, size.amounts[2]);
+  assert.equal(optimalPathSize(legs.slice(0, 2)), null, "open paths do not size");
+});
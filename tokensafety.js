@@ -0,0 +1,299 @@
+// tokensafety.js — screens tokens before a flash loan is routed through them
+// A token is exercised the way an arbitrage would use it, against a real pool that holds it:
+//   buy      pool     → receiver   (transfer out of the pool)
+//   transfer receiver → probe      (plain wallet-to-wallet move)
+//   sell     receiver → pool       (transfer back into the pool)
+// The receiver is our flash executor, so a token that blacklists it fails here too.
+// eth_simulateV1 runs the three moves in sequence and measures what actually arrived, which
+// catches fee-on-transfer taxes. RPCs without it fall back to one eth_call per move, using a
+// balance-slot state override to fund the receiver for the sell; that path only sees reverts.
+// Verdicts ("safe" | "unsafe" | "unknown") are cached per token with the reason.
+import "dotenv/config";
+import { ethers } from "ethers";
+import { readCall } from "./protectionutilities.js";
+import { discoverPools, tokenInfo } from "./pooldiscovery.js";
+
+const MAX_TAX_BPS = Number(process.env.TOKEN_SAFETY_MAX_TAX_BPS || 0);
+const BLOCK_UNKNOWN = (process.env.TOKEN_SAFETY_BLOCK_UNKNOWN || "false").toLowerCase() === "true";
+const SAFE_TTL_MS = Number(process.env.TOKEN_SAFETY_SAFE_TTL_MS || 6 * 3600_000);
+const UNSAFE_TTL_MS = Number(process.env.TOKEN_SAFETY_UNSAFE_TTL_MS || 24 * 3600_000);
+const UNKNOWN_TTL_MS = Number(process.env.TOKEN_SAFETY_UNKNOWN_TTL_MS || 5 * 60_000);
+const MAX_BALANCE_SLOT = 20;
+const CALL_TIMEOUT_MS = 15_000; // the fallback is up to ~25 sequential eth_calls
+
+const RECEIVER = ethers.getAddress(
+  process.env.TOKEN_SAFETY_RECEIVER ||
+    process.env.AAVE_FLASH_EXECUTOR ||
+    process.env.BALANCER_FLASH_EXECUTOR ||
+    "0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe"
+);
+const PROBE = ethers.getAddress("0x000000000000000000000000000000005afe0001");
+
+// Hub tokens are trusted without a simulation and double as the counter-token for pool lookup
+const TRUSTED_TOKENS = [
+  process.env.HUB_TOKEN_1 || "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174", // USDC
+  process.env.HUB_TOKEN_2 || "0xc2132D05D31c914a87C6611C10748AaCB4FE7392", // USDT
+  process.env.HUB_TOKEN_3 || "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063", // DAI
+  process.env.HUB_TOKEN_4 || "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270", // WMATIC
+  "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619", // WETH
+  ...(process.env.TOKEN_SAFETY_TRUSTED?.split(",").map((t) => t.trim()).filter(Boolean) || []),
+].map((t) => ethers.getAddress(t.toLowerCase()));
+
+const erc20 = new ethers.Interface([
+  "function transfer(address, uint256) returns (bool)",
+  "function balanceOf(address) view returns (uint256)",
+  "function paused() view returns (bool)",
+]);
+
+// ===========================================================
+// 🔹 RPC helpers
+// ===========================================================
+
+// Reverts come back as { reverted }, anything else (unsupported method, transport) throws
+function asRevert(err) {
+  const msg = err?.shortMessage || err?.info?.error?.message || err?.message || "";
+  if (err?.code === "CALL_EXCEPTION" || /revert/i.test(msg)) return { reverted: msg || "execution reverted" };
+  throw err;
+}
+
+function call(provider, { from, to, data }, overrides) {
+  const params = [{ from, to, data }, "latest"];
+  if (overrides) params.push(overrides);
+  return provider.send("eth_call", params).then((result) => ({ result }), asRevert);
+}
+
+function decodeBool(result) {
+  // Tokens that return nothing from transfer() are treated as success, like SafeERC20 does
+  if (!result || result === "0x") return true;
+  return erc20.decodeFunctionResult("transfer", result)[0];
+}
+
+function taxBps(sent, received) {
+  if (sent <= 0n) return 0;
+  return Number(((sent - received) * 10_000n) / sent);
+}
+
+// Pool holding the most of `token` among its pairs with the trusted tokens
+async function findHolder(token) {
+  const pools = (
+    await Promise.all(TRUSTED_TOKENS.filter((t) => t !== token).map((t) => discoverPools(token, t)))
+  )
+    .flat()
+    .filter((p) => p.type === "v2" || p.type === "v3");
+
+  let best = null;
+  for (const pool of pools) {
+    const balance = await readCall(`tokensafety.balance:${token}`, async (provider) =>
+      BigInt(await provider.call({ to: token, data: erc20.encodeFunctionData("balanceOf", [pool.pairAddress]) }))
+    ).catch(() => null);
+    if (balance && (!best || balance > best.balance)) best = { pool: pool.pairAddress, balance };
+  }
+  return best;
+}
+
+// ===========================================================
+// 🔹 Simulation
+// ===========================================================
+
+/**
+ * simulateMoves(token, holder, amount) via eth_simulateV1 → { paused, buy, transfer, sell }
+ * where each move is { ok, reverted?, sent, received }; null if the RPC lacks the method.
+ */
+async function simulateMoves(token, holder, amount) {
+  const balanceOf = (who) => ({ to: token, data: erc20.encodeFunctionData("balanceOf", [who]) });
+  const transfer = (from, to, value) => ({ from, to: token, data: erc20.encodeFunctionData("transfer", [to, value]) });
+  const half = amount / 2n;
+
+  // amounts forwarded by the receiver are fixed up front; a taxed buy then fails the
+  // later moves with "insufficient balance", which the buy tax already explains
+  const calls = [
+    { to: token, data: erc20.encodeFunctionData("paused") },
+    balanceOf(RECEIVER),
+    transfer(holder, RECEIVER, amount),
+    balanceOf(RECEIVER),
+    balanceOf(PROBE),
+    transfer(RECEIVER, PROBE, half),
+    balanceOf(PROBE),
+    balanceOf(holder),
+    transfer(RECEIVER, holder, half),
+    balanceOf(holder),
+  ];
+
+  const blocks = await readCall(`tokensafety.simulate:${token}`, (provider) =>
+    provider.send("eth_simulateV1", [{ blockStateCalls: [{ calls }], validation: false }, "latest"])
+  );
+  const results = blocks?.[0]?.calls;
+  if (!Array.isArray(results) || results.length !== calls.length) return null;
+
+  const ok = (i) => results[i].status === "0x1";
+  const uint = (i) => (ok(i) ? BigInt(results[i].returnData) : 0n);
+  const move = (i, sent, before, after) =>
+    ok(i) && decodeBool(results[i].returnData)
+      ? { ok: true, sent, received: uint(after) - uint(before) }
+      : { ok: false, reverted: results[i].error?.message || "transfer failed", sent };
+
+  return {
+    paused: ok(0) && results[0].returnData !== "0x" && erc20.decodeFunctionResult("paused", results[0].returnData)[0],
+    buy: move(2, amount, 1, 3),
+    transfer: move(5, half, 4, 6),
+    sell: move(8, half, 7, 9),
+  };
+}
+
+// Storage key of balances[account] for a Solidity mapping at `slot`
+function balanceKey(account, slot) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, slot]));
+}
+
+/**
+ * callMoves(token, holder, amount) — eth_call fallback: the same moves one at a time.
+ * The sell needs the receiver funded, done by overriding its balance slot when the slot can
+ * be found and the RPC accepts state overrides; otherwise the sell is reported unchecked.
+ */
+async function callMoves(token, holder, amount) {
+  return readCall(`tokensafety.call:${token}`, async (provider) => {
+    const paused = await call(provider, { to: token, data: erc20.encodeFunctionData("paused") }).catch(() => null);
+    const transferData = (to, value) => erc20.encodeFunctionData("transfer", [to, value]);
+
+    const buy = await call(provider, { from: holder, to: token, data: transferData(RECEIVER, amount) });
+    let funded = null;
+    for (let slot = 0; slot <= MAX_BALANCE_SLOT && !funded; slot++) {
+      const overrides = {
+        [token]: { stateDiff: { [balanceKey(RECEIVER, slot)]: ethers.toBeHex(amount, 32) } },
+      };
+      const probe = await call(
+        provider,
+        { to: token, data: erc20.encodeFunctionData("balanceOf", [RECEIVER]) },
+        overrides
+      ).catch(() => null);
+      if (!probe?.result) break; // overrides unsupported
+      if (BigInt(probe.result) === amount) funded = overrides;
+    }
+
+    const moved = async (from, to, value) => {
+      if (!funded) return null;
+      const r = await call(provider, { from, to: token, data: transferData(to, value) }, funded);
+      return r.reverted || !decodeBool(r.result) ? { ok: false, reverted: r.reverted || "transfer failed" } : { ok: true };
+    };
+
+    return {
+      paused: !!paused?.result && paused.result !== "0x" && erc20.decodeFunctionResult("paused", paused.result)[0],
+      buy: buy.reverted || !decodeBool(buy.result) ? { ok: false, reverted: buy.reverted || "transfer failed" } : { ok: true },
+      transfer: await moved(RECEIVER, PROBE, amount / 2n),
+      sell: await moved(RECEIVER, holder, amount / 2n),
+    };
+  }, CALL_TIMEOUT_MS);
+}
+
+// ===========================================================
+// 🔹 Verdicts
+// ===========================================================
+
+function verdictFrom(moves, method) {
+  const unsafe = (reason, extra = {}) => ({ verdict: "unsafe", reason, method, ...extra });
+  if (moves.paused) return unsafe("token is paused");
+
+  const taxes = {};
+  for (const [name, label] of [["buy", "buy from pool"], ["transfer", "wallet transfer"], ["sell", "sell into pool"]]) {
+    const m = moves[name];
+    if (!m) continue;
+    if (!m.ok) return unsafe(`${label} reverted: ${m.reverted}`);
+    if (m.received != null) {
+      taxes[name] = taxBps(m.sent, m.received);
+      if (taxes[name] > MAX_TAX_BPS) return unsafe(`${label} taxed ${taxes[name]} bps`, { taxes });
+    }
+  }
+
+  const unchecked = ["transfer", "sell"].filter((name) => !moves[name]);
+  if (unchecked.length) {
+    return { verdict: "safe", reason: `${unchecked.join("/")} unchecked, fee-on-transfer not measured`, method, taxes };
+  }
+  if (method !== "simulate") {
+    return { verdict: "safe", reason: "no reverts, fee-on-transfer not measured", method, taxes };
+  }
+  return { verdict: "safe", reason: "buy/transfer/sell clean", method, taxes };
+}
+
+async function screen(token) {
+  if (TRUSTED_TOKENS.includes(token)) return { verdict: "safe", reason: "trusted", method: "list" };
+
+  const holder = await findHolder(token);
+  if (!holder) return { verdict: "unknown", reason: "no pool holding the token", method: "none" };
+  const amount = holder.balance / 1000n || 1n;
+
+  const simulated = await simulateMoves(token, holder.pool, amount).catch(() => null);
+  if (simulated) return verdictFrom(simulated, "simulate");
+
+  const called = await callMoves(token, holder.pool, amount).catch(() => null);
+  if (called) return verdictFrom(called, "call");
+  return { verdict: "unknown", reason: "RPC could not run the simulation", method: "none" };
+}
+
+// token (checksummed) -> { promise, at, ttl, verdict } — ttl 0 while the screen is running
+const verdictCache = new Map();
+
+function ttlFor(verdict) {
+  if (verdict === "safe") return SAFE_TTL_MS;
+  if (verdict === "unsafe") return UNSAFE_TTL_MS;
+  return UNKNOWN_TTL_MS;
+}
+
+/**
+ * screenToken(token) → { token, symbol, verdict, reason, method, taxes?, checkedAt }
+ * Cached per token; "unknown" verdicts are retried after TOKEN_SAFETY_UNKNOWN_TTL_MS.
+ */
+export function screenToken(token) {
+  const address = ethers.getAddress(token.toLowerCase());
+  const cached = verdictCache.get(address);
+  if (cached && (!cached.ttl || Date.now() - cached.at < cached.ttl)) return cached.promise;
+
+  const entry = { at: Date.now(), ttl: 0, promise: null };
+  entry.promise = (async () => {
+    let result;
+    try {
+      result = await screen(address);
+    } catch (err) {
+      result = { verdict: "unknown", reason: err.message, method: "none" };
+    }
+    const info = await tokenInfo(address);
+    const verdict = { token: address, symbol: info?.symbol ?? "", ...result, checkedAt: Date.now() };
+    entry.at = verdict.checkedAt;
+    entry.ttl = ttlFor(verdict.verdict);
+    entry.verdict = verdict.verdict;
+
+    if (verdict.verdict === "unsafe") {
+      console.warn(`☣️ Token ${verdict.symbol || address} flagged unsafe: ${verdict.reason}`);
+    } else if (verdict.verdict === "unknown") {
+      console.warn(`[tokensafety] ${verdict.symbol || address} unscreened: ${verdict.reason}`);
+    }
+    return verdict;
+  })();
+  verdictCache.set(address, entry);
+  return entry.promise;
+}
+
+/**
+ * isAcceptable(verdict) — safe, or unknown while TOKEN_SAFETY_BLOCK_UNKNOWN is off
+ */
+export function isAcceptable(verdict) {
+  return verdict.verdict === "safe" || (verdict.verdict === "unknown" && !BLOCK_UNKNOWN);
+}
+
+/**
+ * screenTokens(tokens) → { ok, verdicts, rejected } — rejected is the first unacceptable verdict
+ */
+export async function screenTokens(tokens) {
+  const unique = [...new Set(tokens.filter(Boolean).map((t) => t.toLowerCase()))];
+  const verdicts = await Promise.all(unique.map(screenToken));
+  const rejected = verdicts.find((v) => !isAcceptable(v)) ?? null;
+  return { ok: !rejected, verdicts, rejected };
+}
+
+/**
+ * tokenSafetyStats() — cached verdict counts, for status endpoints and logs
+ */
+export function tokenSafetyStats() {
+  const stats = { safe: 0, unsafe: 0, unknown: 0, pending: 0 };
+  for (const entry of verdictCache.values()) stats[entry.verdict ?? "pending"]++;
+  return stats;
+}
@@ -0,0 +1,172 @@
+// tradesizer.js — profit-maximising input for a two-pool arbitrage (and closed multi-leg paths)
+// Borrow tokenIn, swap it for tokenMid on the buy pool, swap tokenMid back to tokenIn on the
+// sell pool. Pool states are the poolsimulator.js shapes; amounts are raw BigInt units.
+// V2/V2 has a closed form; any other venue pair is solved numerically on the simulated curves.
+import { simulateSwap, tokenBalance } from "./poolsimulator.js";
+
+const FEE_DENOMINATOR = 10_000n;
+const SEARCH_ITERATIONS = Number(process.env.TRADESIZER_ITERATIONS || 120);
+// Search bound as a fraction of the buy pool's tokenIn balance, in basis points
+const SEARCH_MAX_BPS = BigInt(process.env.TRADESIZER_MAX_BPS || 5000);
+
+// ===========================================================
+// 🔹 Helpers
+// ===========================================================
+
+function bigSqrt(n) {
+  if (n < 2n) return n;
+  let x = BigInt(Math.floor(Math.sqrt(Number(n)))) || 1n;
+  // Newton refinement; the float seed is only approximate above 2^53
+  for (let k = 0; k < 100; k++) {
+    const y = (x + n / x) >> 1n;
+    const done = y > x ? y - x <= 1n : x - y <= 1n;
+    x = y;
+    if (done) break;
+  }
+  while (x * x > n) x--;
+  while ((x + 1n) * (x + 1n) <= n) x++;
+  return x;
+}
+
+function tokenIndex(state, token) {
+  return state.tokens.findIndex((t) => t.toLowerCase() === token?.toLowerCase());
+}
+
+/**
+ * roundTrip(buyState, sellState, tokenIn, tokenMid, amountIn) → { amountMid, amountOut } or null
+ */
+export function roundTrip(buyState, sellState, tokenIn, tokenMid, amountIn) {
+  const leg1 = simulateSwap(buyState, tokenIn, tokenMid, amountIn);
+  if (!leg1 || leg1.amountOut <= 0n) return null;
+  const leg2 = simulateSwap(sellState, tokenMid, tokenIn, leg1.amountOut);
+  if (!leg2) return null;
+  return { amountMid: leg1.amountOut, amountOut: leg2.amountOut };
+}
+
+/**
+ * simulatePath(legs, amountIn) → { amounts, amountOut } or null
+ * legs: [{ state, tokenIn, tokenOut }]; amounts[k] is the output of leg k.
+ * A pool appearing twice sees the state left by its earlier leg.
+ */
+export function simulatePath(legs, amountIn) {
+  const states = new Map();
+  const amounts = [];
+  let amount = amountIn;
+  for (const leg of legs) {
+    const state = states.get(leg.state.address) ?? leg.state;
+    const sim = simulateSwap(state, leg.tokenIn, leg.tokenOut, amount);
+    if (!sim || sim.amountOut <= 0n) return null;
+    states.set(leg.state.address, sim.state);
+    amounts.push(sim.amountOut);
+    amount = sim.amountOut;
+  }
+  return { amounts, amountOut: amount };
+}
+
+// ===========================================================
+// 🔹 Solvers
+// ===========================================================
+
+/**
+ * Closed form for two constant-product pools.
+ * out(x) = x·K / (M + x·N) with
+ *   K = ga·gb·a1·b1, M = a0·b0·D², N = ga·(b0·D + gb·a1)
+ * where a0/a1 are the buy pool's tokenIn/tokenMid reserves, b0/b1 the sell pool's
+ * tokenMid/tokenIn reserves, g = D − feeBps. d(out − x)/dx = 0 gives x* = (√(K·M) − M) / N.
+ */
+function solveV2V2(buyState, sellState, tokenIn, tokenMid) {
+  const a0 = buyState.reserves[tokenIndex(buyState, tokenIn)];
+  const a1 = buyState.reserves[tokenIndex(buyState, tokenMid)];
+  const b0 = sellState.reserves[tokenIndex(sellState, tokenMid)];
+  const b1 = sellState.reserves[tokenIndex(sellState, tokenIn)];
+  const ga = FEE_DENOMINATOR - BigInt(buyState.feeBps);
+  const gb = FEE_DENOMINATOR - BigInt(sellState.feeBps);
+
+  const K = ga * gb * a1 * b1;
+  const M = a0 * b0 * FEE_DENOMINATOR * FEE_DENOMINATOR;
+  const N = ga * (b0 * FEE_DENOMINATOR + gb * a1);
+  if (K <= M) return 0n;
+  return (bigSqrt(K * M) - M) / N;
+}
+
+// Profit is concave in the input for every supported curve, so a ternary search converges
+function ternaryMax(profit, hi) {
+  let lo = 0n;
+  for (let k = 0; k < SEARCH_ITERATIONS && hi - lo > 2n; k++) {
+    const m1 = lo + (hi - lo) / 3n;
+    const m2 = hi - (hi - lo) / 3n;
+    if (profit(m1) < profit(m2)) lo = m1;
+    else hi = m2;
+  }
+  return (lo + hi) / 2n;
+}
+
+function solveNumeric(buyState, sellState, tokenIn, tokenMid) {
+  const profit = (x) => {
+    const trip = roundTrip(buyState, sellState, tokenIn, tokenMid, x);
+    return trip ? trip.amountOut - x : -x;
+  };
+  return ternaryMax(profit, (tokenBalance(buyState, tokenIn) * SEARCH_MAX_BPS) / FEE_DENOMINATOR);
+}
+
+/**
+ * optimalTradeSize(buyState, sellState, tokenIn, tokenMid)
+ * → { amountIn, amountMid, amountOut, profit, method } or null when no size is profitable.
+ * All amounts are raw tokenIn / tokenMid units.
+ */
+export function optimalTradeSize(buyState, sellState, tokenIn, tokenMid) {
+  if (!buyState || !sellState) return null;
+  if ([buyState, sellState].some((s) => tokenIndex(s, tokenIn) < 0 || tokenIndex(s, tokenMid) < 0)) return null;
+
+  const closedForm = buyState.type === "v2" && sellState.type === "v2";
+  const amountIn = closedForm
+    ? solveV2V2(buyState, sellState, tokenIn, tokenMid)
+    : solveNumeric(buyState, sellState, tokenIn, tokenMid);
+  if (amountIn <= 0n) return null;
+
+  const trip = roundTrip(buyState, sellState, tokenIn, tokenMid, amountIn);
+  if (!trip || trip.amountOut <= amountIn) return null;
+
+  return {
+    amountIn,
+    amountMid: trip.amountMid,
+    amountOut: trip.amountOut,
+    profit: trip.amountOut - amountIn,
+    method: closedForm ? "closed-form" : "numeric",
+  };
+}
+
+/**
+ * sizeBackrun({ liveState, catchState, tokenIn, tokenMid })
+ * Tries both directions (buy on the catch pool and sell into the live pool, and the reverse)
+ * and returns the more profitable one with `buyVenue: "catch" | "live"`, or null.
+ */
+export function sizeBackrun({ liveState, catchState, tokenIn, tokenMid }) {
+  const candidates = [
+    { buyVenue: "catch", size: optimalTradeSize(catchState, liveState, tokenIn, tokenMid) },
+    { buyVenue: "live", size: optimalTradeSize(liveState, catchState, tokenIn, tokenMid) },
+  ].filter((c) => c.size);
+  if (!candidates.length) return null;
+
+  const best = candidates.reduce((a, b) => (b.size.profit > a.size.profit ? b : a));
+  return { buyVenue: best.buyVenue, tokenIn, tokenMid, ...best.size };
+}
+
+/**
+ * optimalPathSize(legs) — numeric optimum for a closed path that starts and ends in
+ * legs[0].tokenIn → { amountIn, amounts, amountOut, profit, method } or null
+ */
+export function optimalPathSize(legs) {
+  if (!legs.length || legs[0].tokenIn.toLowerCase() !== legs[legs.length - 1].tokenOut.toLowerCase()) return null;
+
+  const profit = (x) => {
+    const path = simulatePath(legs, x);
+    return path ? path.amountOut - x : -x;
+  };
+  const amountIn = ternaryMax(profit, (tokenBalance(legs[0].state, legs[0].tokenIn) * SEARCH_MAX_BPS) / FEE_DENOMINATOR);
+  if (amountIn <= 0n) return null;
+
+  const path = simulatePath(legs, amountIn);
+  if (!path || path.amountOut <= amountIn) return null;
+  return { amountIn, amounts: path.amounts, amountOut: path.amountOut, profit: path.amountOut - amountIn, method: "numeric" };
+}
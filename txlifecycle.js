@@ -0,0 +1,165 @@
+// txlifecycle.js — what happened to forwarded victim txs: replaced, dropped or mined
+// Tracked by hash and by (from, nonce):
+// - replaced: another pending tx with the same (from, nonce) was seen, or the nonce was
+//   consumed on-chain by a different tx (receipt re-checked first: receipt and nonce come
+//   from one non-atomic batch, so a tx mined between the two reads looks consumed)
+// - mined:    a receipt exists for the tracked hash
+// - dropped:  the tx vanished from the mempool without its nonce being used
+import "dotenv/config";
+import { rpcBatch } from "./rpcbatch.js";
+
+const POLL_MS = Number(process.env.LIFECYCLE_POLL_MS || 2000);
+// Only ask whether a tx is still known after it has been pending this long
+const DROP_CHECK_AFTER_MS = Number(process.env.LIFECYCLE_DROP_CHECK_MS || 30_000);
+// Hard cap on how long anything is tracked
+const MAX_TRACK_MS = Number(process.env.LIFECYCLE_MAX_TRACK_MS || 10 * 60_000);
+const MAX_TRACKED = 5000;
+
+export const LifecycleEvent = {
+  REPLACED: "replaced",
+  DROPPED: "dropped",
+  MINED: "mined",
+};
+
+function senderKey(from, nonce) {
+  return `${from.toLowerCase()}:${BigInt(nonce)}`;
+}
+
+function minedDetails(receipt) {
+  return {
+    blockNumber: Number(BigInt(receipt.blockNumber)),
+    status: receipt.status === "0x1" ? "success" : "reverted",
+  };
+}
+
+/**
+ * createLifecycleTracker({ rpcUrl, onEvent })
+ * - track(tx):   start following a forwarded tx ({ hash, from, nonce })
+ * - observe(tx): feed every pending tx seen so same-nonce replacements are caught early
+ * - onEvent({ event, hash, from, nonce, replacedBy?, blockNumber?, status? })
+ */
+export function createLifecycleTracker({ rpcUrl, onEvent }) {
+  const byHash = new Map();
+  const bySender = new Map();
+  let lastBlock = null;
+  let polling = false;
+  const counts = { tracked: 0, replaced: 0, dropped: 0, mined: 0 };
+
+  function untrack(entry) {
+    byHash.delete(entry.hash);
+    if (bySender.get(entry.key) === entry) bySender.delete(entry.key);
+  }
+
+  function emit(entry, event, extra = {}) {
+    untrack(entry);
+    counts[event]++;
+    onEvent({ event, hash: entry.hash, from: entry.from, nonce: entry.nonce, ...extra });
+  }
+
+  function track(tx) {
+    if (!tx?.hash || !tx.from || tx.nonce == null || byHash.has(tx.hash)) return;
+    if (byHash.size >= MAX_TRACKED) return;
+
+    const entry = {
+      hash: tx.hash,
+      from: tx.from,
+      nonce: BigInt(tx.nonce).toString(),
+      key: senderKey(tx.from, tx.nonce),
+      trackedAt: Date.now(),
+    };
+    byHash.set(entry.hash, entry);
+    bySender.set(entry.key, entry);
+    counts.tracked++;
+  }
+
+  function observe(tx) {
+    if (!tx?.hash || !tx.from || tx.nonce == null) return;
+    const entry = bySender.get(senderKey(tx.from, tx.nonce));
+    if (entry && entry.hash !== tx.hash) {
+      emit(entry, LifecycleEvent.REPLACED, { replacedBy: tx.hash });
+    }
+  }
+
+  async function poll() {
+    if (polling || !byHash.size) return;
+    polling = true;
+
+    try {
+      const [blockHex] = await rpcBatch(rpcUrl, [{ method: "eth_blockNumber" }]);
+      const block = blockHex ? Number(BigInt(blockHex)) : null;
+      if (block === null || block === lastBlock) return;
+      lastBlock = block;
+
+      const entries = [...byHash.values()];
+      const calls = entries.flatMap((e) => [
+        { method: "eth_getTransactionReceipt", params: [e.hash] },
+        { method: "eth_getTransactionCount", params: [e.from, "latest"] },
+      ]);
+      const results = await rpcBatch(rpcUrl, calls);
+
+      const now = Date.now();
+      const dropCandidates = [];
+      const consumed = [];
+
+      entries.forEach((e, i) => {
+        if (!byHash.has(e.hash)) return; // replaced meanwhile
+        const receipt = results[i * 2];
+        const nonceHex = results[i * 2 + 1];
+
+        if (receipt) {
+          emit(e, LifecycleEvent.MINED, minedDetails(receipt));
+        } else if (nonceHex && BigInt(nonceHex) > BigInt(e.nonce)) {
+          consumed.push(e);
+        } else if (now - e.trackedAt > MAX_TRACK_MS) {
+          emit(e, LifecycleEvent.DROPPED, { reason: "expired" });
+        } else if (now - e.trackedAt > DROP_CHECK_AFTER_MS) {
+          dropCandidates.push(e);
+        }
+      });
+
+      if (consumed.length) {
+        const receipts = await rpcBatch(
+          rpcUrl,
+          consumed.map((e) => ({ method: "eth_getTransactionReceipt", params: [e.hash] }))
+        );
+        consumed.forEach((e, i) => {
+          if (!byHash.has(e.hash)) return;
+          const receipt = receipts[i];
+          if (receipt) {
+            emit(e, LifecycleEvent.MINED, minedDetails(receipt));
+          } else {
+            emit(e, LifecycleEvent.REPLACED, { replacedBy: null, blockNumber: block });
+          }
+        });
+      }
+
+      if (dropCandidates.length) {
+        const known = await rpcBatch(
+          rpcUrl,
+          dropCandidates.map((e) => ({ method: "eth_getTransactionByHash", params: [e.hash] }))
+        );
+        dropCandidates.forEach((e, i) => {
+          if (!known[i] && byHash.has(e.hash)) emit(e, LifecycleEvent.DROPPED, { reason: "evicted" });
+        });
+      }
+    } catch (err) {
+      console.warn("[txlifecycle] poll failed:", err?.message || err);
+    } finally {
+      polling = false;
+    }
+  }
+
+  const pollTimer = setInterval(poll, POLL_MS);
+  pollTimer.unref();
+
+  return {
+    track,
+    observe,
+    stats() {
+      return { ...counts, pending: byHash.size, lastBlock };
+    },
+    close() {
+      clearInterval(pollTimer);
+    },
+  };
+}
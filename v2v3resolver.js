@@ -12,7 +12,7 @@ const V3_ABI = ['function slot0() view returns (uint160 sqrtPriceX96,int24 tick,
 /**
  * Resolve reserves for Uniswap V2 & V3 style pools
  * @param {Array} pools - [{ dex, pairAddress, version }]
- * @returns {Array} [{ dex, pairAddress, reserve0, reserve1 }]
+ * @returns {Array} [{ dex, pairAddress, version, reserve0, reserve1 }]
  */
 export async function resolveV2V3Pairs(pools) {
   if (!pools || pools.length === 0) return [];
@@ -52,6 +52,7 @@ export async function resolveV2V3Pairs(pools) {
           results.push({
             dex: p.dex,
             pairAddress: p.pairAddress,
+            version: p.version,
             reserve0: price,
             reserve1: 1
           });
@@ -60,6 +61,7 @@ export async function resolveV2V3Pairs(pools) {
           results.push({
             dex: p.dex,
             pairAddress: p.pairAddress,
+            version: p.version,
             reserve0: Number(r0),
             reserve1: Number(r1)
           });